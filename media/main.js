@@ -4,9 +4,26 @@ const vscode = acquireVsCodeApi();
 // DOM元素
 let keywordsInput;
 let searchBtn;
+let stopBtn;
 let caseSensitiveCheckbox;
 let includeSubdirsCheckbox;
 let wholeWordCheckbox;
+let identifierMatchingCheckbox;
+let matchScopeSelect;
+let proximityLinesInput;
+let matchZoneSelect;
+let folderSelect;
+let folderSelectLabel;
+let fileScopeSelect;
+let gitRefInput;
+let replaceModeCheckbox;
+let replaceSection;
+let replaceTermSelect;
+let replaceInput;
+let findReplaceBtn;
+let applyReplaceBtn;
+let replaceConfirmCheckbox;
+let replacePreview;
 let searchProgress;
 let progressFill;
 let progressText;
@@ -14,8 +31,10 @@ let searchStats;
 let statsText;
 let searchResults;
 let noResults;
+let queryError;
 let configBtn;
 let clearBtn;
+let exportBtn;
 
 // 过滤相关元素
 let filterSection;
@@ -26,6 +45,7 @@ let fileSizeFilter;
 let modifiedTimeFilter;
 let minMatchesFilter;
 let clearFilters;
+let sortOrderSelect;
 
 
 
@@ -44,13 +64,33 @@ let lastPageBtn;
 // 状态
 let currentResults = [];
 let currentKeywords = [];
+let currentQuery = ''; // 得到当前结果的查询文本，导出时使用
+let currentScopeMode = 'file';
+let currentZone = 'all';
+let currentFolder = '';
+let currentFileScope = 'workspace'; // 文件范围的键，用于判断缓存是否可用
+let scopeLabel = ''; // 扩展端对搜索范围的描述
 let isSearching = false;
+let hasMoreResults = false;
 let filteredResults = [];
+let sortOrder = 'relevance'; // 结果排序方式，与扩展端的 sortOrder 配置一致
+let skippedFiles = {}; // 因内容被跳过的文件数：{ binary, minified, partial }
+
+// 搜索历史（最近的在前），输入框中用上下方向键调出
+let searchHistory = [];
+let historyIndex = -1; // 当前显示的历史记录，-1 表示正在编辑的输入
+let historyDraft = ''; // 开始浏览历史前输入框中的内容
 
 // 搜索缓存
+let hasSynonyms = false; // 工作区配置了同义词词典
+let fuzzyDistance = 0; // 普通关键词允许的编辑距离，与扩展端的 fuzzyDistance 配置一致
 let searchCache = {
     keywords: [],
     results: [],
+    scopeMode: 'file',
+    zone: 'all',
+    folder: '',
+    fileScope: 'workspace',
     timestamp: 0
 };
 let activeFilters = {
@@ -73,14 +113,32 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeElements();
     setupEventListeners();
     loadConfiguration();
+    addKeyboardShortcuts();
 });
 
 function initializeElements() {
     keywordsInput = document.getElementById('keywordsInput');
     searchBtn = document.getElementById('searchBtn');
+    stopBtn = document.getElementById('stopBtn');
     caseSensitiveCheckbox = document.getElementById('caseSensitive');
     includeSubdirsCheckbox = document.getElementById('includeSubdirs');
     wholeWordCheckbox = document.getElementById('wholeWord');
+    identifierMatchingCheckbox = document.getElementById('identifierMatching');
+    matchScopeSelect = document.getElementById('matchScope');
+    matchZoneSelect = document.getElementById('matchZone');
+    proximityLinesInput = document.getElementById('proximityLines');
+    folderSelect = document.getElementById('folderSelect');
+    folderSelectLabel = document.getElementById('folderSelectLabel');
+    fileScopeSelect = document.getElementById('fileScope');
+    gitRefInput = document.getElementById('gitRef');
+    replaceModeCheckbox = document.getElementById('replaceMode');
+    replaceSection = document.getElementById('replaceSection');
+    replaceTermSelect = document.getElementById('replaceTerm');
+    replaceInput = document.getElementById('replaceInput');
+    findReplaceBtn = document.getElementById('findReplaceBtn');
+    applyReplaceBtn = document.getElementById('applyReplaceBtn');
+    replaceConfirmCheckbox = document.getElementById('replaceConfirm');
+    replacePreview = document.getElementById('replacePreview');
     searchProgress = document.getElementById('searchProgress');
     progressFill = document.getElementById('progressFill');
     progressText = document.getElementById('progressText');
@@ -88,8 +146,10 @@ function initializeElements() {
     statsText = document.getElementById('statsText');
     searchResults = document.getElementById('searchResults');
     noResults = document.getElementById('noResults');
+    queryError = document.getElementById('queryError');
     configBtn = document.getElementById('configBtn');
     clearBtn = document.getElementById('clearBtn');
+    exportBtn = document.getElementById('exportBtn');
 
     // 过滤相关元素
     filterSection = document.getElementById('filterSection');
@@ -100,6 +160,7 @@ function initializeElements() {
     modifiedTimeFilter = document.getElementById('modifiedTimeFilter');
     minMatchesFilter = document.getElementById('minMatchesFilter');
     clearFilters = document.getElementById('clearFilters');
+    sortOrderSelect = document.getElementById('sortOrder');
 
 
 
@@ -122,13 +183,38 @@ function setupEventListeners() {
         searchBtn.addEventListener('click', handleSearch);
     }
 
+    // 停止按钮点击
+    if (stopBtn) {
+        stopBtn.addEventListener('click', cancelSearch);
+    }
+
     // 回车键搜索
     if (keywordsInput) {
         keywordsInput.addEventListener('keypress', function(e) {
-            if (e.key === 'Enter' && !isSearching) {
+            if (e.key === 'Enter') {
                 handleSearch();
             }
         });
+
+        // 上下方向键浏览搜索历史
+        keywordsInput.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                recallHistory(e.key === 'ArrowUp' ? 1 : -1);
+            }
+        });
+
+        // 输入时校验查询语法
+        keywordsInput.addEventListener('input', function() {
+            historyIndex = -1;
+            clearTimeout(this.validateTimeout);
+            this.validateTimeout = setTimeout(() => {
+                vscode.postMessage({
+                    command: 'validateQuery',
+                    query: keywordsInput.value
+                });
+            }, 300);
+        });
     }
 
     // 配置变化
@@ -154,6 +240,116 @@ function setupEventListeners() {
         });
     }
 
+    if (identifierMatchingCheckbox) {
+        identifierMatchingCheckbox.addEventListener('change', function() {
+            vscode.postMessage({
+                command: 'updateConfig',
+                config: {
+                    identifierMatching: identifierMatchingCheckbox.checked
+                }
+            });
+        });
+    }
+
+    // 共现范围变化
+    if (matchScopeSelect) {
+        matchScopeSelect.addEventListener('change', function() {
+            updateProximityLinesVisibility();
+            vscode.postMessage({
+                command: 'updateConfig',
+                config: {
+                    matchScope: matchScopeSelect.value
+                }
+            });
+        });
+    }
+
+    if (proximityLinesInput) {
+        proximityLinesInput.addEventListener('change', function() {
+            const lines = Math.max(0, parseInt(proximityLinesInput.value) || 0);
+            proximityLinesInput.value = lines;
+            vscode.postMessage({
+                command: 'updateConfig',
+                config: {
+                    proximityLines: lines
+                }
+            });
+        });
+    }
+
+    // 区域变化
+    if (matchZoneSelect) {
+        matchZoneSelect.addEventListener('change', function() {
+            vscode.postMessage({
+                command: 'updateConfig',
+                config: {
+                    matchZone: matchZoneSelect.value
+                }
+            });
+        });
+    }
+
+    // 文件范围变化：比较其他分支或搜索指定版本时显示分支输入框
+    if (fileScopeSelect) {
+        fileScopeSelect.addEventListener('change', function() {
+            const needsRef = fileScopeSelect.value === 'gitBranch' || fileScopeSelect.value === 'revision';
+            gitRefInput.classList.toggle('hidden', !needsRef);
+            if (needsRef) {
+                gitRefInput.focus();
+            }
+        });
+    }
+
+    if (gitRefInput) {
+        gitRefInput.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                handleSearch();
+            }
+        });
+    }
+
+    // 替换模式
+    if (replaceModeCheckbox) {
+        replaceModeCheckbox.addEventListener('change', function() {
+            replaceSection.classList.toggle('hidden', !replaceModeCheckbox.checked);
+            updateReplaceTerms();
+        });
+    }
+
+    if (findReplaceBtn) {
+        findReplaceBtn.addEventListener('click', findReplacements);
+    }
+
+    if (replaceInput) {
+        replaceInput.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                findReplacements();
+            }
+        });
+    }
+
+    if (applyReplaceBtn) {
+        applyReplaceBtn.addEventListener('click', applyReplacements);
+    }
+
+    // 勾选文件时同时勾选其中的所有替换项，勾选替换项时更新文件的勾选状态
+    if (replacePreview) {
+        replacePreview.addEventListener('change', function(e) {
+            const checkbox = e.target;
+            const fileElement = checkbox.closest('.replace-file');
+            const matchChecks = Array.from(fileElement.querySelectorAll('.replace-match-check'));
+            if (checkbox.classList.contains('replace-file-check')) {
+                matchChecks.forEach(matchCheck => { matchCheck.checked = checkbox.checked; });
+            } else {
+                const checkedCount = matchChecks.filter(matchCheck => matchCheck.checked).length;
+                const fileCheck = fileElement.querySelector('.replace-file-check');
+                fileCheck.checked = checkedCount === matchChecks.length;
+                fileCheck.indeterminate = checkedCount > 0 && checkedCount < matchChecks.length;
+            }
+            updateApplyReplaceButton();
+        });
+    }
+
     // 清除按钮
     if (clearBtn) {
         clearBtn.addEventListener('click', function() {
@@ -165,6 +361,22 @@ function setupEventListeners() {
         });
     }
 
+    // 导出按钮：导出过滤后的结果
+    if (exportBtn) {
+        exportBtn.addEventListener('click', function() {
+            if (filteredResults.length === 0) {
+                showError('没有可以导出的搜索结果');
+                return;
+            }
+            vscode.postMessage({
+                command: 'exportResults',
+                query: currentQuery || currentKeywords.join(' '),
+                keywords: currentKeywords,
+                results: filteredResults
+            });
+        });
+    }
+
     // 配置按钮
     if (configBtn) {
         configBtn.addEventListener('click', function() {
@@ -182,6 +394,12 @@ function setupEventListeners() {
         });
     }
 
+    if (sortOrderSelect) {
+        sortOrderSelect.addEventListener('change', function() {
+            changeSortOrder(sortOrderSelect.value);
+        });
+    }
+
     // 过滤器变化时自动应用
     [fileTypeFilter, fileSizeFilter, modifiedTimeFilter].forEach(filter => {
         if (filter) {
@@ -256,6 +474,31 @@ function checkSearchCache(keywords) {
         return { canUseCache: false };
     }
 
+    // 共现窗口范围的结果只是部分文件，不能用于增量搜索
+    if (searchCache.scopeMode !== 'file') {
+        return { canUseCache: false };
+    }
+
+    // 限定区域时需要在扩展端判断匹配是否在注释或字符串中
+    if (searchCache.zone !== 'all' || getCurrentScope().zone !== 'all') {
+        return { canUseCache: false };
+    }
+
+    // 标识符匹配按命名风格和单词边界判断，客户端只能做子串匹配
+    if (identifierMatchingCheckbox && identifierMatchingCheckbox.checked) {
+        return { canUseCache: false };
+    }
+
+    // 模糊关键词和同义词需要在扩展端展开，客户端过滤只能做字面匹配
+    if (hasSynonyms || fuzzyDistance > 0 || keywords.some(keyword => /~\d?$/.test(keyword))) {
+        return { canUseCache: false };
+    }
+
+    // 搜索的工作区文件夹不同，不能使用缓存
+    if (searchCache.folder !== getSelectedFolder() || searchCache.fileScope !== getFileScopeKey()) {
+        return { canUseCache: false };
+    }
+
     // 检查缓存是否过期（5分钟）
     const cacheAge = Date.now() - searchCache.timestamp;
     if (cacheAge > 5 * 60 * 1000) {
@@ -308,7 +551,7 @@ function handleIncrementalSearch(keywords, cachedResults) {
     updateSearchCache(keywords, filteredResults);
 
     // 显示结果
-    handleSearchCompleted(filteredResults, keywords);
+    finishSearch(filteredResults, keywords, false);
 }
 
 /**
@@ -318,6 +561,10 @@ function updateSearchCache(keywords, results) {
     searchCache = {
         keywords: [...keywords],
         results: [...results],
+        scopeMode: currentScopeMode,
+        zone: currentZone,
+        folder: currentFolder,
+        fileScope: currentFileScope,
         timestamp: Date.now()
     };
 }
@@ -329,6 +576,10 @@ function clearSearchCache() {
     searchCache = {
         keywords: [],
         results: [],
+        scopeMode: 'file',
+        zone: 'all',
+        folder: '',
+        fileScope: 'workspace',
         timestamp: 0
     };
 }
@@ -340,33 +591,183 @@ function escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * 判断查询是否为纯关键词交集（不含短语、正则、排除、OR和括号）
+ */
+function isSimpleQuery(query) {
+    if (/["()]/.test(query)) {
+        return false;
+    }
+    return query.split(/\s+/).every(token =>
+        token.length > 0 && !token.startsWith('-') && !token.startsWith('/') && !['AND', 'OR', 'NOT'].includes(token)
+    );
+}
+
 function handleSearch() {
-    const keywords = keywordsInput.value.trim();
-    if (!keywords) {
+    const query = keywordsInput.value.trim();
+    if (!query) {
         showError('请输入至少一个关键词');
         return;
     }
 
-    if (isSearching) {
+    // 正在进行的搜索由扩展端在收到新搜索时取消
+    const scope = getCurrentScope();
+    const fileScope = getFileScope();
+    if (fileScope.ref === '') {
+        showError(fileScope.kind === 'revision' ? '请输入要搜索的分支、标签或提交' : '请输入要比较的分支、标签或提交');
         return;
     }
+    if (fileScope.kind === 'results' && currentResults.length === 0) {
+        showError('没有可以继续搜索的结果');
+        return;
+    }
+
+    // 只有整个文件范围的纯关键词交集才能使用缓存进行增量搜索
+    if (isSimpleQuery(query) && scope.mode === 'file') {
+        const keywordArray = query.split(/\s+/).filter(k => k.length > 0);
+        const cacheResult = checkSearchCache(keywordArray);
+        if (cacheResult.canUseCache) {
+            // 使用缓存结果进行增量搜索，搜索仍然记录到历史中
+            currentQuery = query;
+            vscode.postMessage({
+                command: 'recordSearch',
+                query: query,
+                scope: scope,
+                fileScope: fileScope
+            });
+            handleIncrementalSearch(keywordArray, cacheResult.cachedResults);
+            return;
+        }
+    }
+
+    currentScopeMode = scope.mode;
+    currentZone = scope.zone;
+    currentQuery = query;
+    currentFolder = getSelectedFolder();
+    currentFileScope = getFileScopeKey();
+    vscode.postMessage({
+        command: 'search',
+        query: query,
+        scope: scope,
+        folders: currentFolder ? [currentFolder] : [],
+        fileScope: fileScope
+    });
+}
+
+/**
+ * 获取选择的文件范围：{ kind: 'workspace' | 'openEditors' | 'gitChanges' | 'revision' | 'results', ref, files }
+ */
+function getFileScope() {
+    const value = fileScopeSelect ? fileScopeSelect.value : 'workspace';
+    if (value === 'gitBranch') {
+        return { kind: 'gitChanges', ref: gitRefInput.value.trim() };
+    }
+    if (value === 'revision') {
+        return { kind: 'revision', ref: gitRefInput.value.trim() };
+    }
+    if (value === 'results') {
+        return { kind: 'results', files: currentResults.map(result => result.filePath) };
+    }
+    return { kind: value };
+}
 
-    const keywordArray = keywords.split(/\s+/).filter(k => k.length > 0);
+/**
+ * 文件范围的键，范围不同的搜索结果不能用于增量搜索
+ */
+function getFileScopeKey() {
+    const fileScope = getFileScope();
+    return fileScope.ref ? `${fileScope.kind}:${fileScope.ref}` : fileScope.kind;
+}
 
-    // 检查是否可以使用缓存进行增量搜索
-    const cacheResult = checkSearchCache(keywordArray);
-    if (cacheResult.canUseCache) {
-        // 使用缓存结果进行增量搜索
-        handleIncrementalSearch(keywordArray, cacheResult.cachedResults);
+/**
+ * 在输入框中显示上一条（direction 为 1）或下一条（-1）搜索历史，回到最新时恢复原来的输入
+ */
+function recallHistory(direction) {
+    const index = historyIndex + direction;
+    if (index < -1 || index >= searchHistory.length) {
         return;
     }
 
+    if (historyIndex === -1) {
+        historyDraft = keywordsInput.value;
+    }
+    historyIndex = index;
+    keywordsInput.value = index === -1 ? historyDraft : searchHistory[index];
+    keywordsInput.setSelectionRange(keywordsInput.value.length, keywordsInput.value.length);
     vscode.postMessage({
-        command: 'search',
-        keywords: keywordArray
+        command: 'validateQuery',
+        query: keywordsInput.value
     });
 }
 
+/**
+ * 收到扩展端的搜索历史
+ */
+function handleSearchHistory(history) {
+    searchHistory = history || [];
+    historyIndex = -1;
+}
+
+/**
+ * 获取选择的工作区文件夹URI，空字符串表示全部文件夹
+ */
+function getSelectedFolder() {
+    return folderSelect ? folderSelect.value : '';
+}
+
+/**
+ * 更新工作区文件夹选择器，只有多个文件夹时才显示
+ */
+function handleWorkspaceFolders(folders) {
+    if (!folderSelect) {
+        return;
+    }
+
+    const selected = folderSelect.value;
+    folderSelect.innerHTML = '<option value="">全部文件夹</option>' + folders.map(folder =>
+        `<option value="${escapeHtml(folder.uri)}">${escapeHtml(folder.name)}</option>`
+    ).join('');
+    folderSelect.value = folders.some(folder => folder.uri === selected) ? selected : '';
+    folderSelectLabel.classList.toggle('hidden', folders.length <= 1);
+}
+
+/**
+ * 获取当前选择的共现范围
+ */
+function getCurrentScope() {
+    return {
+        mode: matchScopeSelect ? matchScopeSelect.value : 'file',
+        lines: proximityLinesInput ? Math.max(0, parseInt(proximityLinesInput.value) || 0) : 10,
+        zone: matchZoneSelect ? matchZoneSelect.value : 'all'
+    };
+}
+
+function updateProximityLinesVisibility() {
+    if (proximityLinesInput) {
+        proximityLinesInput.classList.toggle('hidden', matchScopeSelect.value !== 'lines');
+    }
+}
+
+/**
+ * 在输入框下方显示查询语法错误
+ */
+function handleQueryError(message, position) {
+    queryError.textContent = `❌ ${message}`;
+    queryError.classList.remove('hidden');
+    keywordsInput.classList.add('input-error');
+
+    if (typeof position === 'number' && document.activeElement !== keywordsInput) {
+        keywordsInput.focus();
+        keywordsInput.setSelectionRange(position, position + 1);
+    }
+}
+
+function handleQueryValid() {
+    queryError.textContent = '';
+    queryError.classList.add('hidden');
+    keywordsInput.classList.remove('input-error');
+}
+
 function showError(message) {
     // 简单的错误显示
     const errorDiv = document.createElement('div');
@@ -384,10 +785,15 @@ function showError(message) {
 function clearResults() {
     currentResults = [];
     currentKeywords = [];
+    currentQuery = '';
+    filteredResults = [];
+    hasMoreResults = false;
+    clearReplacePreview();
+    updateReplaceTerms();
     searchResults.innerHTML = `
         <div class="no-results" id="noResults">
             <p>💡 输入关键词开始搜索</p>
-            <p class="text-small margin-top-small opacity-70">支持多个关键词，用空格分隔</p>
+            <p class="text-small margin-top-small opacity-70">支持多个关键词，用空格分隔；支持 "短语"、-排除、OR 和括号</p>
         </div>
     `;
     searchStats.classList.add('hidden');
@@ -410,42 +816,89 @@ window.addEventListener('message', event => {
     
     switch (message.command) {
         case 'searchStarted':
-            handleSearchStarted(message.keywords);
+            handleSearchStarted(message.keywords, message.append);
             break;
         case 'searchProgress':
             handleSearchProgress(message.progress);
             break;
+        case 'searchResult':
+            handleSearchResult(message.results);
+            break;
         case 'searchCompleted':
-            handleSearchCompleted(message.results, message.keywords);
+            handleSearchCompleted(message);
+            break;
+        case 'searchCancelled':
+            handleSearchCancelled();
             break;
         case 'searchError':
             handleSearchError(message.message);
             break;
+        case 'queryError':
+            handleQueryError(message.message, message.position);
+            break;
+        case 'queryValid':
+            handleQueryValid();
+            break;
         case 'configData':
             handleConfigData(message.config);
             break;
         case 'configUpdated':
             handleConfigUpdated(message.success, message.message);
             break;
+        case 'workspaceFolders':
+            handleWorkspaceFolders(message.folders);
+            break;
+
+        case 'searchHistory':
+            handleSearchHistory(message.history);
+            break;
+
+        case 'replacePreview':
+            handleReplacePreview(message.term, message.files);
+            break;
+
+        case 'replaceCompleted':
+            handleReplaceCompleted(message);
+            break;
+
+        case 'replaceError':
+            handleReplaceError(message.message);
+            break;
 
     }
 });
 
-function handleSearchStarted(keywords) {
+/**
+ * 搜索开始
+ * @param append 是否为加载更多结果，是则保留已显示的结果
+ */
+function handleSearchStarted(keywords, append) {
     isSearching = true;
+    hasMoreResults = false;
     currentKeywords = keywords;
-    searchBtn.disabled = true;
     searchBtn.innerHTML = '🔍 搜索中...';
     searchBtn.classList.add('searching');
+    stopBtn.classList.remove('hidden');
     searchProgress.classList.remove('hidden');
-    searchStats.classList.add('hidden');
     progressFill.style.width = '0%';
     progressText.textContent = '初始化搜索...';
 
     // 添加搜索动画效果
     keywordsInput.style.borderColor = 'var(--vscode-progressBar-background, #0e70c0)';
 
+    // 结果变化后之前查找的替换项不再有效
+    clearReplacePreview();
+    updateReplaceTerms();
+
+    if (append) {
+        displayResults(currentResults, keywords);
+        return;
+    }
+
     // 清除之前的结果
+    currentResults = [];
+    skippedFiles = {};
+    searchStats.classList.add('hidden');
     searchResults.innerHTML = `
         <div class="searching-indicator">
             <div class="spinner"></div>
@@ -493,39 +946,273 @@ function handleSearchProgress(progress) {
     }
 }
 
-function handleSearchCompleted(results, keywords) {
-    isSearching = false;
-    currentResults = results;
-    currentKeywords = keywords;
+/**
+ * 收到一批搜索结果，立即显示
+ */
+function handleSearchResult(results) {
+    currentResults = currentResults.concat(results).sort(compareResults);
+    displayResults(currentResults, currentKeywords);
+}
+
+/**
+ * 按选择的排序方式比较结果，相同时按工作区文件夹和相对路径，与扩展端的结果顺序一致
+ */
+function compareResults(a, b) {
+    let difference = 0;
+    switch (sortOrder) {
+        case 'relevance':
+            difference = (b.score || 0) - (a.score || 0);
+            break;
+        case 'matchCount':
+            difference = countResultMatches(b) - countResultMatches(a);
+            break;
+        case 'size':
+            difference = (b.fileSize || 0) - (a.fileSize || 0);
+            break;
+        case 'modified':
+            difference = getModifiedTime(b) - getModifiedTime(a);
+            break;
+    }
+    return difference
+        || (a.workspaceFolder || '').localeCompare(b.workspaceFolder || '')
+        || a.relativePath.localeCompare(b.relativePath);
+}
+
+function countResultMatches(result) {
+    return result.matches.reduce((sum, match) => sum + match.positions.length, 0);
+}
+
+function getModifiedTime(result) {
+    return result.lastModified ? new Date(result.lastModified).getTime() : 0;
+}
+
+/**
+ * 切换排序方式：重新排序当前结果并保存到配置
+ */
+function changeSortOrder(order) {
+    sortOrder = order;
+    currentResults.sort(compareResults);
+    if (currentResults.length > 0) {
+        applyCurrentFilters();
+    }
+    vscode.postMessage({ command: 'setSortOrder', sortOrder: order });
+}
+
+/**
+ * 搜索完成：结果已经通过 searchResult 消息收到，这里只包含统计信息
+ */
+function handleSearchCompleted(message) {
+    skippedFiles = message.skipped || {};
+    scopeLabel = message.scopeLabel || '';
+    finishSearch(currentResults, message.keywords, message.truncated);
+}
+
+/**
+ * 用户停止了搜索，保留已经找到的结果
+ */
+function handleSearchCancelled() {
+    finishSearch(currentResults, currentKeywords, false, true);
+}
+
+/**
+ * 请求停止正在进行的搜索
+ */
+function cancelSearch() {
+    if (isSearching) {
+        progressText.textContent = '正在停止搜索...';
+        vscode.postMessage({ command: 'cancelSearch' });
+    }
+}
 
-    searchBtn.disabled = false;
+/**
+ * 恢复搜索按钮和进度条的空闲状态
+ */
+function resetSearchControls() {
+    isSearching = false;
     searchBtn.innerHTML = '🔍 搜索';
     searchBtn.classList.remove('searching');
+    stopBtn.classList.add('hidden');
     searchProgress.classList.add('hidden');
 
     // 恢复输入框样式
     keywordsInput.style.borderColor = '';
+}
+
+/**
+ * 结束搜索状态并显示最终结果
+ * @param truncated 是否因达到最大结果数而提前结束，是则显示“加载更多”
+ * @param cancelled 是否被用户停止，是则结果不完整
+ */
+function finishSearch(results, keywords, truncated, cancelled = false) {
+    resetSearchControls();
+    hasMoreResults = truncated;
+    currentResults = results;
+    currentKeywords = keywords;
 
-    // 更新搜索缓存
-    updateSearchCache(keywords, results);
+    // 更新搜索缓存（结果不完整时不能用于增量搜索）
+    if (truncated || cancelled) {
+        clearSearchCache();
+    } else {
+        updateSearchCache(keywords, results);
+    }
 
     displayResults(results, keywords);
+    updateReplaceTerms();
 
     // 显示完成通知
-    if (results.length > 0) {
+    if (cancelled) {
+        showNotification(`已停止搜索，显示已找到的 ${results.length} 个文件`, 'info');
+    } else if (truncated) {
+        showNotification(`已显示前 ${results.length} 个匹配文件，可加载更多`, 'info');
+    } else if (results.length > 0) {
         showNotification(`找到 ${results.length} 个匹配文件`, 'success');
     }
 }
 
-function handleSearchError(message) {
-    isSearching = false;
-    searchBtn.disabled = false;
-    searchBtn.innerHTML = '🔍 搜索';
-    searchBtn.classList.remove('searching');
-    searchProgress.classList.add('hidden');
+/**
+ * 用当前结果的关键词更新可替换的关键词
+ */
+function updateReplaceTerms() {
+    if (!replaceTermSelect) {
+        return;
+    }
 
-    // 恢复输入框样式
-    keywordsInput.style.borderColor = '';
+    const selected = replaceTermSelect.value;
+    replaceTermSelect.innerHTML = currentKeywords.map(keyword =>
+        `<option value="${escapeHtml(keyword)}">${escapeHtml(keyword)}</option>`
+    ).join('');
+    if (currentKeywords.includes(selected)) {
+        replaceTermSelect.value = selected;
+    }
+    findReplaceBtn.disabled = currentKeywords.length === 0 || isSearching;
+}
+
+/**
+ * 请求在当前结果中查找所选关键词的替换项
+ */
+function findReplacements() {
+    if (isSearching || currentResults.length === 0 || !replaceTermSelect.value) {
+        showError('请先搜索，替换只在搜索结果中进行');
+        return;
+    }
+
+    replacePreview.classList.remove('hidden');
+    replacePreview.innerHTML = '<p class="text-small opacity-70">正在查找替换项...</p>';
+    applyReplaceBtn.disabled = true;
+    vscode.postMessage({
+        command: 'findReplacements',
+        term: replaceTermSelect.value,
+        replacement: replaceInput.value,
+        files: currentResults.map(result => result.filePath)
+    });
+}
+
+/**
+ * 显示替换项，每个文件和替换项都可以勾选
+ */
+function handleReplacePreview(term, files) {
+    if (files.length === 0) {
+        replacePreview.innerHTML = `<p class="text-small opacity-70">在结果中没有找到 ${escapeHtml(term)}</p>`;
+        updateApplyReplaceButton();
+        return;
+    }
+
+    const matchCount = files.reduce((sum, file) => sum + file.matches.length, 0);
+    replacePreview.innerHTML = `
+        <div class="replace-summary">${files.length} 个文件中共 ${matchCount} 处</div>
+        ${files.map(file => `
+            <div class="replace-file">
+                <label class="replace-file-label">
+                    <input type="checkbox" class="replace-file-check" checked />
+                    <span>${escapeHtml(file.relativePath)}</span>
+                    <span class="opacity-70">(${file.matches.length})</span>
+                </label>
+                ${file.matches.map(match => `
+                    <label class="replace-match">
+                        <input type="checkbox" class="replace-match-check" data-id="${escapeHtml(match.id)}" checked />
+                        <span class="line-number">${match.line}</span>
+                        <span class="replace-line">${formatReplaceLine(match)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('')}
+    `;
+    updateApplyReplaceButton();
+}
+
+/**
+ * 显示替换项所在行：删除的文本和替换后的文本并排显示，过长的行只保留匹配附近的部分
+ */
+function formatReplaceLine(match) {
+    const start = match.column - 1;
+    const end = start + match.length;
+    const beforeStart = Math.max(0, start - 40);
+    const before = (beforeStart > 0 ? '…' : '') + match.lineText.slice(beforeStart, start).trimStart();
+    const after = match.lineText.slice(end, end + 80) + (end + 80 < match.lineText.length ? '…' : '');
+
+    return `${escapeHtml(before)}<del>${escapeHtml(match.lineText.slice(start, end))}</del>` +
+        `<ins>${escapeHtml(match.replacement)}</ins>${escapeHtml(after)}`;
+}
+
+/**
+ * 获取勾选的替换项编号
+ */
+function getSelectedReplacementIds() {
+    return Array.from(replacePreview.querySelectorAll('.replace-match-check:checked'))
+        .map(checkbox => checkbox.dataset.id);
+}
+
+function updateApplyReplaceButton() {
+    const count = getSelectedReplacementIds().length;
+    applyReplaceBtn.disabled = count === 0;
+    applyReplaceBtn.textContent = count > 0 ? `替换所选 (${count})` : '替换所选';
+}
+
+/**
+ * 应用勾选的替换项，所有文件的修改作为一次编辑，可以一次撤销
+ */
+function applyReplacements() {
+    const ids = getSelectedReplacementIds();
+    if (ids.length === 0) {
+        return;
+    }
+
+    applyReplaceBtn.disabled = true;
+    vscode.postMessage({
+        command: 'applyReplacements',
+        ids: ids,
+        confirm: replaceConfirmCheckbox.checked
+    });
+}
+
+function handleReplaceCompleted(message) {
+    if (message.applied) {
+        clearReplacePreview();
+        showNotification(`已在 ${message.fileCount} 个文件中替换 ${message.replaceCount} 处`, 'success');
+    } else {
+        updateApplyReplaceButton();
+        showNotification('替换已取消', 'info');
+    }
+}
+
+function handleReplaceError(message) {
+    replacePreview.innerHTML = '';
+    replacePreview.classList.add('hidden');
+    updateApplyReplaceButton();
+    showError(message);
+}
+
+function clearReplacePreview() {
+    if (!replacePreview) {
+        return;
+    }
+    replacePreview.innerHTML = '';
+    replacePreview.classList.add('hidden');
+    updateApplyReplaceButton();
+}
+
+function handleSearchError(message) {
+    resetSearchControls();
 
     // 显示错误状态
     searchResults.innerHTML = `
@@ -542,6 +1229,21 @@ function handleSearchError(message) {
 function handleConfigData(config) {
     caseSensitiveCheckbox.checked = config.caseSensitive || false;
     wholeWordCheckbox.checked = config.wholeWord || false;
+    identifierMatchingCheckbox.checked = config.identifierMatching || false;
+    if (matchScopeSelect) {
+        matchScopeSelect.value = config.matchScope || 'file';
+        proximityLinesInput.value = config.proximityLines ?? 10;
+        updateProximityLinesVisibility();
+    }
+    if (matchZoneSelect) {
+        matchZoneSelect.value = config.matchZone || 'all';
+    }
+    hasSynonyms = config.hasSynonyms || false;
+    fuzzyDistance = config.fuzzyDistance || 0;
+    sortOrder = config.sortOrder || 'relevance';
+    if (sortOrderSelect) {
+        sortOrderSelect.value = sortOrder;
+    }
 
     // 如果配置对话框打开，更新对话框中的值
     const dialog = document.querySelector('.config-dialog-overlay');
@@ -582,7 +1284,8 @@ function handleConfigUpdated(success, message) {
 }
 
 function displayResults(results, keywords) {
-    // 保存当前结果
+    // 保存当前结果（按选择的排序方式）
+    results = [...results].sort(compareResults);
     currentResults = results;
     currentKeywords = keywords;
     filteredResults = [...results];
@@ -592,6 +1295,7 @@ function displayResults(results, keywords) {
             <div class="no-results">
                 <p>🔍 未找到匹配的文件</p>
                 <p class="text-small margin-top-small opacity-80">搜索关键词: [${escapeHtml(keywords.join(', '))}]</p>
+                ${getSkippedInfo() ? `<p class="text-small margin-top-small opacity-70">${getSkippedInfo()}</p>` : ''}
                 <div class="margin-top-medium text-small opacity-70">
                     <p>💡 建议:</p>
                     <ul class="margin-left-medium margin-top-tiny">
@@ -621,14 +1325,92 @@ function displayResults(results, keywords) {
 
 
 
-    // 按目录分组显示结果
-    const groupedResults = groupResultsByDirectory(results);
-    const resultsHtml = generateGroupedResultsHtml(groupedResults, keywords);
+    // 按工作区文件夹和目录分组显示结果
+    const resultsHtml = generateResultsHtml(results, keywords);
 
-    searchResults.innerHTML = `<div class="results-list">${resultsHtml}</div>`;
+    searchResults.innerHTML = `<div class="results-list">${resultsHtml}</div>${generateLoadMoreHtml(results.length)}`;
 
     // 添加点击事件
     addResultClickHandlers(keywords);
+
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    if (loadMoreBtn) {
+        loadMoreBtn.addEventListener('click', handleLoadMore);
+    }
+}
+
+/**
+ * 生成“加载更多”按钮，搜索因达到最大结果数而提前结束时显示
+ */
+function generateLoadMoreHtml(resultCount) {
+    if (!hasMoreResults || isSearching) {
+        return '';
+    }
+    return `
+        <div class="load-more">
+            <span class="text-small opacity-70">已显示前 ${resultCount} 个结果，还有更多文件未搜索</span>
+            <button id="loadMoreBtn" class="action-btn">加载更多</button>
+        </div>
+    `;
+}
+
+/**
+ * 继续搜索并追加更多结果
+ */
+function handleLoadMore() {
+    if (isSearching) {
+        return;
+    }
+    vscode.postMessage({ command: 'loadMore' });
+}
+
+/**
+ * 生成结果列表HTML：按路径排序时，结果跨多个工作区文件夹时先按文件夹分组，再按目录分组；
+ * 按其他方式排序时按顺序平铺显示
+ */
+function generateResultsHtml(results, keywords) {
+    if (sortOrder !== 'path') {
+        return results.map(result => generateResultItemHtml(result, keywords)).join('');
+    }
+
+    const folderGroups = groupResultsByWorkspaceFolder(results);
+    const folderNames = Object.keys(folderGroups).sort();
+
+    if (folderNames.length <= 1) {
+        return generateGroupedResultsHtml(groupResultsByDirectory(results), keywords);
+    }
+
+    return folderNames.map(folderName => {
+        const folderResults = folderGroups[folderName];
+        const groupsHtml = generateGroupedResultsHtml(groupResultsByDirectory(folderResults), keywords);
+        const displayName = folderName ? `🗂️ ${folderName}` : '🗂️ 工作区外';
+
+        return `
+            <div class="result-folder-group">
+                <div class="result-folder-header">
+                    <span class="result-group-name">${escapeHtml(displayName)}</span>
+                    <span class="result-group-count">(${folderResults.length} 个文件)</span>
+                </div>
+                <div class="result-folder-groups">
+                    ${groupsHtml}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function groupResultsByWorkspaceFolder(results) {
+    const groups = {};
+
+    results.forEach(result => {
+        const folderName = result.workspaceFolder || '';
+        if (!groups[folderName]) {
+            groups[folderName] = [];
+        }
+        groups[folderName].push(result);
+    });
+
+    return groups;
 }
 
 function groupResultsByDirectory(results) {
@@ -650,53 +1432,67 @@ function getDirPath(filePath) {
     return parts.length > 1 ? parts.slice(0, -1).join('/') : '.';
 }
 
+/**
+ * 生成单个结果文件的HTML
+ */
+function generateResultItemHtml(result, keywords) {
+    const matchesHtml = result.matches.map(match =>
+        match.variants
+            ? `<span class="match-keyword" title="实际匹配: ${escapeHtml(match.variants.join('、'))}">${escapeHtml(match.keyword)} → ${escapeHtml(match.variants.join(', '))}(${match.positions.length})</span>`
+            : `<span class="match-keyword">${escapeHtml(match.keyword)}(${match.positions.length})</span>`
+    ).join('');
+
+    const totalFileMatches = result.matches.reduce((sum, match) => sum + match.positions.length, 0);
+    const fileSize = formatFileSize(result.fileSize || 0);
+    const lastModified = result.lastModified ? new Date(result.lastModified).toLocaleString() : '';
+    // 只显示不是 UTF-8 的编码
+    const encoding = result.preview && result.preview.encoding && result.preview.encoding !== 'utf8'
+        ? formatEncoding(result.preview.encoding)
+        : '';
+
+    // 生成预览HTML
+    const previewHtml = generatePreviewHtml(result.preview);
+
+    return `
+        <div class="result-item" data-file-path="${escapeHtml(result.filePath)}">
+            <div class="result-content">
+                <div class="result-file-header">
+                    <div class="result-file">
+
+                        <span class="result-file-icon">${getFileIcon(result.relativePath)}</span>
+                        <span class="result-file-name">${escapeHtml(getFileName(result.relativePath))}</span>
+                        <span class="result-file-matches-count">(${totalFileMatches})</span>
+                        <span class="result-file-path">${escapeHtml(result.relativePath)}</span>
+                    </div>
+                    <div class="result-actions">
+                        <button class="action-btn-small copy-path" title="复制路径" data-path="${escapeHtml(result.filePath)}">📋</button>
+                    </div>
+                </div>
+                <div class="result-matches-and-info">
+                    <div class="result-matches">${matchesHtml}</div>
+                    <div class="result-file-info">
+                        ${result.score !== undefined ? `<span>相关度: ${result.score}</span>` : ''}
+                        ${result.windows ? `<span>共现: ${result.windows.length} 处</span>` : ''}
+                        <span>大小: ${fileSize}</span>
+                        ${lastModified ? `<span>修改: ${lastModified}</span>` : ''}
+                        ${result.fileType ? `<span>类型: ${result.fileType}</span>` : ''}
+                        ${encoding ? `<span>编码: ${escapeHtml(encoding)}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+            <div class="result-preview hidden">
+                ${previewHtml}
+            </div>
+        </div>
+    `;
+}
+
 function generateGroupedResultsHtml(groupedResults, keywords) {
     const sortedDirs = Object.keys(groupedResults).sort();
 
     return sortedDirs.map(dirPath => {
         const files = groupedResults[dirPath];
-        const filesHtml = files.map(result => {
-            const matchesHtml = result.matches.map(match =>
-                `<span class="match-keyword">${escapeHtml(match.keyword)}(${match.positions.length})</span>`
-            ).join('');
-
-            const totalFileMatches = result.matches.reduce((sum, match) => sum + match.positions.length, 0);
-            const fileSize = formatFileSize(result.fileSize || 0);
-            const lastModified = result.lastModified ? new Date(result.lastModified).toLocaleString() : '';
-
-            // 生成预览HTML
-            const previewHtml = generatePreviewHtml(result.preview);
-
-            return `
-                <div class="result-item" data-file-path="${escapeHtml(result.filePath)}">
-                    <div class="result-content">
-                        <div class="result-file-header">
-                            <div class="result-file">
-
-                                <span class="result-file-icon">${getFileIcon(result.relativePath)}</span>
-                                <span class="result-file-name">${escapeHtml(getFileName(result.relativePath))}</span>
-                                <span class="result-file-matches-count">(${totalFileMatches})</span>
-                                <span class="result-file-path">${escapeHtml(result.relativePath)}</span>
-                            </div>
-                            <div class="result-actions">
-                                <button class="action-btn-small copy-path" title="复制路径" data-path="${escapeHtml(result.filePath)}">📋</button>
-                            </div>
-                        </div>
-                        <div class="result-matches-and-info">
-                            <div class="result-matches">${matchesHtml}</div>
-                            <div class="result-file-info">
-                                <span>大小: ${fileSize}</span>
-                                ${lastModified ? `<span>修改: ${lastModified}</span>` : ''}
-                                ${result.fileType ? `<span>类型: ${result.fileType}</span>` : ''}
-                            </div>
-                        </div>
-                    </div>
-                    <div class="result-preview hidden">
-                        ${previewHtml}
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const filesHtml = files.map(result => generateResultItemHtml(result, keywords)).join('');
 
         const dirDisplayName = dirPath === '.' ? '📁 根目录' : `📁 ${dirPath}`;
 
@@ -804,6 +1600,24 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+/**
+ * 格式化编码名称
+ */
+function formatEncoding(encoding) {
+    const nameMap = {
+        'utf8': 'UTF-8',
+        'utf16le': 'UTF-16 LE',
+        'utf16be': 'UTF-16 BE',
+        'gbk': 'GBK',
+        'gb18030': 'GB18030',
+        'big5': 'Big5',
+        'shiftjis': 'Shift-JIS',
+        'eucjp': 'EUC-JP',
+        'euckr': 'EUC-KR'
+    };
+    return nameMap[encoding] || encoding.toUpperCase();
+}
+
 /**
  * 生成文件预览HTML
  */
@@ -830,7 +1644,7 @@ function generatePreviewHtml(preview) {
         <div class="preview-container">
             <div class="preview-header">
                 <span class="preview-title">📄 文件预览</span>
-                <span class="preview-info">共 ${preview.totalLines} 行，显示 ${preview.snippets.length} 个片段</span>
+                <span class="preview-info">${preview.totalLines ? `共 ${preview.totalLines} 行，` : ''}显示 ${preview.snippets.length} 个片段</span>
             </div>
             <div class="preview-snippets">
                 ${snippetsHtml}
@@ -1007,10 +1821,29 @@ function displayFilteredResults(results, keywords) {
  */
 function updateStatsText(fileCount, matchCount) {
     const filterInfo = getActiveFilterInfo();
-    const baseText = `📊 找到 ${fileCount} 个文件 (共 ${matchCount} 处匹配)`;
+    const skippedInfo = getSkippedInfo();
+    const scopeInfo = scopeLabel ? ` | 范围: ${scopeLabel}` : '';
+    const baseText = `📊 找到 ${fileCount} 个文件 (共 ${matchCount} 处匹配)${skippedInfo ? `，${skippedInfo}` : ''}${scopeInfo}`;
     statsText.textContent = filterInfo ? `${baseText} ${filterInfo}` : baseText;
 }
 
+/**
+ * 获取跳过文件的说明，没有跳过文件时返回空字符串
+ */
+function getSkippedInfo() {
+    const parts = [];
+    if (skippedFiles.binary) {
+        parts.push(`二进制文件 ${skippedFiles.binary} 个`);
+    }
+    if (skippedFiles.minified) {
+        parts.push(`压缩或生成的文件 ${skippedFiles.minified} 个`);
+    }
+    if (parts.length === 0) {
+        return '';
+    }
+    return `已跳过${parts.join('，')}${skippedFiles.partial ? '（只统计包含关键词的文件）' : ''}`;
+}
+
 /**
  * 获取当前激活的过滤器信息
  */
@@ -1099,9 +1932,8 @@ function updatePaginatedResults() {
  * 显示当前页的结果
  */
 function displayPageResults(results, keywords) {
-    // 按目录分组显示结果
-    const groupedResults = groupResultsByDirectory(results);
-    const resultsHtml = generateGroupedResultsHtml(groupedResults, keywords);
+    // 按工作区文件夹和目录分组显示结果
+    const resultsHtml = generateResultsHtml(results, keywords);
 
     searchResults.innerHTML = `<div class="results-list">${resultsHtml}</div>`;
 
@@ -1388,15 +2220,15 @@ function addKeyboardShortcuts() {
         // Ctrl+Enter 或 Cmd+Enter 执行搜索
         if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
             e.preventDefault();
-            if (!isSearching) {
-                handleSearch();
-            }
+            handleSearch();
         }
 
-        // Escape 键清除结果
+        // Escape 键停止搜索或清除结果
         if (e.key === 'Escape') {
             if (document.querySelector('.config-dialog-overlay')) {
                 closeConfigDialog();
+            } else if (isSearching) {
+                cancelSearch();
             } else {
                 clearResults();
                 keywordsInput.focus();
@@ -1421,15 +2253,3 @@ function addKeyboardShortcuts() {
         }
     });
 }
-
-
-
-// 在初始化时添加键盘快捷键
-document.addEventListener('DOMContentLoaded', function() {
-    initializeElements();
-    setupEventListeners();
-    loadConfiguration();
-    addKeyboardShortcuts();
-
-
-});
@@ -0,0 +1,101 @@
+/**
+ * 根据文件内容判断是否应跳过搜索：二进制文件，以及压缩或生成的文件（例如 *.min.js、打包产物）
+ *
+ * 判断基于解码后的文本，UTF-16 等编码中的零字节不会被误判为二进制。
+ */
+
+/**
+ * 跳过文件的原因
+ */
+export type SkipReason = 'binary' | 'minified';
+
+/**
+ * 按原因统计的跳过文件数
+ */
+export type SkippedFileCounts = { [reason in SkipReason]?: number } & {
+    /** 只统计了包含关键词的文件（ripgrep不报告没有匹配的文件），实际跳过的文件可能更多 */
+    partial?: boolean;
+};
+
+export const skipReasonLabels: { [reason in SkipReason]: string } = {
+    binary: '二进制文件',
+    minified: '压缩或生成的文件'
+};
+
+// 统计非文本字符比例时检查的字符数
+const sampleLength = 8192;
+
+// 非文本字符超过该比例时视为二进制文件
+const maxNonTextRatio = 0.1;
+
+// 超过该长度的行视为压缩或生成的代码
+const minifiedLineLength = 1000;
+
+// 控制字符（制表、换行、换页等空白除外）和无法解码的字节
+const nonTextPattern = /[\x00-\x08\x0e-\x1f\x7f\ufffd]/;
+
+/**
+ * 判断文件是否应跳过，不需要跳过时返回 undefined
+ * @param lines 按 \n 分割的行
+ */
+export function getSkipReason(content: string, lines: string[]): SkipReason | undefined {
+    if (isBinaryContent(content)) {
+        return 'binary';
+    }
+    if (isMinifiedContent(content, lines)) {
+        return 'minified';
+    }
+    return undefined;
+}
+
+/**
+ * 包含 NUL 字符，或开头部分的非文本字符比例过高
+ */
+function isBinaryContent(content: string): boolean {
+    if (content.includes('\u0000')) {
+        return true;
+    }
+
+    const sample = content.slice(0, sampleLength);
+    const nonTextCount = sample.match(new RegExp(nonTextPattern.source, 'g'))?.length ?? 0;
+    return sample.length > 0 && nonTextCount / sample.length > maxNonTextRatio;
+}
+
+/**
+ * 超长的行占文件内容的一半以上
+ */
+function isMinifiedContent(content: string, lines: string[]): boolean {
+    const longLineLength = lines
+        .filter(line => line.length > minifiedLineLength)
+        .reduce((sum, line) => sum + line.length, 0);
+    return longLineLength > content.length / 2;
+}
+
+/**
+ * 单行文本是否表明文件可能需要跳过（超长或含有非文本字符），用于只有部分行时决定是否读取完整文件
+ */
+export function isSuspiciousLine(line: string): boolean {
+    return line.length > minifiedLineLength || nonTextPattern.test(line);
+}
+
+/**
+ * 按原因统计跳过的文件
+ */
+export function countSkippedFiles(reasons: Iterable<SkipReason>): SkippedFileCounts {
+    const counts: SkippedFileCounts = {};
+    for (const reason of reasons) {
+        counts[reason] = (counts[reason] ?? 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * 描述跳过的文件数，例如“二进制文件 3 个，压缩或生成的文件 1 个”；没有跳过文件时返回空字符串
+ */
+export function describeSkippedFiles(counts: SkippedFileCounts): string {
+    const description = (Object.keys(skipReasonLabels) as SkipReason[])
+        .filter(reason => counts[reason])
+        .map(reason => `${skipReasonLabels[reason]} ${counts[reason]} 个`)
+        .join('，');
+    return description && counts.partial ? `${description}（只统计包含关键词的文件）` : description;
+}
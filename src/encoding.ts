@@ -0,0 +1,249 @@
+import * as iconv from 'iconv-lite';
+
+/**
+ * 文本编码检测和解码
+ *
+ * 检测顺序：
+ * 1. BOM（UTF-8、UTF-16LE、UTF-16BE）
+ * 2. 按文件模式指定的编码（intersectionSearch.encodingOverrides）
+ * 3. 没有 BOM 的 UTF-16（按零字节的分布判断）
+ * 4. 合法的 UTF-8（包括纯 ASCII）
+ * 5. files.encoding 设置的编码
+ * 6. 按双字节结构猜测 GBK、Big5、Shift-JIS
+ * 7. 以上都不满足时按 UTF-8 解码
+ */
+
+export const defaultEncoding = 'utf8';
+
+/**
+ * 用户设置的编码偏好（已规范化为 iconv-lite 的编码名）
+ */
+export interface EncodingPreference {
+    /** 按文件模式指定的编码，优先于 UTF-8 检测 */
+    override?: string;
+    /** files.encoding，文件不是合法 UTF-8 时使用 */
+    fallback?: string;
+}
+
+/**
+ * 双字节编码的结构，用于猜测没有声明编码的旧文件
+ */
+interface LegacyEncoding {
+    name: string;
+    isLead(byte: number): boolean;
+    isTrail(byte: number): boolean;
+    /** 是否为常用字符（常用汉字、假名和全角符号），用于区分字节结构相近的编码 */
+    isCommon(lead: number, trail: number): boolean;
+    /** ASCII 以外的单字节字符，例如 Shift-JIS 的半角片假名 */
+    isSingle?(byte: number): boolean;
+}
+
+const legacyEncodings: LegacyEncoding[] = [
+    {
+        name: 'gbk',
+        isLead: byte => byte >= 0x81 && byte <= 0xfe,
+        isTrail: byte => byte >= 0x40 && byte <= 0xfe && byte !== 0x7f,
+        // GB2312 的符号区和汉字区
+        isCommon: (lead, trail) => trail >= 0xa1 && ((lead >= 0xa1 && lead <= 0xa9) || (lead >= 0xb0 && lead <= 0xf7))
+    },
+    {
+        name: 'big5',
+        isLead: byte => byte >= 0x81 && byte <= 0xfe,
+        isTrail: byte => (byte >= 0x40 && byte <= 0x7e) || (byte >= 0xa1 && byte <= 0xfe),
+        // 符号区和常用字区
+        isCommon: lead => lead >= 0xa1 && lead <= 0xc6
+    },
+    {
+        name: 'shiftjis',
+        isLead: byte => (byte >= 0x81 && byte <= 0x9f) || (byte >= 0xe0 && byte <= 0xfc),
+        isTrail: byte => byte >= 0x40 && byte <= 0xfc && byte !== 0x7f,
+        // 符号、假名和第一水准汉字
+        isCommon: lead => (lead >= 0x81 && lead <= 0x84) || (lead >= 0x88 && lead <= 0x9f),
+        isSingle: byte => byte >= 0xa1 && byte <= 0xdf
+    }
+];
+
+// 猜测 UTF-16 时检查的字节数
+const utf16SampleSize = 4096;
+
+/**
+ * 将设置中的编码名（例如 VSCode 的 utf8bom、shiftjis、gbk）规范化，不支持的编码返回 undefined
+ */
+export function normalizeEncoding(name: string | undefined): string | undefined {
+    if (!name) {
+        return undefined;
+    }
+
+    const normalized = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (normalized === 'utf8bom') {
+        return defaultEncoding;
+    }
+    return iconv.encodingExists(normalized) ? normalized : undefined;
+}
+
+/**
+ * 检测文件内容的编码
+ */
+export function detectEncoding(buffer: Buffer, preference: EncodingPreference = {}): string {
+    const bomEncoding = detectBom(buffer);
+    if (bomEncoding) {
+        return bomEncoding;
+    }
+
+    if (preference.override) {
+        return preference.override;
+    }
+
+    const utf16Encoding = guessUtf16(buffer);
+    if (utf16Encoding) {
+        return utf16Encoding;
+    }
+
+    if (isValidUtf8(buffer)) {
+        return defaultEncoding;
+    }
+
+    if (preference.fallback && preference.fallback !== defaultEncoding) {
+        return preference.fallback;
+    }
+
+    return guessLegacyEncoding(buffer) ?? defaultEncoding;
+}
+
+/**
+ * 按指定编码解码，去掉开头的 BOM
+ */
+export function decodeText(buffer: Buffer, encoding: string): string {
+    return iconv.decode(buffer, encoding);
+}
+
+/**
+ * 将文本按指定编码编码为字节
+ */
+export function encodeText(text: string, encoding: string): Buffer {
+    return iconv.encode(text, encoding);
+}
+
+/**
+ * 可能需要按字节搜索的旧编码（猜测范围内的编码）
+ */
+export function getLegacyEncodingNames(): string[] {
+    return legacyEncodings.map(encoding => encoding.name);
+}
+
+/**
+ * 根据 BOM 判断编码，没有 BOM 时返回 undefined
+ */
+export function detectBom(buffer: Buffer): string | undefined {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return 'utf8';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return 'utf16le';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return 'utf16be';
+    }
+    return undefined;
+}
+
+/**
+ * 没有 BOM 的 UTF-16：以 ASCII 为主的文本在奇数或偶数位置有大量零字节
+ */
+function guessUtf16(buffer: Buffer): string | undefined {
+    const length = Math.min(buffer.length, utf16SampleSize) & ~1;
+    if (length < 4) {
+        return undefined;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (buffer[i] === 0) {
+            evenZeros++;
+        }
+        if (buffer[i + 1] === 0) {
+            oddZeros++;
+        }
+    }
+
+    const pairs = length / 2;
+    if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) {
+        return 'utf16le';
+    }
+    if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) {
+        return 'utf16be';
+    }
+    return undefined;
+}
+
+/**
+ * 是否为合法的 UTF-8 字节序列
+ */
+function isValidUtf8(buffer: Buffer): boolean {
+    let i = 0;
+    while (i < buffer.length) {
+        const byte = buffer[i];
+        if (byte < 0x80) {
+            i++;
+            continue;
+        }
+
+        let continuation: number;
+        if (byte >= 0xc2 && byte <= 0xdf) {
+            continuation = 1;
+        } else if (byte >= 0xe0 && byte <= 0xef) {
+            continuation = 2;
+        } else if (byte >= 0xf0 && byte <= 0xf4) {
+            continuation = 3;
+        } else {
+            return false;
+        }
+
+        if (i + continuation >= buffer.length) {
+            return false;
+        }
+        for (let j = 1; j <= continuation; j++) {
+            if ((buffer[i + j] & 0xc0) !== 0x80) {
+                return false;
+            }
+        }
+        i += continuation + 1;
+    }
+    return true;
+}
+
+/**
+ * 按双字节结构为每种旧编码打分：常用字符加分，非法字节序列扣分，取得分最高的编码
+ */
+function guessLegacyEncoding(buffer: Buffer): string | undefined {
+    let bestEncoding: string | undefined;
+    let bestScore = 0;
+
+    for (const encoding of legacyEncodings) {
+        let score = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            const byte = buffer[i];
+            if (byte < 0x80 || encoding.isSingle?.(byte)) {
+                continue;
+            }
+
+            const trail = buffer[i + 1];
+            if (encoding.isLead(byte) && trail !== undefined && encoding.isTrail(trail)) {
+                if (encoding.isCommon(byte, trail)) {
+                    score++;
+                }
+                i++;
+            } else {
+                score -= 4;
+            }
+        }
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestEncoding = encoding.name;
+        }
+    }
+
+    return bestEncoding;
+}
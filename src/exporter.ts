@@ -0,0 +1,228 @@
+import * as vscode from 'vscode';
+import { SearchResult, getDisplayPath } from './utils';
+
+/**
+ * 将搜索结果导出为 JSON、CSV、Markdown 或VSCode搜索编辑器的 .code-search 格式
+ */
+
+export type ExportFormat = 'json' | 'csv' | 'markdown' | 'codeSearch';
+
+/**
+ * 导出格式的名称和文件扩展名
+ */
+export const exportFormats: { [format in ExportFormat]: { label: string; extension: string } } = {
+    json: { label: 'JSON', extension: 'json' },
+    csv: { label: 'CSV', extension: 'csv' },
+    markdown: { label: 'Markdown', extension: 'md' },
+    codeSearch: { label: 'VSCode 搜索编辑器 (.code-search)', extension: 'code-search' }
+};
+
+/**
+ * 导出的搜索信息
+ */
+export interface ExportInfo {
+    /** 查询文本 */
+    query: string;
+    keywords: string[];
+    caseSensitive: boolean;
+    wholeWord: boolean;
+}
+
+/**
+ * 按格式生成导出内容
+ */
+export function formatResults(format: ExportFormat, info: ExportInfo, results: SearchResult[]): string {
+    switch (format) {
+        case 'json':
+            return formatJson(info, results);
+        case 'csv':
+            return formatCsv(results);
+        case 'markdown':
+            return formatMarkdown(info, results);
+        case 'codeSearch':
+            return formatCodeSearch(info, results);
+    }
+}
+
+/**
+ * JSON：完整的结果，包括每个关键词的匹配位置和所在行
+ */
+function formatJson(info: ExportInfo, results: SearchResult[]): string {
+    return JSON.stringify({
+        query: info.query,
+        keywords: info.keywords,
+        caseSensitive: info.caseSensitive,
+        wholeWord: info.wholeWord,
+        exportedAt: new Date().toISOString(),
+        totalFiles: results.length,
+        results: results.map(result => ({
+            filePath: result.filePath,
+            relativePath: result.relativePath,
+            workspaceFolder: result.workspaceFolder,
+            fileSize: result.fileSize,
+            lastModified: result.lastModified,
+            encoding: result.preview?.encoding,
+            matches: result.matches,
+            windows: result.windows
+        }))
+    }, null, 2);
+}
+
+/**
+ * CSV：每个匹配位置一行；带 BOM 使 Excel 按 UTF-8 打开
+ */
+function formatCsv(results: SearchResult[]): string {
+    const rows = [['文件', '工作区文件夹', '关键词', '行', '列', '长度', '内容']];
+    for (const result of results) {
+        for (const match of result.matches) {
+            for (const position of match.positions) {
+                rows.push([
+                    result.relativePath,
+                    result.workspaceFolder ?? '',
+                    match.keyword,
+                    String(position.line),
+                    String(position.column),
+                    String(position.length),
+                    position.lineText
+                ]);
+            }
+        }
+    }
+    return '\ufeff' + rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeCsvField(value: string): string {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Markdown：文件汇总表，以及每个文件的匹配位置表
+ */
+function formatMarkdown(info: ExportInfo, results: SearchResult[]): string {
+    const lines = [
+        '# 关键词交集搜索结果',
+        '',
+        `- 查询: \`${info.query.replace(/`/g, '\\`')}\``,
+        `- 找到文件数: ${results.length}`,
+        `- 导出时间: ${new Date().toLocaleString()}`,
+        '',
+        '| 文件 | 匹配数 |',
+        '| --- | --- |',
+        ...results.map(result => `| ${escapeMarkdownCell(getDisplayPath(result))} | ${countPositions(result)} |`)
+    ];
+
+    for (const result of results) {
+        lines.push(
+            '',
+            `## ${escapeMarkdownCell(getDisplayPath(result))}`,
+            '',
+            '| 关键词 | 行 | 列 | 内容 |',
+            '| --- | --- | --- | --- |'
+        );
+        for (const match of result.matches) {
+            for (const position of match.positions) {
+                lines.push(
+                    `| ${escapeMarkdownCell(match.keyword)} | ${position.line} | ${position.column} | ` +
+                    `${escapeMarkdownCell(position.lineText.trim())} |`
+                );
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function escapeMarkdownCell(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/`/g, '\\`');
+}
+
+/**
+ * VSCode搜索编辑器格式：文件头记录查询和选项，每个文件列出包含匹配的行（多个关键词在同一行时只列一次）
+ *
+ * 搜索编辑器重新运行搜索时只会按普通文本搜索整个查询，打开文件后看到的是导出时的结果。
+ */
+function formatCodeSearch(info: ExportInfo, results: SearchResult[]): string {
+    const flags = [info.caseSensitive ? 'CaseSensitive' : '', info.wholeWord ? 'WordMatch' : ''].filter(Boolean);
+    const fileBlocks: string[] = [];
+
+    for (const result of results) {
+        const matchLines = new Map<number, string>();
+        for (const match of result.matches) {
+            for (const position of match.positions) {
+                matchLines.set(position.line, position.lineText);
+            }
+        }
+
+        const lineNumbers = Array.from(matchLines.keys()).sort((a, b) => a - b);
+        const width = String(lineNumbers[lineNumbers.length - 1] ?? 0).length;
+        fileBlocks.push([
+            `${getDisplayPath(result)}:`,
+            ...lineNumbers.map(line => `  ${String(line).padStart(width)}: ${matchLines.get(line)}`)
+        ].join('\n'));
+    }
+
+    const matchCount = results.reduce((sum, result) => sum + countPositions(result), 0);
+    return [
+        `# Query: ${info.query}`,
+        ...(flags.length > 0 ? [`# Flags: ${flags.join(' ')}`] : []),
+        '# ContextLines: 0',
+        '',
+        `${matchCount} results - ${results.length} files`,
+        '',
+        fileBlocks.join('\n\n'),
+        ''
+    ].join('\n');
+}
+
+function countPositions(result: SearchResult): number {
+    return result.matches.reduce((sum, match) => sum + match.positions.length, 0);
+}
+
+/**
+ * 选择导出格式和保存位置，把搜索结果写入文件
+ * @returns 写入的文件，用户取消时为 undefined
+ */
+export async function exportResults(info: ExportInfo, results: SearchResult[]): Promise<vscode.Uri | undefined> {
+    if (results.length === 0) {
+        vscode.window.showInformationMessage('没有可以导出的搜索结果');
+        return undefined;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        (Object.keys(exportFormats) as ExportFormat[]).map(format => ({
+            label: exportFormats[format].label,
+            description: `.${exportFormats[format].extension}`,
+            format
+        })),
+        { placeHolder: `导出 ${results.length} 个文件的搜索结果` }
+    );
+    if (!picked) {
+        return undefined;
+    }
+
+    const { label, extension } = exportFormats[picked.format];
+    const defaultFolder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: defaultFolder ? vscode.Uri.joinPath(defaultFolder, `search-results.${extension}`) : undefined,
+        filters: { [label]: [extension] },
+        saveLabel: '导出'
+    });
+    if (!uri) {
+        return undefined;
+    }
+
+    try {
+        const content = formatResults(picked.format, info, results);
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+    } catch (error) {
+        vscode.window.showErrorMessage(`导出失败: ${error instanceof Error ? error.message : '未知错误'}`);
+        return undefined;
+    }
+
+    vscode.window.showInformationMessage(`已导出 ${results.length} 个文件的搜索结果`, '打开').then(action => {
+        if (action === '打开') {
+            vscode.window.showTextDocument(uri);
+        }
+    });
+    return uri;
+}
@@ -1,7 +1,19 @@
 import * as vscode from 'vscode';
+import * as path from 'path';
 import { searchKeywordsIntersection, openFileAndHighlight } from './search';
-import { showSearchResults, showDetailedResults, SearchResultTreeProvider, OutputChannelManager } from './resultView';
+import { showSearchResults, showDetailedResults, changeSortOrder, SearchResultTreeProvider, SearchResultTreeItem, OutputChannelManager } from './resultView';
 import { SearchWebviewPanel } from './webviewPanel';
+import { parseQuery, QuerySyntaxError } from './queryParser';
+import { IndexManager, SearchResult, buildSearchIndex, getConfiguration } from './utils';
+import { IndexWatcher } from './indexWatcher';
+import { FileScope, describeFileScope } from './fileScope';
+import { SearchDefinition, SearchHistory } from './searchHistory';
+import { describeMatchScope } from './proximity';
+import { applyReplacements, findReplacements } from './replace';
+import { exportResults } from './exporter';
+import { KeywordHighlighter } from './highlighter';
+import { SynonymDictionary, VariantOptions } from './keywordVariants';
+import { findKeywordHistory, toGitUri } from './revisionSearch';
 
 /**
  * 扩展激活时调用
@@ -20,70 +32,54 @@ export function activate(context: vscode.ExtensionContext) {
 
     // 注册搜索命令
     const searchCommand = vscode.commands.registerCommand('intersectionSearch.searchKeywords', async () => {
-        try {
-            // 显示输入框让用户输入关键词
-            const input = await vscode.window.showInputBox({
-                prompt: '请输入关键词（多个词用空格分隔，例如：项目代码 项目名称）',
-                placeHolder: '关键词1 关键词2 关键词3...',
-                validateInput: (value) => {
-                    if (!value || value.trim().length === 0) {
-                        return '请输入至少一个关键词';
-                    }
-                    const keywords = value.trim().split(/\s+/);
-                    if (keywords.length < 2) {
-                        return '请输入至少两个关键词以进行交集搜索';
-                    }
-                    return null;
-                }
-            });
+        await searchFromInput(treeProvider, { kind: 'workspace' });
+    });
 
-            if (!input) {
-                return; // 用户取消了输入
-            }
+    // 注册在文件夹中搜索命令（资源管理器右键菜单，从命令面板运行时选择文件夹）
+    const searchInFolderCommand = vscode.commands.registerCommand('intersectionSearch.searchInFolder', async (uri?: vscode.Uri) => {
+        const folderUri = uri ?? (await vscode.window.showOpenDialog({
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+            openLabel: '在此文件夹中搜索'
+        }))?.[0];
+        if (!folderUri) {
+            return; // 用户取消了选择
+        }
+        await searchFromInput(treeProvider, { kind: 'folder', path: folderUri.fsPath });
+    });
 
-            // 解析关键词
-            const keywords = input.trim().split(/\s+/).filter(k => k.length > 0);
-            
-            if (keywords.length < 2) {
-                vscode.window.showWarningMessage('请输入至少两个关键词进行交集搜索');
-                return;
+    // 注册保存的搜索命令
+    const saveSearchCommand = vscode.commands.registerCommand('intersectionSearch.saveSearch', () => saveLastSearch());
+    const runSavedSearchCommand = vscode.commands.registerCommand('intersectionSearch.runSavedSearch', async () => {
+        try {
+            const search = await pickSavedSearch();
+            if (search) {
+                await runSearch(treeProvider, search);
             }
-
-            // 显示进度条
-            await vscode.window.withProgress({
-                location: vscode.ProgressLocation.Notification,
-                title: `正在搜索包含所有关键词的文件...`,
-                cancellable: true
-            }, async (progress, token) => {
-                try {
-                    // 执行搜索
-                    const results = await searchKeywordsIntersection(keywords, progress, token);
-                    
-                    if (token.isCancellationRequested) {
-                        return;
-                    }
-
-                    // 显示搜索结果
-                    await showSearchResults(keywords, results);
-
-                    // 更新树视图
-                    treeProvider.updateResults(keywords, results);
-
-                    // 显示详细结果到输出面板（不自动显示）
-                    showDetailedResults(keywords, results, false);
-
-                } catch (error) {
-                    console.error('搜索过程中发生错误:', error);
-                    vscode.window.showErrorMessage(`搜索失败: ${error instanceof Error ? error.message : '未知错误'}`);
-                }
-            });
-
         } catch (error) {
             console.error('命令执行失败:', error);
             vscode.window.showErrorMessage(`命令执行失败: ${error instanceof Error ? error.message : '未知错误'}`);
         }
     });
 
+    // 注册在结果中替换命令
+    const replaceCommand = vscode.commands.registerCommand('intersectionSearch.replaceInResults', () => replaceInResults(treeProvider));
+
+    // 注册导出结果命令
+    const exportCommand = vscode.commands.registerCommand('intersectionSearch.exportResults', async () => {
+        const keywords = treeProvider.getKeywords();
+        const lastSearch = SearchHistory.getInstance().getLastSearch();
+        const options = lastSearch ?? getConfiguration();
+        await exportResults({
+            query: lastSearch?.query ?? keywords.join(' '),
+            keywords,
+            caseSensitive: options.caseSensitive,
+            wholeWord: options.wholeWord
+        }, treeProvider.getResults());
+    });
+
     // 注册webview面板命令
     const webviewCommand = vscode.commands.registerCommand('intersectionSearch.openWebview', () => {
         SearchWebviewPanel.createOrShow(context.extensionUri, treeProvider);
@@ -91,13 +87,633 @@ export function activate(context: vscode.ExtensionContext) {
 
     // 注册打开文件命令
     const openFileCommand = vscode.commands.registerCommand('intersectionSearch.openFile',
-        async (filePath: string, keywords: string[], searchResult: any) => {
-            await openFileAndHighlight(filePath, keywords, searchResult);
+        async (filePath: string, keywords: string[], searchResult: any, targetLine?: number, targetColumn?: number) => {
+            await openFileAndHighlight(filePath, keywords, searchResult, targetLine, targetColumn);
+        }
+    );
+
+    // 注册结果树视图中文件节点的右键菜单命令
+    const openToSideCommand = vscode.commands.registerCommand('intersectionSearch.openToSide', async (item?: SearchResultTreeItem) => {
+        if (item?.searchResult) {
+            await openFileAndHighlight(
+                item.searchResult.filePath, treeProvider.getKeywords(), item.searchResult,
+                undefined, undefined, vscode.ViewColumn.Beside
+            );
+        }
+    });
+    const copyPathCommand = vscode.commands.registerCommand('intersectionSearch.copyPath', async (item?: SearchResultTreeItem) => {
+        if (item?.searchResult) {
+            await vscode.env.clipboard.writeText(item.searchResult.filePath);
+        }
+    });
+    const revealInExplorerCommand = vscode.commands.registerCommand('intersectionSearch.revealInExplorer', async (item?: SearchResultTreeItem) => {
+        if (item?.searchResult) {
+            await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(item.searchResult.filePath));
+        }
+    });
+    const removeResultCommand = vscode.commands.registerCommand('intersectionSearch.removeResult', (item?: SearchResultTreeItem) => {
+        if (item?.searchResult) {
+            treeProvider.removeResult(item.searchResult.filePath);
         }
+    });
+
+    // 注册关键词历史命令（结果文件的右键菜单，从命令面板运行时使用当前编辑器中的文件）
+    const keywordHistoryCommand = vscode.commands.registerCommand('intersectionSearch.showKeywordHistory',
+        (item?: SearchResultTreeItem) => showKeywordHistory(item?.searchResult)
     );
 
+    // 切换结果树视图是否按目录分组，以及结果的排序方式
+    const viewAsTreeCommand = vscode.commands.registerCommand('intersectionSearch.viewAsTree', () => setGroupByFolder(true));
+    const viewAsListCommand = vscode.commands.registerCommand('intersectionSearch.viewAsList', () => setGroupByFolder(false));
+    const sortOrderCommand = vscode.commands.registerCommand('intersectionSearch.changeSortOrder', () => changeSortOrder());
+
+    // 注册关键词高亮和匹配跳转命令
+    const nextMatchCommand = vscode.commands.registerCommand('intersectionSearch.nextMatch', () => KeywordHighlighter.getInstance().nextMatch());
+    const previousMatchCommand = vscode.commands.registerCommand('intersectionSearch.previousMatch', () => KeywordHighlighter.getInstance().previousMatch());
+    const clearHighlightsCommand = vscode.commands.registerCommand('intersectionSearch.clearHighlights', () => KeywordHighlighter.getInstance().clear());
+    const configWatcher = vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('intersectionSearch.groupByFolder') || event.affectsConfiguration('intersectionSearch.sortOrder')) {
+            treeProvider.refresh();
+        }
+    });
+
+    // 注册索引命令
+    const buildIndexCommand = vscode.commands.registerCommand('intersectionSearch.buildIndex', () => buildIndex(false));
+    const rebuildIndexCommand = vscode.commands.registerCommand('intersectionSearch.rebuildIndex', () => buildIndex(true));
+    const clearIndexCommand = vscode.commands.registerCommand('intersectionSearch.clearIndex', async () => {
+        try {
+            await IndexManager.getInstance().clearIndex();
+            vscode.window.showInformationMessage('搜索索引已清除');
+        } catch (error) {
+            vscode.window.showErrorMessage(`清除索引失败: ${error instanceof Error ? error.message : '未知错误'}`);
+        }
+    });
+
+    // 搜索历史和保存的搜索保存在工作区状态中
+    SearchHistory.getInstance().setState(context.workspaceState);
+
+    // 索引保存在扩展的工作区存储目录中；监听文件变化，增量更新索引
+    IndexManager.getInstance().setStorageUri(context.storageUri);
+    const indexWatcher = new IndexWatcher();
+    indexWatcher.start();
+
     // 将命令添加到订阅列表
-    context.subscriptions.push(searchCommand, webviewCommand, openFileCommand, treeView);
+    context.subscriptions.push(
+        searchCommand, searchInFolderCommand, saveSearchCommand, runSavedSearchCommand, replaceCommand, exportCommand,
+        webviewCommand, openFileCommand, treeView,
+        openToSideCommand, copyPathCommand, revealInExplorerCommand, removeResultCommand, keywordHistoryCommand,
+        viewAsTreeCommand, viewAsListCommand, sortOrderCommand, configWatcher,
+        nextMatchCommand, previousMatchCommand, clearHighlightsCommand, KeywordHighlighter.getInstance(),
+        buildIndexCommand, rebuildIndexCommand, clearIndexCommand, indexWatcher, SynonymDictionary.getInstance()
+    );
+}
+
+/**
+ * 通过输入框输入查询并搜索
+ * @param initialScope 初始的文件范围，可以在输入框中通过按钮更改
+ */
+async function searchFromInput(treeProvider: SearchResultTreeProvider, initialScope: FileScope): Promise<void> {
+    try {
+        const input = await promptQuery(treeProvider, initialScope);
+        if (!input) {
+            return; // 用户取消了输入
+        }
+
+        const config = getConfiguration();
+        await runSearch(treeProvider, {
+            query: input.value,
+            caseSensitive: config.caseSensitive,
+            wholeWord: config.wholeWord,
+            identifierMatching: config.identifierMatching,
+            matchScope: config.matchScope,
+            fileScope: input.fileScope
+        });
+    } catch (error) {
+        console.error('命令执行失败:', error);
+        vscode.window.showErrorMessage(`命令执行失败: ${error instanceof Error ? error.message : '未知错误'}`);
+    }
+}
+
+/**
+ * 执行搜索并记录到搜索历史，结果显示在快速选择、树视图和输出面板中
+ */
+async function runSearch(treeProvider: SearchResultTreeProvider, search: SearchDefinition): Promise<void> {
+    // 解析查询
+    const query = parseQuery(search.query);
+    const keywords = query.keywords;
+    const { fileScope } = search;
+
+    if (query.terms.length < 2) {
+        vscode.window.showWarningMessage('请输入至少两个关键词进行交集搜索');
+        return;
+    }
+
+    // 多根工作区时选择要搜索的文件夹；文件夹范围只搜索所选文件夹
+    const folders = fileScope.kind === 'folder' ? [] : await pickWorkspaceFolders();
+    if (!folders) {
+        return; // 用户取消了选择
+    }
+
+    await SearchHistory.getInstance().add(search);
+
+    // 显示进度条
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `正在搜索包含所有关键词的文件...`,
+        cancellable: true
+    }, async (progress, token) => {
+        try {
+            // 执行搜索
+            const { results, skipped } = await searchKeywordsIntersection(query, progress, token, {
+                folders,
+                fileScope,
+                scope: search.matchScope,
+                caseSensitive: search.caseSensitive,
+                wholeWord: search.wholeWord,
+                identifierMatching: search.identifierMatching
+            });
+
+            if (token.isCancellationRequested) {
+                return;
+            }
+
+            // 在结果文件中高亮关键词，替换之前搜索的高亮
+            KeywordHighlighter.getInstance().setSearch(keywords, results, search.caseSensitive, search.wholeWord, getVariantOptions(search));
+
+            // 显示搜索结果
+            await showSearchResults(keywords, results);
+
+            // 更新树视图
+            treeProvider.updateResults(keywords, results);
+
+            // 显示详细结果到输出面板（不自动显示）
+            showDetailedResults(keywords, results, false, { skipped, scopeLabel: describeFileScope(fileScope) });
+
+        } catch (error) {
+            console.error('搜索过程中发生错误:', error);
+            vscode.window.showErrorMessage(`搜索失败: ${error instanceof Error ? error.message : '未知错误'}`);
+        }
+    });
+}
+
+/**
+ * 显示查询输入框，标题栏的按钮用于从搜索历史中选择查询和选择文件范围
+ * @returns 输入的查询和选择的范围；用户取消时返回 undefined
+ */
+async function promptQuery(
+    treeProvider: SearchResultTreeProvider,
+    initialScope: FileScope
+): Promise<{ value: string; fileScope: FileScope } | undefined> {
+    let fileScope = initialScope;
+    let value = '';
+
+    // 点击按钮时输入框会被快速选择替换，选择后带着输入的内容重新显示输入框
+    for (;;) {
+        const result = await showQueryInputBox(value, fileScope);
+        if (!result) {
+            return undefined;
+        }
+        value = result.value;
+        switch (result.action) {
+            case 'accept':
+                return { value, fileScope };
+            case 'pickHistory':
+                value = await pickHistoryQuery() ?? value;
+                break;
+            case 'pickScope':
+                fileScope = await pickFileScope(treeProvider, initialScope) ?? fileScope;
+                break;
+        }
+    }
+}
+
+type QueryInputAction = 'accept' | 'pickHistory' | 'pickScope';
+
+/**
+ * 显示一次查询输入框
+ * @returns 输入的内容，以及是确认输入还是点击了标题栏的按钮；用户取消时返回 undefined
+ */
+function showQueryInputBox(value: string, fileScope: FileScope): Promise<{ value: string; action: QueryInputAction } | undefined> {
+    return new Promise(resolve => {
+        const historyButton = { iconPath: new vscode.ThemeIcon('history'), tooltip: '搜索历史' };
+        const scopeButton = { iconPath: new vscode.ThemeIcon('filter'), tooltip: '选择搜索范围' };
+
+        const inputBox = vscode.window.createInputBox();
+        inputBox.title = `交集搜索 - 范围: ${describeFileScope(fileScope)}`;
+        inputBox.prompt = '请输入关键词（空格分隔表示同时包含，支持 "短语"、-排除、OR 和括号，例如：项目代码 (名称 OR 编号) -测试）';
+        inputBox.placeholder = '关键词1 关键词2 关键词3...';
+        inputBox.value = value;
+        inputBox.buttons = SearchHistory.getInstance().getHistory().length > 0
+            ? [historyButton, scopeButton]
+            : [scopeButton];
+
+        let result: { value: string; action: QueryInputAction } | undefined;
+        inputBox.onDidChangeValue(text => {
+            inputBox.validationMessage = validateQuery(text) ?? undefined;
+        });
+        inputBox.onDidTriggerButton(button => {
+            result = { value: inputBox.value, action: button === historyButton ? 'pickHistory' : 'pickScope' };
+            inputBox.hide();
+        });
+        inputBox.onDidAccept(() => {
+            const message = validateQuery(inputBox.value);
+            if (message) {
+                inputBox.validationMessage = message;
+                return;
+            }
+            result = { value: inputBox.value, action: 'accept' };
+            inputBox.hide();
+        });
+        inputBox.onDidHide(() => {
+            inputBox.dispose();
+            resolve(result);
+        });
+        inputBox.show();
+    });
+}
+
+/**
+ * 从搜索历史中选择查询
+ * @returns 选中的查询；用户取消时返回 undefined
+ */
+async function pickHistoryQuery(): Promise<string | undefined> {
+    return await vscode.window.showQuickPick(SearchHistory.getInstance().getHistory(), {
+        placeHolder: '选择最近搜索过的查询'
+    });
+}
+
+/**
+ * 将当前（最近一次）搜索命名保存，同名的搜索被替换
+ */
+async function saveLastSearch(): Promise<void> {
+    const history = SearchHistory.getInstance();
+    const search = history.getLastSearch();
+    if (!search) {
+        vscode.window.showWarningMessage('还没有可以保存的搜索，请先进行一次搜索');
+        return;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: `为搜索“${search.query}”命名`,
+        value: search.query,
+        validateInput: value => value.trim().length === 0 ? '请输入名称' : null
+    });
+    if (!name) {
+        return; // 用户取消了输入
+    }
+
+    await history.saveSearch({ ...search, name: name.trim() });
+    vscode.window.showInformationMessage(
+        search.fileScope.kind === 'results'
+            ? `已保存搜索: ${name.trim()}（范围“当前结果”保存为整个工作区）`
+            : `已保存搜索: ${name.trim()}`
+    );
+}
+
+/**
+ * 选择保存的搜索，列表项上的按钮用于删除
+ * @returns 选中的搜索；用户取消或没有保存的搜索时返回 undefined
+ */
+function pickSavedSearch(): Promise<SearchDefinition | undefined> {
+    const history = SearchHistory.getInstance();
+    if (history.getSavedSearches().length === 0) {
+        vscode.window.showInformationMessage('还没有保存的搜索，可以在搜索后运行“交集搜索: 保存当前搜索”');
+        return Promise.resolve(undefined);
+    }
+
+    return new Promise(resolve => {
+        const deleteButton = { iconPath: new vscode.ThemeIcon('trash'), tooltip: '删除' };
+        const quickPick = vscode.window.createQuickPick<vscode.QuickPickItem & { search: SearchDefinition }>();
+        quickPick.placeholder = '选择要运行的搜索';
+        quickPick.matchOnDescription = true;
+
+        const updateItems = () => {
+            quickPick.items = history.getSavedSearches().map(search => ({
+                label: search.name,
+                description: search.query,
+                detail: describeSearchOptions(search),
+                buttons: [deleteButton],
+                search
+            }));
+        };
+        updateItems();
+
+        let picked: SearchDefinition | undefined;
+        quickPick.onDidTriggerItemButton(async event => {
+            await history.deleteSavedSearch(event.item.label);
+            updateItems();
+        });
+        quickPick.onDidAccept(() => {
+            picked = quickPick.selectedItems[0]?.search;
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(picked);
+        });
+        quickPick.show();
+    });
+}
+
+/**
+ * 搜索使用的模糊匹配和标识符匹配设置；较早保存的搜索中没有标识符匹配时使用当前设置
+ */
+function getVariantOptions(search: { identifierMatching?: boolean }): VariantOptions {
+    const config = getConfiguration();
+    return {
+        fuzzyDistance: config.fuzzyDistance,
+        identifierMatching: search.identifierMatching ?? config.identifierMatching
+    };
+}
+
+/**
+ * 描述搜索的选项，例如“范围: 整个工作区 | 共现: 同一行 | 区分大小写”
+ */
+function describeSearchOptions(search: SearchDefinition): string {
+    return [
+        `范围: ${describeFileScope(search.fileScope)}`,
+        `共现: ${describeMatchScope(search.matchScope)}`,
+        ...(search.caseSensitive ? ['区分大小写'] : []),
+        ...(search.wholeWord ? ['全字匹配'] : []),
+        ...(search.identifierMatching ? ['标识符匹配'] : [])
+    ].join(' | ');
+}
+
+/**
+ * 检查输入的查询，返回错误信息；查询有效时返回 null
+ */
+function validateQuery(value: string): string | null {
+    if (!value || value.trim().length === 0) {
+        return '请输入至少一个关键词';
+    }
+    try {
+        const query = parseQuery(value);
+        if (query.terms.length < 2) {
+            return '请输入至少两个关键词以进行交集搜索';
+        }
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            return error.message;
+        }
+        throw error;
+    }
+    return null;
+}
+
+/**
+ * 让用户选择搜索的文件范围
+ * @param initialScope 命令的初始范围，为文件夹时作为选项之一
+ * @returns 选中的范围；用户取消时返回 undefined
+ */
+async function pickFileScope(
+    treeProvider: SearchResultTreeProvider,
+    initialScope: FileScope
+): Promise<FileScope | undefined> {
+    const results = treeProvider.getResults();
+    const scopes: FileScope[] = [
+        ...(initialScope.kind === 'folder' ? [initialScope] : []),
+        { kind: 'workspace' },
+        { kind: 'openEditors' },
+        { kind: 'gitChanges' },
+        ...(results.length > 0 ? [{ kind: 'results' as const, files: results.map(result => result.filePath) }] : [])
+    ];
+
+    // 比较其他分支和搜索指定版本的选项没有对应的范围，选中后再输入分支名
+    const items: (vscode.QuickPickItem & { scope?: FileScope; refKind?: 'gitChanges' | 'revision' })[] = scopes.map(scope => ({
+        label: describeFileScope(scope),
+        scope
+    }));
+    items.splice(items.findIndex(item => item.scope?.kind === 'gitChanges') + 1, 0, {
+        label: '相对其他分支或提交改动的文件...',
+        refKind: 'gitChanges'
+    }, {
+        label: '指定版本（分支、标签或提交）中的文件...',
+        refKind: 'revision'
+    });
+
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: '选择搜索范围' });
+    if (!picked) {
+        return undefined;
+    }
+    if (picked.scope) {
+        return picked.scope;
+    }
+
+    const ref = await vscode.window.showInputBox({
+        prompt: picked.refKind === 'revision' ? '请输入要搜索的分支、标签或提交' : '请输入要比较的分支、标签或提交',
+        placeHolder: 'main',
+        validateInput: value => value.trim().length === 0 || value.trim().startsWith('-') ? '请输入有效的git引用' : null
+    });
+    if (!ref) {
+        return undefined;
+    }
+    return picked.refKind === 'revision' ? { kind: 'revision', ref: ref.trim() } : { kind: 'gitChanges', ref: ref.trim() };
+}
+
+/**
+ * 列出文件开始或不再满足最近一次搜索的提交，选中后以只读文档打开文件在该提交中的内容
+ * @param result 结果树视图中的文件，未指定时使用当前编辑器中的文件
+ */
+async function showKeywordHistory(result?: SearchResult): Promise<void> {
+    const search = SearchHistory.getInstance().getLastSearch();
+    if (!search) {
+        vscode.window.showWarningMessage('还没有可以查看历史的搜索，请先进行一次搜索');
+        return;
+    }
+
+    // 当前编辑器可以是本地文件，也可以是历史版本的 git: 文档
+    const document = vscode.window.activeTextEditor?.document;
+    const filePath = result?.filePath ?? (document && ['file', 'git'].includes(document.uri.scheme) ? document.uri.fsPath : undefined);
+    if (!filePath) {
+        vscode.window.showWarningMessage('请在搜索结果中选择文件，或先打开一个文件');
+        return;
+    }
+
+    try {
+        const query = parseQuery(search.query);
+        const fileName = path.basename(filePath);
+        const entries = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `正在查找 ${fileName} 的关键词历史...`,
+            cancellable: true
+        }, (progress, token) => findKeywordHistory(
+            filePath, query, search.caseSensitive, search.wholeWord, getVariantOptions(search), search.matchScope, token
+        ));
+
+        if (entries.length === 0) {
+            vscode.window.showInformationMessage(`${fileName} 的提交历史中没有同时包含所有关键词的版本`);
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(
+            [...entries].reverse().map(entry => ({
+                label: entry.matches
+                    ? '$(add) 开始包含所有关键词'
+                    : `$(remove) ${entry.deleted ? '文件被删除' : '不再包含所有关键词'}`,
+                description: `${entry.commit.hash.slice(0, 8)} ${entry.commit.subject}`,
+                detail: `${entry.commit.author} · ${entry.commit.date.toLocaleString()}`,
+                entry
+            })),
+            { placeHolder: `${fileName} 开始或不再包含所有关键词的提交（最新的在前）`, matchOnDescription: true }
+        );
+        if (!picked) {
+            return; // 用户取消了选择
+        }
+
+        const { entry } = picked;
+        if (entry.result) {
+            await openFileAndHighlight(filePath, query.keywords, entry.result);
+        } else if (entry.deleted) {
+            vscode.window.showInformationMessage(`${fileName} 在提交 ${entry.commit.hash.slice(0, 8)} 中被删除`);
+        } else {
+            await vscode.window.showTextDocument(toGitUri(filePath, entry.commit.hash));
+        }
+    } catch (error) {
+        console.error('查找关键词历史失败:', error);
+        vscode.window.showErrorMessage(`查找关键词历史失败: ${error instanceof Error ? error.message : '未知错误'}`);
+    }
+}
+
+/**
+ * 在当前结果的文件中替换一个关键词，替换项在重构预览中显示，由用户勾选和确认
+ */
+async function replaceInResults(treeProvider: SearchResultTreeProvider): Promise<void> {
+    const files = treeProvider.getResults().map(result => result.filePath);
+    const keywords = treeProvider.getKeywords();
+    if (files.length === 0) {
+        vscode.window.showWarningMessage('没有可以替换的搜索结果，请先搜索');
+        return;
+    }
+    if (treeProvider.getResults().some(result => result.revision)) {
+        vscode.window.showWarningMessage('历史版本中的文件是只读的，不能替换');
+        return;
+    }
+
+    const term = keywords.length === 1
+        ? keywords[0]
+        : await vscode.window.showQuickPick(keywords, { placeHolder: '选择要替换的关键词' });
+    if (!term) {
+        return; // 用户取消了选择
+    }
+
+    const replacement = await vscode.window.showInputBox({
+        prompt: `将 ${term} 替换为（正则关键词可使用 $1、$& 引用匹配内容）`,
+        placeHolder: '替换文本'
+    });
+    if (replacement === undefined) {
+        return; // 用户取消了输入
+    }
+
+    try {
+        // 匹配规则与得到这些结果的搜索一致
+        const search = SearchHistory.getInstance().getLastSearch() ?? getConfiguration();
+        const replacements = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: '正在查找替换项...',
+            cancellable: true
+        }, (progress, token) => findReplacements(
+            files, term, replacement, search.caseSensitive, search.wholeWord, getVariantOptions(search), token
+        ));
+
+        if (replacements.length === 0) {
+            vscode.window.showInformationMessage(`在结果中没有找到 ${term}`);
+            return;
+        }
+
+        const { applied, fileCount, replaceCount } = await applyReplacements(replacements, undefined, true);
+        if (applied) {
+            vscode.window.showInformationMessage(`已在 ${fileCount} 个文件中替换 ${replaceCount} 处，可通过撤销一次恢复所有文件`);
+        }
+    } catch (error) {
+        console.error('替换失败:', error);
+        vscode.window.showErrorMessage(`替换失败: ${error instanceof Error ? error.message : '未知错误'}`);
+    }
+}
+
+/**
+ * 设置结果树视图是否按目录分组，树视图在配置变化时刷新
+ */
+async function setGroupByFolder(groupByFolder: boolean): Promise<void> {
+    await vscode.workspace.getConfiguration('intersectionSearch')
+        .update('groupByFolder', groupByFolder, vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * 建立或更新搜索索引
+ * @param rebuild 是否忽略已有索引完全重建；否则已有索引只增量更新变化的文件
+ */
+async function buildIndex(rebuild: boolean): Promise<void> {
+    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+        vscode.window.showErrorMessage('没有打开的工作区文件夹');
+        return;
+    }
+
+    try {
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: rebuild ? '正在重建搜索索引' : '正在建立搜索索引',
+            cancellable: true
+        }, async (progress, token) => {
+            const indexManager = IndexManager.getInstance();
+
+            if (!rebuild) {
+                progress.report({ message: '正在检查已有索引...' });
+                const updated = await indexManager.reconcile();
+                if (updated !== null) {
+                    const index = indexManager.getIndex()!;
+                    vscode.window.showInformationMessage(
+                        `索引已是最新：更新了 ${updated} 个文件，共索引 ${index.totalFiles} 个文件`
+                    );
+                    return;
+                }
+            }
+
+            const index = await buildSearchIndex(progress, token);
+            if (!index) {
+                vscode.window.showInformationMessage('已取消建立索引');
+                return;
+            }
+            vscode.window.showInformationMessage(
+                `索引建立完成：共索引 ${index.totalFiles} 个文件，${index.totalWords} 个词汇`
+            );
+        });
+    } catch (error) {
+        console.error('建立索引失败:', error);
+        vscode.window.showErrorMessage(`建立索引失败: ${error instanceof Error ? error.message : '未知错误'}`);
+    }
+}
+
+/**
+ * 多根工作区时让用户选择要搜索的文件夹（默认全选）
+ * @returns 选中的文件夹；用户取消或未选择任何文件夹时返回 undefined
+ */
+async function pickWorkspaceFolders(): Promise<readonly vscode.WorkspaceFolder[] | undefined> {
+    const workspaceFolders = vscode.workspace.workspaceFolders ?? [];
+    if (workspaceFolders.length <= 1) {
+        return workspaceFolders;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        workspaceFolders.map(folder => ({
+            label: folder.name,
+            description: folder.uri.fsPath,
+            picked: true,
+            folder
+        })),
+        {
+            canPickMany: true,
+            placeHolder: '选择要搜索的工作区文件夹'
+        }
+    );
+
+    if (!picked) {
+        return undefined;
+    }
+    if (picked.length === 0) {
+        vscode.window.showWarningMessage('请至少选择一个工作区文件夹');
+        return undefined;
+    }
+    return picked.map(item => item.folder);
 }
 
 /**
@@ -108,4 +724,5 @@ export function deactivate() {
 
     // 清理输出通道
     OutputChannelManager.getInstance().dispose();
+    SearchHistory.getInstance().dispose();
 }
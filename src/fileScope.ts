@@ -0,0 +1,158 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { getChangedFiles } from './git';
+
+/**
+ * 搜索的文件范围，在工作区文件夹的基础上进一步缩小要搜索的文件
+ *
+ * 包含/忽略模式、忽略文件和排除设置在任何范围内都照常生效。
+ */
+export type FileScope =
+    | { kind: 'workspace' }
+    /** 资源管理器中选择的文件夹 */
+    | { kind: 'folder'; path: string }
+    /** 编辑器中打开的文件 */
+    | { kind: 'openEditors' }
+    /** 相对于指定提交（默认 HEAD）有改动的文件，包括未跟踪的新文件 */
+    | { kind: 'gitChanges'; ref?: string }
+    /** 当前搜索结果中的文件，用于在结果中继续搜索 */
+    | { kind: 'results'; files: string[] }
+    /** 指定分支、标签或提交中的文件，通过git读取该版本的内容 */
+    | { kind: 'revision'; ref: string };
+
+export type FileScopeKind = FileScope['kind'];
+
+/**
+ * 解析后的文件范围
+ */
+export interface ResolvedFileScope {
+    folders: readonly vscode.WorkspaceFolder[];
+    /** 只搜索这些目录中的文件，未指定时搜索整个文件夹 */
+    directories?: string[];
+    /** 只搜索这些文件，未指定时按文件夹或目录枚举文件 */
+    files?: string[];
+}
+
+/**
+ * 描述文件范围，显示在搜索结果的统计信息中
+ */
+export function describeFileScope(scope: FileScope): string {
+    switch (scope.kind) {
+        case 'workspace':
+            return '整个工作区';
+        case 'folder':
+            return `文件夹 ${vscode.workspace.asRelativePath(scope.path, true)}`;
+        case 'openEditors':
+            return '打开的编辑器';
+        case 'gitChanges':
+            return `相对 ${scope.ref || 'HEAD'} 改动的文件`;
+        case 'results':
+            return `当前结果（${scope.files.length} 个文件）`;
+        case 'revision':
+            return `版本 ${scope.ref}`;
+    }
+}
+
+/**
+ * 将文件范围解析为要搜索的文件夹、目录或文件
+ * @param folders 要搜索的工作区文件夹；文件夹范围只搜索所选文件夹所属的工作区文件夹
+ */
+export async function resolveFileScope(
+    scope: FileScope,
+    folders: readonly vscode.WorkspaceFolder[]
+): Promise<ResolvedFileScope> {
+    switch (scope.kind) {
+        case 'workspace':
+            return { folders };
+        case 'folder': {
+            const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(scope.path));
+            if (!folder) {
+                throw new Error(`文件夹不在工作区中: ${scope.path}`);
+            }
+            return { folders: [folder], directories: [scope.path] };
+        }
+        case 'openEditors':
+            return { folders, files: filterFiles(getOpenEditorFiles(), folders) };
+        case 'gitChanges':
+            return { folders, files: filterFiles(await getGitChangedFiles(folders, scope.ref), folders) };
+        case 'results':
+            return { folders, files: filterFiles(scope.files, folders) };
+        case 'revision':
+            // 该版本中的文件由 searchRevision 通过git列出
+            return { folders };
+    }
+}
+
+/**
+ * 创建判断文件是否在解析后范围内的函数
+ */
+export function createScopeFilter(scope: ResolvedFileScope): (filePath: string) => boolean {
+    if (scope.files) {
+        const files = new Set(scope.files);
+        return filePath => files.has(filePath);
+    }
+
+    // 不同的工作区文件夹可以同名，按URI比较
+    const folderUris = new Set(scope.folders.map(folder => folder.uri.toString()));
+    const directories = scope.directories;
+    return filePath => {
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+        if (!folder || !folderUris.has(folder.uri.toString())) {
+            return false;
+        }
+        return !directories || directories.some(directory => isInside(filePath, directory));
+    };
+}
+
+/**
+ * 所有编辑器组中打开的本地文件（包括对比编辑器的两侧）
+ */
+function getOpenEditorFiles(): string[] {
+    const files: string[] = [];
+    for (const group of vscode.window.tabGroups.all) {
+        for (const tab of group.tabs) {
+            const input = tab.input;
+            const uris = input instanceof vscode.TabInputText
+                ? [input.uri]
+                : input instanceof vscode.TabInputTextDiff ? [input.original, input.modified] : [];
+            files.push(...uris.filter(uri => uri.scheme === 'file').map(uri => uri.fsPath));
+        }
+    }
+    return files;
+}
+
+/**
+ * 获取各工作区文件夹中git改动的文件；不是git仓库的文件夹被忽略，所有文件夹都失败时报告第一个错误
+ */
+async function getGitChangedFiles(folders: readonly vscode.WorkspaceFolder[], ref?: string): Promise<string[]> {
+    const settled = await Promise.allSettled(folders.map(folder => getChangedFiles(folder.uri.fsPath, ref)));
+
+    const files: string[] = [];
+    for (const result of settled) {
+        if (result.status === 'fulfilled') {
+            files.push(...result.value);
+        }
+    }
+
+    const rejected = settled.find((result): result is PromiseRejectedResult => result.status === 'rejected');
+    if (rejected && settled.every(result => result.status === 'rejected')) {
+        throw rejected.reason;
+    }
+    return files;
+}
+
+/**
+ * 去重并只保留在所选工作区文件夹中的文件
+ */
+function filterFiles(files: string[], folders: readonly vscode.WorkspaceFolder[]): string[] {
+    const isInScope = createScopeFilter({ folders });
+    return Array.from(new Set(files)).filter(isInScope);
+}
+
+/**
+ * 路径是否位于目录中（包括目录本身）
+ */
+function isInside(filePath: string, directory: string): boolean {
+    const relativePath = path.relative(directory, filePath);
+    return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
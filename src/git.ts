@@ -0,0 +1,211 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { execFile, spawn } from 'child_process';
+
+/**
+ * 通过本地git命令读取仓库信息
+ */
+
+/**
+ * 获取仓库中相对于指定提交（默认 HEAD）有改动的文件，包括未提交的修改和未跟踪的新文件，不包括已删除的文件
+ * @param directory 仓库中的任一目录
+ * @param ref 比较的提交、分支或标签
+ * @returns 文件的绝对路径
+ */
+export async function getChangedFiles(directory: string, ref: string = 'HEAD'): Promise<string[]> {
+    if (ref.startsWith('-')) {
+        throw new Error(`无效的git引用: ${ref}`);
+    }
+
+    const root = await getRepositoryRoot(directory);
+
+    // 两个命令都在仓库根目录运行，输出的路径都相对于根目录
+    const changed = await runGit(root, ['diff', '--name-only', '-z', ref, '--']);
+    const untracked = await runGit(root, ['ls-files', '--others', '--exclude-standard', '-z']);
+
+    const files = new Set<string>();
+    for (const relativePath of [...changed.split('\0'), ...untracked.split('\0')]) {
+        if (!relativePath) {
+            continue;
+        }
+        const filePath = path.join(root, relativePath);
+        if (fs.existsSync(filePath)) {
+            files.add(filePath);
+        }
+    }
+    return Array.from(files);
+}
+
+/**
+ * 获取目录所在仓库的根目录
+ */
+export async function getRepositoryRoot(directory: string): Promise<string> {
+    return (await runGit(directory, ['rev-parse', '--show-toplevel'])).trim();
+}
+
+/**
+ * 提交中的一个文件
+ */
+export interface RevisionFile {
+    /** 相对于仓库根目录的路径，使用 / 分隔 */
+    path: string;
+    /** 文件内容的对象名 */
+    object: string;
+    size: number;
+}
+
+/**
+ * 提交的基本信息
+ */
+export interface CommitInfo {
+    hash: string;
+    author: string;
+    date: Date;
+    /** 提交说明的第一行 */
+    subject: string;
+}
+
+/**
+ * 解析分支、标签或提交指向的提交
+ * @param directory 仓库中的任一目录
+ * @returns 仓库根目录和解析到的提交
+ */
+export async function resolveRevision(directory: string, ref: string): Promise<{ root: string; commit: CommitInfo }> {
+    if (ref.startsWith('-')) {
+        throw new Error(`无效的git引用: ${ref}`);
+    }
+
+    const root = await getRepositoryRoot(directory);
+    const [commit] = parseCommits(await runGit(root, ['log', '-1', `--format=${commitFormat}`, ref, '--']));
+    if (!commit) {
+        throw new Error(`找不到git引用: ${ref}`);
+    }
+    return { root, commit };
+}
+
+/**
+ * 列出提交中的文件（不包括符号链接和子模块）
+ * @param directory 只列出这个目录（相对于仓库根目录）中的文件，为空时列出所有文件
+ */
+export async function listRevisionFiles(root: string, commit: string, directory: string = ''): Promise<RevisionFile[]> {
+    const output = await runGit(root, ['ls-tree', '-r', '-l', '-z', '--full-tree', commit, '--', ...(directory ? [directory] : [])]);
+
+    const files: RevisionFile[] = [];
+    for (const entry of output.split('\0')) {
+        // <mode> <type> <object> <size>\t<path>
+        const match = /^(\d+) (\w+) ([0-9a-f]+) +(\d+)\t(.+)$/s.exec(entry);
+        if (match && match[2] === 'blob' && match[1] !== '120000') {
+            files.push({ path: match[5], object: match[3], size: Number(match[4]) });
+        }
+    }
+    return files;
+}
+
+/**
+ * 列出修改过文件的提交，从旧到新
+ * @param relativePath 相对于仓库根目录的路径
+ */
+export async function getFileHistory(root: string, relativePath: string): Promise<CommitInfo[]> {
+    return parseCommits(await runGit(root, ['log', '--reverse', `--format=${commitFormat}`, '--', relativePath]));
+}
+
+/**
+ * 批量读取对象内容（对象名或 提交:路径），按请求的顺序逐个回调；对象不存在时内容为 null
+ * @param token 取消时结束读取
+ */
+export function readObjects(
+    root: string,
+    objects: string[],
+    onObject: (index: number, content: Buffer | null) => void,
+    token?: vscode.CancellationToken
+): Promise<void> {
+    return new Promise((resolve, reject) => {
+        if (objects.length === 0) {
+            resolve();
+            return;
+        }
+
+        const child = spawn('git', ['cat-file', '--batch'], { cwd: root });
+        const cancellation = token?.onCancellationRequested(() => child.kill());
+        let pending = Buffer.alloc(0);
+        let index = 0;
+        let stderr = '';
+
+        child.stdout.on('data', (chunk: Buffer) => {
+            pending = Buffer.concat([pending, chunk]);
+
+            // 每个对象的输出为 "<对象> <类型> <大小>\n<内容>\n"，不存在的对象为 "<名称> missing\n"
+            for (;;) {
+                const headerEnd = pending.indexOf(0x0a);
+                if (headerEnd < 0) {
+                    return;
+                }
+                const header = pending.subarray(0, headerEnd).toString();
+                if (header.endsWith(' missing') || header.endsWith(' ambiguous')) {
+                    pending = pending.subarray(headerEnd + 1);
+                    onObject(index++, null);
+                    continue;
+                }
+
+                const size = Number(header.split(' ')[2]);
+                if (pending.length < headerEnd + 1 + size + 1) {
+                    return; // 内容还没有读完
+                }
+                const content = Buffer.from(pending.subarray(headerEnd + 1, headerEnd + 1 + size));
+                pending = pending.subarray(headerEnd + 1 + size + 1);
+                onObject(index++, content);
+            }
+        });
+        child.stderr.on('data', (chunk: Buffer) => stderr += chunk.toString());
+        child.stdin.on('error', () => undefined); // 进程提前退出时写入失败，错误由 close 事件报告
+
+        child.on('error', error => {
+            cancellation?.dispose();
+            reject(new Error((error as NodeJS.ErrnoException).code === 'ENOENT'
+                ? 'git cat-file 失败: 未找到git，请安装git'
+                : `git cat-file 失败: ${error.message}`));
+        });
+        child.on('close', code => {
+            cancellation?.dispose();
+            if (code !== 0 && !token?.isCancellationRequested) {
+                reject(new Error(`git cat-file 失败: ${stderr.trim() || `退出码 ${code}`}`));
+                return;
+            }
+            resolve();
+        });
+
+        child.stdin.end(objects.map(object => `${object}\n`).join(''));
+    });
+}
+
+// 提交信息的格式：哈希、作者、提交时间（秒）和说明，以单元分隔符分隔
+const commitFormat = '%H%x1f%an%x1f%ct%x1f%s';
+
+/**
+ * 解析按 commitFormat 输出的提交列表
+ */
+function parseCommits(output: string): CommitInfo[] {
+    return output.split('\n').filter(line => line.length > 0).map(line => {
+        const [hash, author, time, subject] = line.split('\x1f');
+        return { hash, author, date: new Date(Number(time) * 1000), subject: subject ?? '' };
+    });
+}
+
+/**
+ * 在指定目录运行git命令并返回标准输出，git不可用或命令失败时抛出错误
+ */
+function runGit(cwd: string, args: string[]): Promise<string> {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const message = (error as NodeJS.ErrnoException).code === 'ENOENT'
+                    ? '未找到git，请安装git'
+                    : stderr.trim() || error.message;
+                reject(new Error(`git ${args[0]} 失败: ${message}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
@@ -0,0 +1,242 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { SearchResult } from './utils';
+import { TermMatcher, createTermMatchers } from './matcher';
+import { VariantOptions } from './keywordVariants';
+import { getResultUri } from './revisionSearch';
+
+/**
+ * 在结果文件的编辑器中按关键词分色高亮，并在匹配之间跳转
+ *
+ * 高亮在新的搜索完成或清除高亮前一直保留，编辑器切换或文件修改后重新计算；
+ * 搜索限定了共现范围或区域时，只高亮结果中记录的匹配所在的行（窗口外或区域外的匹配不高亮，也不跳转）；
+ * 颜色由 contributes.colors 中的 intersectionSearch.keywordHighlight1~6 提供，可以随主题和用户设置变化。
+ */
+export class KeywordHighlighter implements vscode.Disposable {
+    private static instance: KeywordHighlighter;
+    // 关键词颜色的数量，超出时循环使用
+    private static readonly colorCount = 6;
+    // 文件修改后重新计算高亮的等待时间（毫秒）
+    private static readonly updateDelay = 200;
+
+    private readonly decorationTypes: vscode.TextEditorDecorationType[];
+    private readonly disposables: vscode.Disposable[] = [];
+    private keywords: string[] = [];
+    private matchers: TermMatcher[] = [];
+    /** 结果文件，跳转到下一个文件时按这个顺序 */
+    private results: SearchResult[] = [];
+    /** 结果文件 -> 各关键词可以高亮的行（0基），undefined 表示不限制 */
+    private resultLines = new Map<string, Map<string, Set<number>> | undefined>();
+    private updateTimer: NodeJS.Timeout | undefined;
+
+    private constructor() {
+        this.decorationTypes = Array.from({ length: KeywordHighlighter.colorCount }, (_, index) => {
+            const color = new vscode.ThemeColor(`intersectionSearch.keywordHighlight${index + 1}`);
+            return vscode.window.createTextEditorDecorationType({
+                backgroundColor: color,
+                borderRadius: '2px',
+                overviewRulerColor: color,
+                overviewRulerLane: vscode.OverviewRulerLane.Center
+            });
+        });
+
+        this.disposables.push(
+            vscode.window.onDidChangeVisibleTextEditors(editors => editors.forEach(editor => this.decorate(editor))),
+            vscode.workspace.onDidChangeTextDocument(event => {
+                if (this.resultLines.has(event.document.uri.fsPath)) {
+                    this.scheduleUpdate();
+                }
+            })
+        );
+    }
+
+    public static getInstance(): KeywordHighlighter {
+        if (!KeywordHighlighter.instance) {
+            KeywordHighlighter.instance = new KeywordHighlighter();
+        }
+        return KeywordHighlighter.instance;
+    }
+
+    /**
+     * 设置新的搜索结果，替换之前的高亮
+     * @param results 结果文件，按显示顺序
+     * @param variantOptions 得到这些结果的搜索所用的模糊匹配和标识符匹配设置
+     */
+    public setSearch(
+        keywords: string[],
+        results: SearchResult[],
+        caseSensitive: boolean,
+        wholeWord: boolean,
+        variantOptions: VariantOptions
+    ): void {
+        this.keywords = [...keywords];
+        this.matchers = createTermMatchers(keywords, caseSensitive, wholeWord, variantOptions);
+        this.results = [...results];
+        this.resultLines = new Map(results.map(result => [result.filePath, getRecordedLines(result)]));
+        vscode.commands.executeCommand('setContext', 'intersectionSearch:hasHighlights', results.length > 0);
+        this.decorateAll();
+    }
+
+    /**
+     * 文件是否在当前高亮的结果中
+     */
+    public includes(filePath: string): boolean {
+        return this.resultLines.has(filePath);
+    }
+
+    /**
+     * 清除所有高亮，之后不再跳转匹配
+     */
+    public clear(): void {
+        this.keywords = [];
+        this.matchers = [];
+        this.results = [];
+        this.resultLines.clear();
+        vscode.commands.executeCommand('setContext', 'intersectionSearch:hasHighlights', false);
+        this.decorateAll();
+    }
+
+    /**
+     * 按文档当前内容查找所有关键词的匹配，按位置排序
+     */
+    public getMatchRanges(document: vscode.TextDocument): vscode.Range[] {
+        return this.findRangesByKeyword(document).flat().sort((a, b) => a.start.compareTo(b.start));
+    }
+
+    /**
+     * 跳转到下一处匹配；当前文件中没有更多匹配时跳转到下一个结果文件的第一处匹配
+     */
+    public async nextMatch(): Promise<void> {
+        await this.moveToMatch(1);
+    }
+
+    /**
+     * 跳转到上一处匹配；当前文件中没有更早的匹配时跳转到上一个结果文件的最后一处匹配
+     */
+    public async previousMatch(): Promise<void> {
+        await this.moveToMatch(-1);
+    }
+
+    private async moveToMatch(direction: 1 | -1): Promise<void> {
+        if (this.results.length === 0) {
+            vscode.window.showInformationMessage('没有可以跳转的搜索结果，请先搜索');
+            return;
+        }
+
+        // 先在当前文件中查找
+        const editor = vscode.window.activeTextEditor;
+        const currentIndex = editor ? this.results.findIndex(result => result.filePath === editor.document.uri.fsPath) : -1;
+        if (editor && currentIndex >= 0) {
+            const ranges = this.getMatchRanges(editor.document);
+            const cursor = editor.selection.start;
+            const range = direction === 1
+                ? ranges.find(candidate => candidate.start.isAfter(cursor))
+                : [...ranges].reverse().find(candidate => candidate.start.isBefore(cursor));
+            if (range) {
+                this.select(editor, range);
+                return;
+            }
+        }
+
+        // 依次尝试后面（或前面）的结果文件，跳过已经没有匹配的文件，到末尾时回到开头
+        const count = this.results.length;
+        const start = currentIndex >= 0 ? currentIndex : (direction === 1 ? -1 : count);
+        for (let step = 1; step <= count; step++) {
+            const result = this.results[((start + direction * step) % count + count) % count];
+            try {
+                const document = await vscode.workspace.openTextDocument(getResultUri(result));
+                const ranges = this.getMatchRanges(document);
+                if (ranges.length === 0) {
+                    continue;
+                }
+                const target = await vscode.window.showTextDocument(document);
+                this.select(target, direction === 1 ? ranges[0] : ranges[ranges.length - 1]);
+                return;
+            } catch (error) {
+                console.error(`打开文件失败: ${result.filePath}`, error);
+            }
+        }
+
+        vscode.window.showInformationMessage('结果文件中已经没有匹配');
+    }
+
+    private select(editor: vscode.TextEditor, range: vscode.Range): void {
+        editor.selection = new vscode.Selection(range.start, range.end);
+        editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        vscode.window.setStatusBarMessage(`${path.basename(editor.document.fileName)}: 第 ${range.start.line + 1} 行`, 2000);
+    }
+
+    private decorateAll(): void {
+        vscode.window.visibleTextEditors.forEach(editor => this.decorate(editor));
+    }
+
+    /**
+     * 高亮编辑器中的关键词；不是结果文件时清除高亮
+     */
+    private decorate(editor: vscode.TextEditor): void {
+        const rangesByKeyword = this.resultLines.has(editor.document.uri.fsPath)
+            ? this.findRangesByKeyword(editor.document)
+            : [];
+
+        this.decorationTypes.forEach((decorationType, colorIndex) => {
+            const ranges = rangesByKeyword
+                .filter((_, keywordIndex) => keywordIndex % KeywordHighlighter.colorCount === colorIndex)
+                .flat();
+            editor.setDecorations(decorationType, ranges);
+        });
+    }
+
+    /**
+     * 逐行查找每个关键词的匹配，正则关键词使用实际匹配长度；结果限定了行时只查找这些行
+     */
+    private findRangesByKeyword(document: vscode.TextDocument): vscode.Range[][] {
+        const recordedLines = this.resultLines.get(document.uri.fsPath);
+        const rangesByKeyword: vscode.Range[][] = this.matchers.map(() => []);
+        for (let line = 0; line < document.lineCount; line++) {
+            const lineText = document.lineAt(line).text;
+            this.matchers.forEach((matcher, keywordIndex) => {
+                if (recordedLines && !recordedLines.get(this.keywords[keywordIndex])?.has(line)) {
+                    return;
+                }
+                for (const match of matcher.findAll(lineText)) {
+                    rangesByKeyword[keywordIndex].push(new vscode.Range(line, match.index, line, match.index + match.length));
+                }
+            });
+        }
+        return rangesByKeyword;
+    }
+
+    private scheduleUpdate(): void {
+        if (this.updateTimer) {
+            clearTimeout(this.updateTimer);
+        }
+
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = undefined;
+            this.decorateAll();
+        }, KeywordHighlighter.updateDelay);
+    }
+
+    public dispose(): void {
+        if (this.updateTimer) {
+            clearTimeout(this.updateTimer);
+        }
+        this.decorationTypes.forEach(decorationType => decorationType.dispose());
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+/**
+ * 结果中每个关键词的匹配所在的行（0基）
+ *
+ * 有共现窗口或限定了区域时，结果只记录窗口内、区域内的匹配，高亮也只限于这些行；
+ * 整个文件范围的结果不限制，文件修改后新出现的匹配也会高亮。
+ */
+function getRecordedLines(result: SearchResult): Map<string, Set<number>> | undefined {
+    const isRestricted = result.windows !== undefined ||
+        result.matches.some(match => match.positions.some(position => position.zone !== undefined));
+    if (!isRestricted) {
+        return undefined;
+    }
+    return new Map(result.matches.map(match => [match.keyword, new Set(match.positions.map(position => position.line - 1))]));
+}
@@ -0,0 +1,80 @@
+import { TermMatch } from './matcher';
+
+/**
+ * 标识符匹配
+ *
+ * 关键词和源码中的标识符都拆分为单词（camelCase、PascalCase、snake_case、SCREAMING_SNAKE_CASE、kebab-case），
+ * 关键词的单词与标识符中连续的单词相同（不区分大小写）即算匹配。例如关键词 `user name`、`userName` 或 `user_name`
+ * 都能匹配 userName、user_name、USER_NAME、user-name 以及 getUserName 中的 UserName。
+ */
+
+/**
+ * 标识符中的一个单词（小写）及其在文本中的位置
+ */
+interface IdentifierWord {
+    text: string;
+    start: number;
+    end: number;
+}
+
+// 由字母数字组成、以下划线或连字符连接的标识符
+const identifierPattern = /[A-Za-z0-9]+(?:[-_]+[A-Za-z0-9]+)*/g;
+// 标识符内的单词：连续大写（后面不是小写，如 HTTPServer 中的 HTTP）、首字母大写或小写的单词、数字
+const wordPattern = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g;
+// 可以按标识符匹配的关键词：只包含字母、数字、下划线、连字符和空白，且至少有一个字母
+const identifierKeywordPattern = /^(?=.*[A-Za-z])[A-Za-z0-9_\-\s]+$/;
+
+/**
+ * 将标识符拆分为单词
+ * @param offset 标识符在所在文本中的起始位置
+ */
+function splitIdentifier(identifier: string, offset: number): IdentifierWord[] {
+    const words: IdentifierWord[] = [];
+    wordPattern.lastIndex = 0;
+
+    let match;
+    while ((match = wordPattern.exec(identifier)) !== null) {
+        words.push({
+            text: match[0].toLowerCase(),
+            start: offset + match.index,
+            end: offset + match.index + match[0].length
+        });
+    }
+    return words;
+}
+
+/**
+ * 将关键词拆分为小写单词；关键词包含其他字符（例如中文或标点）、不能按标识符匹配时返回 null
+ */
+export function getIdentifierWords(keyword: string): string[] | null {
+    if (!identifierKeywordPattern.test(keyword)) {
+        return null;
+    }
+    return splitIdentifier(keyword, 0).map(word => word.text);
+}
+
+/**
+ * 在一行文本中查找与关键词单词匹配的标识符片段，匹配范围从第一个单词开头到最后一个单词结尾
+ * @param wholeWord 为 true 时关键词必须与整个标识符的单词完全相同
+ */
+export function findIdentifierMatches(text: string, words: string[], wholeWord: boolean): TermMatch[] {
+    const matches: TermMatch[] = [];
+    if (words.length === 0) {
+        return matches;
+    }
+
+    identifierPattern.lastIndex = 0;
+    let identifier;
+    while ((identifier = identifierPattern.exec(text)) !== null) {
+        const parts = splitIdentifier(identifier[0], identifier.index);
+        const lastStart = wholeWord ? (parts.length === words.length ? 0 : -1) : parts.length - words.length;
+
+        for (let i = 0; i <= lastStart; i++) {
+            if (words.every((word, k) => parts[i + k].text === word)) {
+                const end = parts[i + words.length - 1].end;
+                matches.push({ index: parts[i].start, length: end - parts[i].start });
+            }
+        }
+    }
+    return matches;
+}
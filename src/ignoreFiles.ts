@@ -0,0 +1,191 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { escapeRegExp } from './matcher';
+
+/**
+ * 按 gitignore 语法读取的忽略文件，与ripgrep读取的文件一致（包括子目录中的文件）
+ *
+ * 同一目录中后读取的文件优先：.gitignore < .ignore < .rgignore；子目录的规则优先于上级目录。
+ */
+export const ignoreFileNames = ['.gitignore', '.ignore', '.rgignore'];
+
+/**
+ * 忽略文件中的一条规则
+ */
+interface IgnoreRule {
+    /** 匹配相对于忽略文件所在目录的路径（以 / 分隔） */
+    regex: RegExp;
+    /** 以 ! 开头，重新包含之前被忽略的路径 */
+    negated: boolean;
+    /** 以 / 结尾，只匹配目录 */
+    directoryOnly: boolean;
+}
+
+/**
+ * 解析忽略文件的内容
+ */
+export function parseIgnoreFile(content: string): IgnoreRule[] {
+    const rules: IgnoreRule[] = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        // 去掉行尾未转义的空格
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const negated = line.startsWith('!');
+        if (negated) {
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        const directoryOnly = line.endsWith('/');
+        if (directoryOnly) {
+            line = line.slice(0, -1);
+        }
+        if (!line) {
+            continue;
+        }
+
+        // 包含 / 的模式相对于忽略文件所在目录，否则匹配任意层级的文件名
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) {
+            line = line.slice(1);
+        }
+
+        rules.push({ regex: ignorePatternToRegExp(line, anchored), negated, directoryOnly });
+    }
+
+    return rules;
+}
+
+/**
+ * 将 gitignore 模式转换为正则表达式
+ */
+function ignorePatternToRegExp(pattern: string, anchored: boolean): RegExp {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*' && (i === 0 || pattern[i - 1] === '/')) {
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?'; // **/ 匹配零个或多个目录
+                i += 2;
+                continue;
+            }
+            if (i + 2 === pattern.length) {
+                source += '.*'; // 末尾的 ** 匹配其下的所有内容
+                break;
+            }
+        }
+
+        if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += `[${body.startsWith('!') ? '^' + body.slice(1) : body}]`;
+            i = end;
+        } else {
+            source += escapeRegExp(ch);
+        }
+    }
+
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+/**
+ * 一个工作区文件夹下的忽略文件匹配器
+ *
+ * 按需读取各级目录中的忽略文件并缓存，一个实例只用于一次搜索或索引更新，忽略文件的修改在下次创建时生效。
+ */
+export class IgnoreFileMatcher {
+    private readonly rules = new Map<string, IgnoreRule[]>();
+    private readonly ignoredDirectories = new Map<string, boolean>();
+
+    constructor(private readonly root: string) {}
+
+    /**
+     * 文件（或目录）是否被忽略；不在根目录下的路径不会被忽略
+     */
+    public isIgnored(filePath: string, isDirectory: boolean = false): boolean {
+        const relativePath = path.relative(this.root, filePath);
+        if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            return false;
+        }
+
+        // 上级目录被忽略时，其中的文件不能被重新包含
+        const segments = relativePath.split(path.sep);
+        for (let i = 1; i < segments.length; i++) {
+            if (this.isDirectoryIgnored(segments.slice(0, i))) {
+                return true;
+            }
+        }
+        return this.matches(segments, isDirectory);
+    }
+
+    private isDirectoryIgnored(segments: string[]): boolean {
+        const key = segments.join('/');
+        let ignored = this.ignoredDirectories.get(key);
+        if (ignored === undefined) {
+            ignored = this.matches(segments, true);
+            this.ignoredDirectories.set(key, ignored);
+        }
+        return ignored;
+    }
+
+    /**
+     * 按各级目录的规则判断路径是否被忽略，最后一条匹配的规则决定结果
+     */
+    private matches(segments: string[], isDirectory: boolean): boolean {
+        let ignored = false;
+
+        for (let depth = 0; depth < segments.length; depth++) {
+            const rules = this.getRules(segments.slice(0, depth));
+            const relativePath = segments.slice(depth).join('/');
+            for (const rule of rules) {
+                if ((!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)) {
+                    ignored = !rule.negated;
+                }
+            }
+        }
+
+        return ignored;
+    }
+
+    private getRules(directory: string[]): IgnoreRule[] {
+        const key = directory.join('/');
+        let rules = this.rules.get(key);
+        if (!rules) {
+            const directoryPath = path.join(this.root, ...directory);
+            // 根目录下 .git/info/exclude 的优先级最低
+            const files = directory.length === 0
+                ? [path.join('.git', 'info', 'exclude'), ...ignoreFileNames]
+                : ignoreFileNames;
+            rules = files.flatMap(file => parseIgnoreFile(readTextFileSync(path.join(directoryPath, file))));
+            this.rules.set(key, rules);
+        }
+        return rules;
+    }
+}
+
+/**
+ * 读取文本文件，不存在或无法读取时返回空字符串
+ */
+function readTextFileSync(filePath: string): string {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return '';
+    }
+}
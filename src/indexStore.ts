@@ -0,0 +1,156 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { SkipReason } from './contentSniffer';
+
+/**
+ * 索引的磁盘格式版本，格式变化时递增并在 IndexManager 中提供迁移
+ */
+export const indexFormatVersion = 3;
+
+/**
+ * 倒排表分片数量
+ */
+export const defaultShardCount = 16;
+
+/**
+ * 索引清单，最后写入，存在即表示索引完整
+ */
+export interface IndexManifest {
+    formatVersion: number;
+    /** 建立索引时使用的分词规则版本，不一致时倒排表不能继续使用 */
+    tokenizerVersion: number;
+    createdAt: number;
+    updatedAt: number;
+    shardCount: number;
+    /** 下一个可分配的文件编号 */
+    nextId: number;
+    /** 倒排表中仍引用但已失效的文件编号数量，过多时压缩 */
+    deadIds: number;
+    totalWords: number;
+}
+
+/**
+ * 文件元数据（紧凑格式，按字段顺序存储）
+ */
+export type StoredFileEntry = [
+    id: number,
+    filePath: string,
+    relativePath: string,
+    workspaceFolder: string | null,
+    lastModified: number,
+    fileSize: number,
+    encoding: string,
+    /** 格式 3 起：二进制或压缩的文件，不在倒排表中 */
+    skipReason: SkipReason | null
+];
+
+/**
+ * 倒排表分片：词汇 -> 文件编号列表
+ */
+export type PostingShard = Map<string, number[]>;
+
+/**
+ * 索引的磁盘存储
+ *
+ * 目录结构：
+ *   manifest.json      索引清单
+ *   files.json         文件元数据
+ *   postings/N.json    按词汇哈希划分的倒排表分片
+ */
+export class IndexStore {
+    constructor(public readonly directory: string) {}
+
+    private get manifestPath(): string {
+        return path.join(this.directory, 'manifest.json');
+    }
+
+    private get filesPath(): string {
+        return path.join(this.directory, 'files.json');
+    }
+
+    private shardPath(shard: number): string {
+        return path.join(this.directory, 'postings', `${shard}.json`);
+    }
+
+    /**
+     * 读取索引清单，不存在或已损坏时返回 null
+     */
+    public async readManifest(): Promise<IndexManifest | null> {
+        const manifest = await readJson(this.manifestPath);
+        if (!manifest || typeof manifest.formatVersion !== 'number') {
+            return null;
+        }
+        return manifest as IndexManifest;
+    }
+
+    /**
+     * 读取文件元数据
+     */
+    public async readFiles(): Promise<StoredFileEntry[]> {
+        const files = await readJson(this.filesPath);
+        if (!Array.isArray(files)) {
+            throw new Error('索引文件元数据已损坏');
+        }
+        return files as StoredFileEntry[];
+    }
+
+    /**
+     * 读取倒排表分片，分片不存在时返回空表
+     */
+    public async readShard(shard: number): Promise<PostingShard> {
+        const data = await readJson(this.shardPath(shard));
+        return new Map(data ? Object.entries(data as { [token: string]: number[] }) : []);
+    }
+
+    /**
+     * 写入索引：先写分片和文件元数据，最后写清单
+     */
+    public async write(manifest: IndexManifest, files: StoredFileEntry[], shards: Map<number, PostingShard>): Promise<void> {
+        await fs.promises.mkdir(path.join(this.directory, 'postings'), { recursive: true });
+
+        for (const [shard, postings] of shards) {
+            await writeJsonAtomic(this.shardPath(shard), Object.fromEntries(postings));
+        }
+        await writeJsonAtomic(this.filesPath, files);
+        await writeJsonAtomic(this.manifestPath, manifest);
+    }
+
+    /**
+     * 删除整个索引目录
+     */
+    public async clear(): Promise<void> {
+        await fs.promises.rm(this.directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * 计算词汇所在的分片（FNV-1a 哈希）
+ */
+export function shardOf(token: string, shardCount: number): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % shardCount;
+}
+
+async function readJson(filePath: string): Promise<any> {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if ((error as any).code !== 'ENOENT') {
+            console.error(`读取索引文件失败: ${filePath}`, error);
+        }
+        return null;
+    }
+}
+
+/**
+ * 先写临时文件再重命名，避免中断时留下半个文件
+ */
+async function writeJsonAtomic(filePath: string, data: unknown): Promise<void> {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, filePath);
+}
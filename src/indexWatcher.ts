@@ -0,0 +1,107 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { IndexManager, getConfiguration } from './utils';
+import { ignoreFileNames } from './ignoreFiles';
+
+/**
+ * 监听工作区文件变化，增量更新搜索索引
+ *
+ * 文件的创建、修改和删除事件会先合并，空闲一段时间后只重新索引变化的文件；
+ * 影响索引范围的配置、忽略文件或工作区文件夹变化时，重新校对整个索引；编码设置变化时还会重新索引受影响的文件。
+ */
+export class IndexWatcher implements vscode.Disposable {
+    private readonly disposables: vscode.Disposable[] = [];
+    private flushTimer: NodeJS.Timeout | undefined;
+
+    // 合并文件变化事件的等待时间（毫秒）
+    private static readonly flushDelay = 1000;
+
+    constructor() {
+        const watcher = vscode.workspace.createFileSystemWatcher('**/*');
+
+        this.disposables.push(
+            watcher,
+            watcher.onDidCreate(uri => this.onFileChanged(uri, false)),
+            watcher.onDidChange(uri => this.onFileChanged(uri, false)),
+            watcher.onDidDelete(uri => this.onFileChanged(uri, true)),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('intersectionSearch.includePatterns') ||
+                    event.affectsConfiguration('intersectionSearch.ignorePatterns') ||
+                    event.affectsConfiguration('intersectionSearch.maxFileSize') ||
+                    event.affectsConfiguration('intersectionSearch.useIgnoreFiles') ||
+                    event.affectsConfiguration('intersectionSearch.useExcludeSettings') ||
+                    (getConfiguration().useExcludeSettings &&
+                        (event.affectsConfiguration('files.exclude') || event.affectsConfiguration('search.exclude')))) {
+                    this.reconcile();
+                } else if (event.affectsConfiguration('intersectionSearch.encodingOverrides') ||
+                    event.affectsConfiguration('files.encoding')) {
+                    this.reconcile(true);
+                }
+            }),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this.reconcile())
+        );
+    }
+
+    /**
+     * 启动时校对已有的索引，使其可以直接用于搜索
+     */
+    public async start(): Promise<void> {
+        if (await IndexManager.getInstance().hasIndex()) {
+            await this.reconcile();
+        }
+    }
+
+    private onFileChanged(uri: vscode.Uri, deleted: boolean): void {
+        const indexManager = IndexManager.getInstance();
+        if (uri.scheme !== 'file' || !indexManager.getIndex()) {
+            return;
+        }
+
+        // 忽略文件变化会改变索引范围
+        if (ignoreFileNames.includes(path.basename(uri.fsPath)) && getConfiguration().useIgnoreFiles) {
+            this.reconcile();
+            return;
+        }
+
+        indexManager.queueChange(uri.fsPath, deleted);
+        if (indexManager.hasPendingChanges()) {
+            this.scheduleFlush();
+        }
+    }
+
+    private scheduleFlush(): void {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = undefined;
+            IndexManager.getInstance().flushPendingChanges().catch(error => {
+                console.error('增量更新索引失败:', error);
+            });
+        }, IndexWatcher.flushDelay);
+    }
+
+    private async reconcile(recheckEncodings: boolean = false): Promise<void> {
+        const indexManager = IndexManager.getInstance();
+        indexManager.markStale();
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: '正在校对搜索索引...'
+        }, async () => {
+            try {
+                await indexManager.reconcile(recheckEncodings);
+            } catch (error) {
+                console.error('校对索引失败:', error);
+            }
+        });
+    }
+
+    public dispose(): void {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+        }
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
@@ -0,0 +1,170 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { TermNode, parseTerm } from './queryParser';
+
+/**
+ * 工作区同义词词典的位置（相对于工作区文件夹）
+ */
+export const synonymFileName = path.join('.vscode', 'intersection-synonyms.json');
+
+/**
+ * 普通关键词的匹配方式
+ */
+export interface KeywordVariants {
+    /** 去掉 ~N 后的关键词 */
+    text: string;
+    /** 同义词词典中的其他写法 */
+    aliases: string[];
+    /** 允许的编辑距离，0 表示精确匹配 */
+    distance: number;
+    /** 是否按标识符中的单词匹配（模糊关键词不按标识符匹配） */
+    identifier: boolean;
+}
+
+/**
+ * 一次搜索中普通关键词的匹配设置，在搜索开始时确定并传给匹配器，匹配时不再读取配置
+ */
+export interface VariantOptions {
+    /** 未写 ~N 的关键词允许的编辑距离，0 表示精确匹配 */
+    fuzzyDistance: number;
+    /** 是否按标识符中的单词匹配 */
+    identifierMatching: boolean;
+}
+
+/**
+ * 获取关键词的别名和编辑距离，正则关键词返回 null
+ *
+ * 词~N 使用指定的编辑距离，其他关键词使用 options.fuzzyDistance；
+ * 编辑距离不超过关键词长度减一，使用设置时每 4 个字符最多 1 处编辑，避免短关键词匹配到无关的词。
+ * @param term 解析后的关键词节点，或关键词的键
+ */
+export function getKeywordVariants(term: string | TermNode, caseSensitive: boolean, options: VariantOptions): KeywordVariants | null {
+    const node = typeof term === 'string' ? parseTerm(term) : term;
+    if (node.regex) {
+        return null;
+    }
+
+    const text = node.text;
+    const distance = Math.max(0, node.fuzzy
+        ? Math.min(node.fuzzy.distance, text.length - 1)
+        : Math.min(options.fuzzyDistance, Math.floor(text.length / 4)));
+
+    return {
+        text,
+        aliases: SynonymDictionary.getInstance().getAliases(text, caseSensitive),
+        distance,
+        identifier: options.identifierMatching && distance === 0
+    };
+}
+
+/**
+ * 关键词中是否有允许编辑的模糊关键词；模糊匹配无法交给ripgrep或索引筛选候选文件
+ */
+export function hasFuzzyKeywords(terms: string[], options: VariantOptions): boolean {
+    return terms.some(term => (getKeywordVariants(term, true, options)?.distance ?? 0) > 0);
+}
+
+/**
+ * 工作区同义词词典
+ *
+ * 每个工作区文件夹的 .vscode/intersection-synonyms.json 是一个对象，键为关键词、值为其别名数组，例如
+ * {"color": ["colour", "yanse"]}；同一组中的词互为别名，多个文件夹的词典合并使用。
+ * 词典在首次使用时读取，文件或工作区文件夹变化后重新读取。
+ */
+export class SynonymDictionary implements vscode.Disposable {
+    private static instance: SynonymDictionary;
+
+    private readonly disposables: vscode.Disposable[] = [];
+    /** 小写的词 -> 与其同组的所有词（包括自身） */
+    private groups: Map<string, Set<string>> | undefined;
+
+    private constructor() {
+        const watcher = vscode.workspace.createFileSystemWatcher('**/.vscode/intersection-synonyms.json');
+        const reset = () => {
+            this.groups = undefined;
+        };
+
+        this.disposables.push(
+            watcher,
+            watcher.onDidCreate(reset),
+            watcher.onDidChange(reset),
+            watcher.onDidDelete(reset),
+            vscode.workspace.onDidChangeWorkspaceFolders(reset)
+        );
+    }
+
+    public static getInstance(): SynonymDictionary {
+        if (!SynonymDictionary.instance) {
+            SynonymDictionary.instance = new SynonymDictionary();
+        }
+        return SynonymDictionary.instance;
+    }
+
+    /**
+     * 获取词的别名（不包括自身）；不区分大小写时按小写查找
+     */
+    public getAliases(word: string, caseSensitive: boolean): string[] {
+        const key = word.toLowerCase();
+        const members = this.getGroups().get(key);
+        if (!members || (caseSensitive && !members.has(word))) {
+            return [];
+        }
+        return Array.from(members).filter(member => caseSensitive ? member !== word : member.toLowerCase() !== key);
+    }
+
+    /**
+     * 词典中是否有任何同义词
+     */
+    public hasSynonyms(): boolean {
+        return this.getGroups().size > 0;
+    }
+
+    private getGroups(): Map<string, Set<string>> {
+        if (!this.groups) {
+            this.groups = new Map();
+            for (const folder of vscode.workspace.workspaceFolders ?? []) {
+                this.load(path.join(folder.uri.fsPath, synonymFileName), this.groups);
+            }
+        }
+        return this.groups;
+    }
+
+    private load(filePath: string, groups: Map<string, Set<string>>): void {
+        let text: string;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch {
+            return; // 没有词典
+        }
+
+        try {
+            const entries = JSON.parse(text);
+            if (typeof entries !== 'object' || entries === null || Array.isArray(entries)) {
+                throw new Error('词典应为对象，键为关键词，值为别名数组');
+            }
+
+            for (const [word, aliases] of Object.entries(entries)) {
+                if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+                    throw new Error(`“${word}”的别名应为字符串数组`);
+                }
+                const words = [word, ...aliases as string[]].filter(member => member.length > 0);
+
+                // 与已有的组合并，使同一组中的词互为别名
+                const merged = new Set<string>();
+                for (const member of words) {
+                    groups.get(member.toLowerCase())?.forEach(existing => merged.add(existing));
+                    merged.add(member);
+                }
+                merged.forEach(member => groups.set(member.toLowerCase(), merged));
+            }
+        } catch (error) {
+            console.error(`读取同义词词典失败: ${filePath}`, error);
+            vscode.window.showErrorMessage(`读取同义词词典失败: ${error instanceof Error ? error.message : '未知错误'}`);
+        }
+    }
+
+    public dispose(): void {
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * 词法区域：按文件类型用轻量的规则切分注释和字符串，判断匹配位于代码、注释还是字符串中
+ *
+ * 只识别注释和字符串的边界，不做完整的语法分析（例如 JavaScript 的正则字面量、模板字符串中的表达式都按字符串处理）；
+ * HTML 等标记语言中属性值和标签之间的文字算作字符串，<script> 和 <style> 中的内容按 JavaScript 和 CSS 的规则切分。
+ * 没有对应规则的文件类型（例如 Markdown、纯文本）整体视为代码。
+ */
+
+/**
+ * 匹配所在的区域
+ */
+export type LexicalZone = 'code' | 'comment' | 'string';
+
+/**
+ * 搜索限定的区域，all 表示不限
+ */
+export type MatchZone = 'all' | LexicalZone;
+
+/**
+ * 区域的显示名称
+ */
+export const matchZoneLabels: { [zone in MatchZone]: string } = {
+    all: '全部',
+    code: '代码',
+    comment: '注释',
+    string: '字符串'
+};
+
+/**
+ * 字符串的定界符
+ */
+interface StringDelimiter {
+    open: string;
+    close: string;
+    /** 是否可以跨行 */
+    multiline: boolean;
+    /** 是否支持反斜杠转义 */
+    escape: boolean;
+}
+
+/**
+ * 一种语言的注释和字符串规则，较长的定界符需要排在前面
+ */
+interface LanguageSyntax {
+    lineComments: string[];
+    blockComments: [string, string][];
+    strings: StringDelimiter[];
+}
+
+/**
+ * 注释或字符串在文本中的范围（不含 end）
+ */
+interface ZoneRange {
+    start: number;
+    end: number;
+    zone: LexicalZone;
+}
+
+const quoted = (quote: string, multiline = false, escape = true): StringDelimiter =>
+    ({ open: quote, close: quote, multiline, escape });
+
+const cStrings = [quoted('"'), quoted('\'')];
+const cSyntax: LanguageSyntax = { lineComments: ['//'], blockComments: [['/*', '*/']], strings: cStrings };
+const javaScriptSyntax: LanguageSyntax = { ...cSyntax, strings: [...cStrings, quoted('`', true)] };
+const cssSyntax: LanguageSyntax = { lineComments: [], blockComments: [['/*', '*/']], strings: cStrings };
+const hashSyntax: LanguageSyntax = { lineComments: ['#'], blockComments: [], strings: cStrings };
+
+const syntaxByExtension: { [extension: string]: LanguageSyntax | 'markup' } = {
+    '.js': javaScriptSyntax,
+    '.jsx': javaScriptSyntax,
+    '.ts': javaScriptSyntax,
+    '.tsx': javaScriptSyntax,
+    '.java': { ...cSyntax, strings: [quoted('"""', true), ...cStrings] },
+    '.c': cSyntax,
+    '.cpp': cSyntax,
+    '.h': cSyntax,
+    '.go': { ...cSyntax, strings: [...cStrings, quoted('`', true, false)] },
+    // 单引号用于生命周期标注，不作为字符串
+    '.rs': { ...cSyntax, strings: [quoted('"', true)] },
+    '.php': { ...cSyntax, lineComments: ['//', '#'] },
+    '.json': cSyntax,
+    '.css': cssSyntax,
+    '.scss': cSyntax,
+    '.less': cSyntax,
+    '.py': { ...hashSyntax, strings: [quoted('"""', true), quoted('\'\'\'', true), ...cStrings] },
+    '.rb': { ...hashSyntax, blockComments: [['=begin', '=end']] },
+    '.yaml': hashSyntax,
+    '.yml': hashSyntax,
+    '.html': 'markup',
+    '.xml': 'markup',
+    '.vue': 'markup',
+    '.jsp': 'markup'
+};
+
+/**
+ * 创建判断位置所在区域的函数
+ * @param lines 文件的所有行
+ * @param fileType 文件扩展名（小写，含点）
+ * @returns 按1基行号和列号返回区域
+ */
+export function createZoneClassifier(lines: string[], fileType: string): (line: number, column: number) => LexicalZone {
+    const syntax = syntaxByExtension[fileType];
+    if (!syntax) {
+        return () => 'code';
+    }
+
+    const text = lines.join('\n');
+    const ranges: ZoneRange[] = [];
+    if (syntax === 'markup') {
+        scanMarkup(text, ranges);
+    } else {
+        scanCode(text, 0, text.length, syntax, ranges);
+    }
+
+    const lineStarts: number[] = [];
+    let offset = 0;
+    for (const line of lines) {
+        lineStarts.push(offset);
+        offset += line.length + 1;
+    }
+
+    return (line, column) => {
+        const position = (lineStarts[line - 1] ?? 0) + column - 1;
+        // 二分查找最后一个起点不超过该位置的范围
+        let low = 0;
+        let high = ranges.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (ranges[middle].start <= position) {
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        const range = ranges[high];
+        return range && position < range.end ? range.zone : 'code';
+    };
+}
+
+/**
+ * 按语言规则切分 [start, end) 中的注释和字符串
+ */
+function scanCode(text: string, start: number, end: number, syntax: LanguageSyntax, ranges: ZoneRange[]): void {
+    let i = start;
+    while (i < end) {
+        const lineComment = syntax.lineComments.find(delimiter => text.startsWith(delimiter, i));
+        if (lineComment) {
+            const lineEnd = text.indexOf('\n', i);
+            const commentEnd = lineEnd < 0 || lineEnd > end ? end : lineEnd;
+            ranges.push({ start: i, end: commentEnd, zone: 'comment' });
+            i = commentEnd;
+            continue;
+        }
+
+        const blockComment = syntax.blockComments.find(([open]) => text.startsWith(open, i));
+        if (blockComment) {
+            const close = text.indexOf(blockComment[1], i + blockComment[0].length);
+            const commentEnd = close < 0 ? end : Math.min(end, close + blockComment[1].length);
+            ranges.push({ start: i, end: commentEnd, zone: 'comment' });
+            i = commentEnd;
+            continue;
+        }
+
+        const delimiter = syntax.strings.find(candidate => text.startsWith(candidate.open, i));
+        if (delimiter) {
+            const stringEnd = findStringEnd(text, i + delimiter.open.length, end, delimiter);
+            ranges.push({ start: i, end: stringEnd, zone: 'string' });
+            i = stringEnd;
+            continue;
+        }
+
+        i++;
+    }
+}
+
+/**
+ * 查找字符串的结尾（结束定界符之后）；单行字符串未闭合时到行尾为止
+ */
+function findStringEnd(text: string, start: number, end: number, delimiter: StringDelimiter): number {
+    let i = start;
+    while (i < end) {
+        if (delimiter.escape && text[i] === '\\') {
+            i += 2;
+        } else if (text.startsWith(delimiter.close, i)) {
+            return i + delimiter.close.length;
+        } else if (!delimiter.multiline && text[i] === '\n') {
+            return i;
+        } else {
+            i++;
+        }
+    }
+    return end;
+}
+
+/**
+ * 切分标记语言：注释、属性值、标签之间的文字，以及 <script>、<style> 中的代码
+ */
+function scanMarkup(text: string, ranges: ZoneRange[]): void {
+    const lowerText = text.toLowerCase();
+    let i = 0;
+    while (i < text.length) {
+        const comment = [['<!--', '-->'], ['<%--', '--%>']].find(([open]) => text.startsWith(open, i));
+        if (comment) {
+            const close = text.indexOf(comment[1], i + comment[0].length);
+            const commentEnd = close < 0 ? text.length : close + comment[1].length;
+            ranges.push({ start: i, end: commentEnd, zone: 'comment' });
+            i = commentEnd;
+            continue;
+        }
+
+        if (text[i] === '<' && /[A-Za-z/!?%]/.test(text[i + 1] ?? '')) {
+            const tagEnd = scanTag(text, i, ranges);
+            const tagName = /^<([a-z][\w-]*)/.exec(lowerText.slice(i, i + 16))?.[1];
+            if (tagName === 'script' || tagName === 'style') {
+                const close = lowerText.indexOf(`</${tagName}`, tagEnd);
+                const contentEnd = close < 0 ? text.length : close;
+                scanCode(text, tagEnd, contentEnd, tagName === 'script' ? javaScriptSyntax : cssSyntax, ranges);
+                i = contentEnd;
+            } else {
+                i = tagEnd;
+            }
+            continue;
+        }
+
+        // 标签之间的文字是用户可见的内容，算作字符串
+        const next = text.indexOf('<', i + 1);
+        const textEnd = next < 0 ? text.length : next;
+        ranges.push({ start: i, end: textEnd, zone: 'string' });
+        i = textEnd;
+    }
+}
+
+/**
+ * 跳过一个标签，记录其中带引号的属性值
+ * @returns 标签结尾（> 之后）
+ */
+function scanTag(text: string, start: number, ranges: ZoneRange[]): number {
+    let i = start + 1;
+    while (i < text.length && text[i] !== '>') {
+        if (text[i] === '"' || text[i] === '\'') {
+            const close = text.indexOf(text[i], i + 1);
+            const valueEnd = close < 0 ? text.length : close + 1;
+            ranges.push({ start: i, end: valueEnd, zone: 'string' });
+            i = valueEnd;
+        } else {
+            i++;
+        }
+    }
+    return Math.min(text.length, i + 1);
+}
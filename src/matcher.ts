@@ -0,0 +1,294 @@
+import { SearchQuery, TermNode, parseTerm } from './queryParser';
+import { VariantOptions, getKeywordVariants } from './keywordVariants';
+import { findIdentifierMatches, getIdentifierWords } from './identifiers';
+
+/**
+ * 单个匹配（0基列号和实际匹配长度）
+ */
+export interface TermMatch {
+    index: number;
+    length: number;
+}
+
+/**
+ * 关键词匹配器，统一处理普通关键词和正则关键词
+ */
+export interface TermMatcher {
+    term: string;
+    isRegex: boolean;
+    /** 是否只按关键词本身的字面量匹配（没有别名，也不是模糊匹配），可以直接按子串预筛选 */
+    isExact: boolean;
+    /** 查找一行文本中的所有匹配 */
+    findAll(text: string): TermMatch[];
+    /** 文本中是否存在匹配 */
+    test(text: string): boolean;
+}
+
+/**
+ * 转义正则表达式特殊字符
+ */
+export function escapeRegExp(string: string): string {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 为关键词创建匹配器
+ *
+ * /正则/标志 形式的关键词按正则匹配，大小写由其标志决定（带 i 标志时忽略大小写）；
+ * 其他关键词按字面量匹配，大小写由 caseSensitive 决定，同义词词典中的别名也算匹配；
+ * 允许编辑（词~N 或 fuzzyDistance）时按编辑距离匹配关键词或别名；
+ * 否则启用标识符匹配（identifierMatching）时按标识符中的单词匹配。
+ * 别名和编辑距离在创建时确定，一次搜索应只创建一次匹配器。
+ * @param term 解析后的关键词节点，或关键词的键（例如高亮和替换使用的关键词列表）
+ * @param options 这次搜索的模糊匹配和标识符匹配设置
+ */
+export function createTermMatcher(
+    term: string | TermNode,
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    options: VariantOptions
+): TermMatcher {
+    const node = typeof term === 'string' ? parseTerm(term) : term;
+    const variants = getKeywordVariants(node, caseSensitive, options);
+    if (variants && variants.distance > 0) {
+        return createFuzzyMatcher(node.value, [variants.text, ...variants.aliases], variants.distance, caseSensitive, wholeWord);
+    }
+
+    if (variants && variants.identifier) {
+        const words = [variants.text, ...variants.aliases];
+        if (words.some(word => getIdentifierWords(word) !== null)) {
+            return createIdentifierMatcher(node.value, words, caseSensitive, wholeWord);
+        }
+    }
+
+    const { pattern, flags, isRegex } = getTermPattern(node, caseSensitive, wholeWord, options);
+    const isExact = variants !== null && variants.text === node.value && variants.aliases.length === 0;
+    return createRegexMatcher(node.value, pattern, flags, isRegex, isExact);
+}
+
+/**
+ * 按正则表达式匹配的匹配器（普通关键词使用转义后的字面量）
+ */
+function createRegexMatcher(term: string, pattern: string, flags: string, isRegex: boolean, isExact: boolean): TermMatcher {
+    const testRegex = new RegExp(pattern, flags);
+    const globalRegex = new RegExp(pattern, flags + 'g');
+
+    return {
+        term,
+        isRegex,
+        isExact,
+        findAll(text: string): TermMatch[] {
+            const matches: TermMatch[] = [];
+            globalRegex.lastIndex = 0;
+
+            let match;
+            while ((match = globalRegex.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    // 跳过空匹配，避免死循环
+                    globalRegex.lastIndex++;
+                    continue;
+                }
+                matches.push({ index: match.index, length: match[0].length });
+                // 字面量允许重叠匹配（与逐字符查找一致），正则从匹配结尾继续
+                globalRegex.lastIndex = isRegex ? match.index + match[0].length : match.index + 1;
+            }
+
+            return matches;
+        },
+        test(text: string): boolean {
+            return testRegex.test(text);
+        }
+    };
+}
+
+/**
+ * 按标识符单词匹配的匹配器
+ *
+ * 含空白的短语和不能拆分为单词的写法（例如中文）仍按原文匹配，大小写由 caseSensitive 决定；
+ * 重叠的匹配只保留靠前、较长的一个。
+ */
+function createIdentifierMatcher(term: string, words: string[], caseSensitive: boolean, wholeWord: boolean): TermMatcher {
+    const identifiers = words.map(getIdentifierWords).filter((parts): parts is string[] => parts !== null);
+    const literalWords = words.filter(word => !getIdentifierWords(word) || /\s/.test(word.trim()));
+    const literal = literalWords.length > 0
+        ? createRegexMatcher(term, getWordsPattern(literalWords, wholeWord), caseSensitive ? '' : 'i', false, false)
+        : null;
+
+    return {
+        term,
+        isRegex: false,
+        isExact: false,
+        findAll(text: string): TermMatch[] {
+            const candidates = [
+                ...identifiers.flatMap(parts => findIdentifierMatches(text, parts, wholeWord)),
+                ...(literal ? literal.findAll(text) : [])
+            ].sort((a, b) => a.index - b.index || b.length - a.length);
+
+            const matches: TermMatch[] = [];
+            for (const candidate of candidates) {
+                const last = matches[matches.length - 1];
+                if (!last || candidate.index >= last.index + last.length) {
+                    matches.push(candidate);
+                }
+            }
+            return matches;
+        },
+        test(text: string): boolean {
+            return identifiers.some(parts => findIdentifierMatches(text, parts, wholeWord).length > 0) ||
+                (literal !== null && literal.test(text));
+        }
+    };
+}
+
+/**
+ * 关键词对应的正则表达式源码和标志（不含 g），与匹配器使用的规则一致
+ *
+ * 有别名时为关键词和别名的选择（较长的写法优先）；模糊关键词只包含精确的写法。
+ */
+export function getTermPattern(
+    term: string | TermNode,
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    options: VariantOptions
+): { pattern: string; flags: string; isRegex: boolean } {
+    const node = typeof term === 'string' ? parseTerm(term) : term;
+    const regex = node.regex;
+    const variants = regex ? null : getKeywordVariants(node, caseSensitive, options);
+    const flags = regex ? regex.flags : (caseSensitive ? '' : 'i');
+    const pattern = regex
+        ? (wholeWord ? `\\b(?:${regex.source})\\b` : regex.source)
+        : getWordsPattern([variants!.text, ...variants!.aliases], wholeWord);
+    return { pattern, flags, isRegex: regex !== undefined };
+}
+
+/**
+ * 匹配任一写法的正则表达式源码（较长的写法优先）
+ */
+function getWordsPattern(words: string[], wholeWord: boolean): string {
+    const source = [...words].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    return wholeWord ? `\\b(?:${source})\\b` : source;
+}
+
+/**
+ * 按编辑距离匹配的匹配器
+ *
+ * 每个写法单独匹配，重叠时保留编辑更少、更长的匹配。
+ */
+function createFuzzyMatcher(term: string, words: string[], distance: number, caseSensitive: boolean, wholeWord: boolean): TermMatcher {
+    const fold = (text: string) => caseSensitive ? text : text.toLowerCase();
+    const patterns = words.map(word => ({
+        chars: word.split('').map(fold),
+        distance: Math.min(distance, word.length - 1)
+    }));
+    const findCandidates = (text: string) => patterns.flatMap(pattern =>
+        findApproximateMatches(text, pattern.chars, pattern.distance, fold, wholeWord)
+    );
+
+    return {
+        term,
+        isRegex: false,
+        isExact: false,
+        findAll(text: string): TermMatch[] {
+            const candidates = findCandidates(text)
+                .sort((a, b) => a.cost - b.cost || b.length - a.length || a.index - b.index);
+
+            const matches: TermMatch[] = [];
+            for (const candidate of candidates) {
+                const end = candidate.index + candidate.length;
+                if (matches.every(match => end <= match.index || candidate.index >= match.index + match.length)) {
+                    matches.push({ index: candidate.index, length: candidate.length });
+                }
+            }
+            return matches.sort((a, b) => a.index - b.index);
+        },
+        test(text: string): boolean {
+            return findCandidates(text).length > 0;
+        }
+    };
+}
+
+/**
+ * 查找文本中与模式的编辑距离不超过 distance 的子串（Sellers 近似匹配）
+ *
+ * 按列动态规划，同时记录每个单元格对应的匹配起点；每个结尾位置最多报告一个匹配。
+ */
+function findApproximateMatches(
+    text: string,
+    pattern: string[],
+    distance: number,
+    fold: (text: string) => string,
+    wholeWord: boolean
+): (TermMatch & { cost: number })[] {
+    const matches: (TermMatch & { cost: number })[] = [];
+    const m = pattern.length;
+    // 文本开头之前的一列：模式的前 i 个字符都需要删除
+    let costs = Array.from({ length: m + 1 }, (_, i) => i);
+    let starts = new Array<number>(m + 1).fill(0);
+
+    for (let j = 1; j <= text.length; j++) {
+        const ch = fold(text[j - 1]);
+        const nextCosts = [0];
+        const nextStarts = [j];
+
+        for (let i = 1; i <= m; i++) {
+            // 依次考虑替换（或相同）、删除模式字符、插入文本字符，相同代价时优先前者
+            let cost = costs[i - 1] + (pattern[i - 1] === ch ? 0 : 1);
+            let start = starts[i - 1];
+            if (nextCosts[i - 1] + 1 < cost) {
+                cost = nextCosts[i - 1] + 1;
+                start = nextStarts[i - 1];
+            }
+            if (costs[i] + 1 < cost) {
+                cost = costs[i] + 1;
+                start = starts[i];
+            }
+            nextCosts.push(cost);
+            nextStarts.push(start);
+        }
+
+        costs = nextCosts;
+        starts = nextStarts;
+        // 不以模式中没有的空白开头或结尾，避免替换出多余的空格
+        const start = starts[m];
+        const trimmed = (/\S/.test(text[start] ?? '') || /\s/.test(pattern[0])) &&
+            (/\S/.test(text[j - 1]) || /\s/.test(pattern[m - 1]));
+        if (costs[m] <= distance && j > start && trimmed &&
+            (!wholeWord || isWordBoundary(text, start) && isWordBoundary(text, j))) {
+            matches.push({ index: start, length: j - start, cost: costs[m] });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * 位置是否为单词边界（与正则的 \b 一致）
+ */
+function isWordBoundary(text: string, index: number): boolean {
+    const isWordChar = (ch: string | undefined) => ch !== undefined && /\w/.test(ch);
+    return isWordChar(text[index - 1]) !== isWordChar(text[index]);
+}
+
+/**
+ * 为一组关键词创建匹配器
+ */
+export function createTermMatchers(
+    terms: string[],
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    options: VariantOptions
+): TermMatcher[] {
+    return terms.map(term => createTermMatcher(term, caseSensitive, wholeWord, options));
+}
+
+/**
+ * 为查询中的所有关键词（包括排除词）创建匹配器
+ */
+export function createQueryMatchers(
+    query: SearchQuery,
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    options: VariantOptions
+): Map<string, TermMatcher> {
+    return new Map(query.terms.map(term => [term, createTermMatcher(query.termNodes.get(term)!, caseSensitive, wholeWord, options)]));
+}
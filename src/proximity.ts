@@ -0,0 +1,253 @@
+import { SearchQuery, evaluateQuery } from './queryParser';
+import { MatchWindow } from './utils';
+import { MatchZone, matchZoneLabels } from './lexicalZones';
+
+/**
+ * 关键词共现范围
+ * - file: 整个文件内出现即可
+ * - lines: 所有关键词出现在 N 行以内
+ * - line: 所有关键词出现在同一行
+ * - block: 所有关键词出现在同一个花括号或缩进代码块内
+ */
+export type MatchScopeMode = 'file' | 'lines' | 'line' | 'block';
+
+export interface MatchScope {
+    mode: MatchScopeMode;
+    /** lines 模式下允许的最大行距 */
+    lines?: number;
+    /** 只统计位于该区域（代码、注释或字符串）中的匹配，未指定时不限 */
+    zone?: MatchZone;
+}
+
+/**
+ * 代码块（1基行号，包含首尾）
+ */
+interface Block {
+    start: number;
+    end: number;
+}
+
+// 使用花括号划分代码块的文件类型，其他类型按缩进和段落划分
+const braceFileTypes = new Set([
+    '.js', '.ts', '.jsx', '.tsx', '.jsp', '.vue', '.css', '.scss', '.less', '.json',
+    '.java', '.c', '.cpp', '.h', '.php', '.go', '.rs'
+]);
+
+/**
+ * 获取范围的显示名称
+ */
+export function describeMatchScope(scope: MatchScope): string {
+    const zone = scope.zone && scope.zone !== 'all' ? `，仅${matchZoneLabels[scope.zone]}` : '';
+    switch (scope.mode) {
+        case 'lines':
+            return `${scope.lines ?? 10} 行以内${zone}`;
+        case 'line':
+            return `同一行${zone}`;
+        case 'block':
+            return `同一代码块${zone}`;
+        default:
+            return `整个文件${zone}`;
+    }
+}
+
+/**
+ * 查找所有满足查询条件的共现窗口
+ *
+ * @param lines 文件的所有行
+ * @param termLines 每个关键词（包括排除词）出现的行号（1基）
+ * @param query 搜索查询，在每个窗口内求值
+ * @param scope 共现范围
+ * @param fileType 文件扩展名，用于选择代码块的划分方式
+ */
+export function findMatchWindows(
+    lines: string[],
+    termLines: Map<string, number[]>,
+    query: SearchQuery,
+    scope: MatchScope,
+    fileType: string
+): MatchWindow[] {
+    // 行号 -> 该行出现的关键词
+    const lineTerms = new Map<number, Set<string>>();
+    termLines.forEach((lineNumbers, term) => {
+        for (const line of lineNumbers) {
+            if (!lineTerms.has(line)) {
+                lineTerms.set(line, new Set());
+            }
+            lineTerms.get(line)!.add(term);
+        }
+    });
+    const matchedLines = Array.from(lineTerms.keys()).sort((a, b) => a - b);
+    const keywordSet = new Set(query.keywords);
+
+    const toWindow = (start: number, end: number, terms: Set<string>): MatchWindow | null => {
+        if (!evaluateQuery(query.root, term => terms.has(term))) {
+            return null;
+        }
+        const keywords = query.keywords.filter(keyword => terms.has(keyword));
+        return keywords.length > 0 ? { startLine: start, endLine: end, keywords } : null;
+    };
+
+    const termsInRange = (start: number, end: number): Set<string> => {
+        const terms = new Set<string>();
+        for (let i = lowerBound(matchedLines, start); i < matchedLines.length && matchedLines[i] <= end; i++) {
+            lineTerms.get(matchedLines[i])!.forEach(term => terms.add(term));
+        }
+        return terms;
+    };
+
+    const windows: MatchWindow[] = [];
+
+    switch (scope.mode) {
+        case 'line': {
+            for (const line of matchedLines) {
+                const window = toWindow(line, line, lineTerms.get(line)!);
+                if (window) {
+                    windows.push(window);
+                }
+            }
+            break;
+        }
+        case 'lines': {
+            const distance = Math.max(0, scope.lines ?? 10);
+            let lastEnd = 0;
+
+            for (let i = 0; i < matchedLines.length; i++) {
+                const start = matchedLines[i];
+                if (start <= lastEnd || !hasAny(lineTerms.get(start)!, keywordSet)) {
+                    continue;
+                }
+
+                // 从起始行向后扩展，取最短的满足条件的窗口
+                const terms = new Set<string>();
+                for (let j = i; j < matchedLines.length && matchedLines[j] <= start + distance; j++) {
+                    lineTerms.get(matchedLines[j])!.forEach(term => terms.add(term));
+                    const window = toWindow(start, matchedLines[j], terms);
+                    if (window) {
+                        windows.push(window);
+                        lastEnd = window.endLine;
+                        break;
+                    }
+                }
+            }
+            break;
+        }
+        case 'block': {
+            // 由小到大检查代码块，只保留最内层满足条件的代码块
+            const blocks = detectBlocks(lines, fileType)
+                .sort((a, b) => (a.end - a.start) - (b.end - b.start));
+
+            for (const block of blocks) {
+                if (windows.some(w => w.startLine >= block.start && w.endLine <= block.end)) {
+                    continue;
+                }
+                const window = toWindow(block.start, block.end, termsInRange(block.start, block.end));
+                if (window) {
+                    windows.push(window);
+                }
+            }
+            windows.sort((a, b) => a.startLine - b.startLine);
+            break;
+        }
+        default:
+            // 整个文件范围不产生共现窗口
+            break;
+    }
+
+    return windows;
+}
+
+/**
+ * 检测文件中的代码块
+ */
+function detectBlocks(lines: string[], fileType: string): Block[] {
+    return braceFileTypes.has(fileType) ? detectBraceBlocks(lines) : detectIndentBlocks(lines);
+}
+
+/**
+ * 按花括号划分代码块（粗略忽略字符串和行注释中的括号）
+ */
+function detectBraceBlocks(lines: string[]): Block[] {
+    const blocks: Block[] = [];
+    const stack: number[] = [];
+
+    lines.forEach((line, index) => {
+        const code = line
+            .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""')
+            .replace(/\/\/.*$/, '');
+
+        for (const ch of code) {
+            if (ch === '{') {
+                stack.push(index + 1);
+            } else if (ch === '}' && stack.length > 0) {
+                blocks.push({ start: stack.pop()!, end: index + 1 });
+            }
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * 按缩进和空行分隔的段落划分代码块
+ */
+function detectIndentBlocks(lines: string[]): Block[] {
+    const blocks: Block[] = [];
+    const indentOf = (line: string) => line.length - line.trimStart().length;
+    const isBlank = (line: string) => line.trim().length === 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        if (isBlank(lines[i])) {
+            continue;
+        }
+
+        // 缩进块：当前行及其后缩进更深的所有行
+        const indent = indentOf(lines[i]);
+        let end = i;
+        for (let j = i + 1; j < lines.length; j++) {
+            if (isBlank(lines[j])) {
+                continue;
+            }
+            if (indentOf(lines[j]) <= indent) {
+                break;
+            }
+            end = j;
+        }
+        if (end > i) {
+            blocks.push({ start: i + 1, end: end + 1 });
+        }
+
+        // 段落：连续的非空行
+        if (i === 0 || isBlank(lines[i - 1])) {
+            let paragraphEnd = i;
+            while (paragraphEnd + 1 < lines.length && !isBlank(lines[paragraphEnd + 1])) {
+                paragraphEnd++;
+            }
+            blocks.push({ start: i + 1, end: paragraphEnd + 1 });
+        }
+    }
+
+    return blocks;
+}
+
+function hasAny(terms: Set<string>, keywords: Set<string>): boolean {
+    for (const term of terms) {
+        if (keywords.has(term)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function lowerBound(sorted: number[], value: number): number {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] < value) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
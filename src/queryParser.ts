@@ -0,0 +1,519 @@
+/**
+ * 查询语法节点
+ */
+export type QueryNode = TermNode | AndNode | OrNode | NotNode;
+
+/**
+ * 关键词节点（普通词、引号短语或 /正则/标志）
+ */
+export interface TermNode {
+    type: 'term';
+    /**
+     * 关键词的键，用于 SearchQuery.terms、高亮和结果展示；parseTerm 可以从键还原节点。
+     * 引号短语的原文会被当作正则、词~N 或带引号的键时，键为加上引号的原文
+     */
+    value: string;
+    phrase: boolean;
+    /** 按字面量匹配的文本（去掉 ~N 和引号），正则关键词为原文 */
+    text: string;
+    regex?: RegexLiteral;
+    fuzzy?: FuzzyTerm;
+}
+
+/**
+ * 正则表达式关键词
+ */
+export interface RegexLiteral {
+    source: string;
+    flags: string;
+}
+
+/**
+ * 模糊关键词（词~N）
+ */
+export interface FuzzyTerm {
+    /** 去掉 ~N 后的关键词 */
+    text: string;
+    /** 允许的编辑距离（插入、删除或替换的字符数） */
+    distance: number;
+}
+
+/**
+ * 与节点：所有子节点都必须满足
+ */
+export interface AndNode {
+    type: 'and';
+    children: QueryNode[];
+}
+
+/**
+ * 或节点：任一子节点满足即可
+ */
+export interface OrNode {
+    type: 'or';
+    children: QueryNode[];
+}
+
+/**
+ * 非节点：子节点不能满足
+ */
+export interface NotNode {
+    type: 'not';
+    child: QueryNode;
+}
+
+/**
+ * 解析后的搜索查询
+ */
+export interface SearchQuery {
+    /** 用户输入的原始查询文本 */
+    source: string;
+    /** 语法树根节点 */
+    root: QueryNode;
+    /** 查询中出现的所有关键词（去重，包括排除词） */
+    terms: string[];
+    /** 非排除的关键词，用于高亮和结果展示 */
+    keywords: string[];
+    /** 任何匹配文件都必须包含的关键词，用于预筛选 */
+    requiredTerms: string[];
+    /** 关键词的键 -> 解析后的关键词节点 */
+    termNodes: Map<string, TermNode>;
+}
+
+/**
+ * 查询语法错误
+ */
+export class QuerySyntaxError extends Error {
+    constructor(public readonly reason: string, public readonly position: number) {
+        super(`查询语法错误（第 ${position + 1} 个字符）: ${reason}`);
+        this.name = 'QuerySyntaxError';
+    }
+}
+
+type TokenType = 'word' | 'phrase' | 'and' | 'or' | 'not' | 'minus' | 'lparen' | 'rparen';
+
+interface Token {
+    type: TokenType;
+    value: string;
+    position: number;
+}
+
+/**
+ * 将查询文本切分为词法单元
+ */
+function tokenize(input: string): Token[] {
+    const tokens: Token[] = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', value: ch, position: i });
+            i++;
+            continue;
+        }
+
+        if (ch === '"') {
+            // 引号短语，支持 \" 转义
+            const start = i;
+            let value = '';
+            i++;
+            while (i < input.length && input[i] !== '"') {
+                if (input[i] === '\\' && i + 1 < input.length) {
+                    i++;
+                }
+                value += input[i];
+                i++;
+            }
+            if (i >= input.length) {
+                throw new QuerySyntaxError('引号未闭合', start);
+            }
+            i++;
+            if (value.length === 0) {
+                throw new QuerySyntaxError('引号短语不能为空', start);
+            }
+            tokens.push({ type: 'phrase', value, position: start });
+            continue;
+        }
+
+        // 以 "/" 开头的 /正则/标志，正则内部允许空格和括号；是否有效由解析器检查
+        if (ch === '/') {
+            const end = scanRegexLiteral(input, i);
+            if (end > i) {
+                tokens.push({ type: 'word', value: input.slice(i, end), position: i });
+                i = end;
+                continue;
+            }
+        }
+
+        // 紧跟在词、短语或括号前的 "-" 表示排除
+        if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]) && input[i + 1] !== ')') {
+            tokens.push({ type: 'minus', value: ch, position: i });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        while (i < input.length && !/[\s()"]/.test(input[i])) {
+            i++;
+        }
+        const word = input.slice(start, i);
+
+        if (word === 'AND') {
+            tokens.push({ type: 'and', value: word, position: start });
+        } else if (word === 'OR') {
+            tokens.push({ type: 'or', value: word, position: start });
+        } else if (word === 'NOT') {
+            tokens.push({ type: 'not', value: word, position: start });
+        } else {
+            tokens.push({ type: 'word', value: word, position: start });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * 从 start 处扫描 /正则/标志，返回结束位置；不是正则时返回 start
+ */
+function scanRegexLiteral(input: string, start: number): number {
+    let i = start + 1;
+    let inClass = false;
+
+    while (i < input.length) {
+        const ch = input[i];
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (ch === '[') {
+            inClass = true;
+        } else if (ch === ']') {
+            inClass = false;
+        } else if (ch === '/' && !inClass) {
+            break;
+        }
+        i++;
+    }
+
+    if (i >= input.length || i === start + 1) {
+        return start;
+    }
+
+    // 标志后必须是空白、括号或结尾
+    let end = i + 1;
+    while (end < input.length && /[a-z]/.test(input[end])) {
+        end++;
+    }
+    if (end < input.length && !/[\s()]/.test(input[end])) {
+        return start;
+    }
+    return parseRegexLiteral(input.slice(start, end)) ? end : start;
+}
+
+/**
+ * 解析 /正则/标志 形式的关键词，不是正则关键词时返回 null
+ *
+ * 支持的标志为 i、m、s、u；g 和 y 会被忽略。
+ */
+export function parseRegexLiteral(text: string): RegexLiteral | null {
+    const match = /^\/(.+)\/([a-z]*)$/s.exec(text);
+    if (!match || !/^[gimsuy]*$/.test(match[2])) {
+        return null;
+    }
+    return {
+        source: match[1],
+        flags: [...new Set(match[2].replace(/[gy]/g, ''))].join('')
+    };
+}
+
+/**
+ * 解析 词~N 形式的模糊关键词，不是模糊关键词时返回 null
+ *
+ * 省略 N 时允许 1 处编辑；正则关键词不支持模糊匹配。
+ */
+export function parseFuzzyTerm(text: string): FuzzyTerm | null {
+    const match = /^(.+?)~(\d)?$/s.exec(text);
+    if (!match || parseRegexLiteral(text)) {
+        return null;
+    }
+    return {
+        text: match[1],
+        distance: match[2] !== undefined ? Number(match[2]) : 1
+    };
+}
+
+/**
+ * 将关键词的键（SearchQuery.terms 中的值）解析为关键词节点
+ *
+ * 带引号的键按引号内的原文匹配；其他键依次识别为 /正则/标志、词~N 或普通文本。
+ * 不加引号的短语与同样写法的词无法区分，按普通文本解析时 phrase 为 false。
+ */
+export function parseTerm(value: string): TermNode {
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+        return { type: 'term', value, phrase: true, text: value.slice(1, -1) };
+    }
+
+    const regex = parseRegexLiteral(value);
+    if (regex) {
+        return { type: 'term', value, phrase: false, text: value, regex };
+    }
+
+    const fuzzy = parseFuzzyTerm(value);
+    return { type: 'term', value, phrase: false, text: fuzzy ? fuzzy.text : value, ...(fuzzy ? { fuzzy } : {}) };
+}
+
+/**
+ * 引号短语的关键词节点：只按原文匹配，不作为正则或模糊关键词；原文会被误认为正则、词~N 或带引号的键时，键加上引号
+ */
+function createPhraseTerm(text: string): TermNode {
+    const parsed = parseTerm(text);
+    if (parsed.regex || parsed.text !== text) {
+        return { type: 'term', value: `"${text}"`, phrase: true, text };
+    }
+    return { ...parsed, phrase: true };
+}
+
+/**
+ * 递归下降解析器
+ *
+ * 语法（优先级从低到高）：
+ *   or    := and ("OR" and)*
+ *   and   := unary ("AND"? unary)*
+ *   unary := ("NOT" | "-") unary | primary
+ *   primary := 词 | "短语" | "(" or ")"
+ */
+class Parser {
+    private index = 0;
+
+    constructor(private readonly tokens: Token[], private readonly inputLength: number) {}
+
+    public parse(): QueryNode {
+        if (this.tokens.length === 0) {
+            throw new QuerySyntaxError('查询不能为空', 0);
+        }
+
+        const node = this.parseOr();
+        const rest = this.peek();
+        if (rest) {
+            if (rest.type === 'rparen') {
+                throw new QuerySyntaxError('多余的右括号', rest.position);
+            }
+            throw new QuerySyntaxError(`无法识别的 "${rest.value}"`, rest.position);
+        }
+        return node;
+    }
+
+    private peek(): Token | undefined {
+        return this.tokens[this.index];
+    }
+
+    private next(): Token | undefined {
+        return this.tokens[this.index++];
+    }
+
+    private endPosition(): number {
+        const token = this.peek();
+        return token ? token.position : this.inputLength;
+    }
+
+    private parseOr(): QueryNode {
+        const children = [this.parseAnd()];
+
+        while (this.peek()?.type === 'or') {
+            const operator = this.next()!;
+            if (!this.startsOperand()) {
+                throw new QuerySyntaxError(`"${operator.value}" 后缺少关键词`, operator.position);
+            }
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    private parseAnd(): QueryNode {
+        const first = this.peek();
+        if (!this.startsOperand()) {
+            if (first && (first.type === 'or' || first.type === 'and')) {
+                throw new QuerySyntaxError(`"${first.value}" 前缺少关键词`, first.position);
+            }
+            if (first && first.type === 'rparen') {
+                throw new QuerySyntaxError('括号内缺少关键词', first.position);
+            }
+            throw new QuerySyntaxError('缺少关键词', this.endPosition());
+        }
+
+        const children = [this.parseUnary()];
+
+        while (true) {
+            const token = this.peek();
+            if (!token || token.type === 'or' || token.type === 'rparen') {
+                break;
+            }
+            if (token.type === 'and') {
+                this.next();
+                if (!this.startsOperand()) {
+                    throw new QuerySyntaxError(`"${token.value}" 后缺少关键词`, token.position);
+                }
+            }
+            children.push(this.parseUnary());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    private parseUnary(): QueryNode {
+        const token = this.peek();
+        if (token && (token.type === 'not' || token.type === 'minus')) {
+            this.next();
+            if (!this.startsOperand()) {
+                throw new QuerySyntaxError(`"${token.value}" 后缺少要排除的关键词`, token.position);
+            }
+            return { type: 'not', child: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    private parsePrimary(): QueryNode {
+        const token = this.next();
+        if (!token) {
+            throw new QuerySyntaxError('缺少关键词', this.inputLength);
+        }
+
+        switch (token.type) {
+            case 'word': {
+                const node = parseTerm(token.value);
+                if (node.regex) {
+                    try {
+                        new RegExp(node.regex.source, node.regex.flags);
+                    } catch (error) {
+                        throw new QuerySyntaxError(`无效的正则表达式 ${token.value}`, token.position);
+                    }
+                }
+                return node;
+            }
+            case 'phrase':
+                return createPhraseTerm(token.value);
+            case 'lparen': {
+                if (this.peek()?.type === 'rparen') {
+                    throw new QuerySyntaxError('括号内缺少关键词', token.position);
+                }
+                const node = this.parseOr();
+                const closing = this.next();
+                if (!closing || closing.type !== 'rparen') {
+                    throw new QuerySyntaxError('括号未闭合', token.position);
+                }
+                return node;
+            }
+            default:
+                throw new QuerySyntaxError(`无法识别的 "${token.value}"`, token.position);
+        }
+    }
+
+    private startsOperand(): boolean {
+        const token = this.peek();
+        return !!token && ['word', 'phrase', 'lparen', 'not', 'minus'].includes(token.type);
+    }
+}
+
+/**
+ * 解析查询文本
+ *
+ * 支持以空格分隔的关键词（隐式 AND）、引号短语、-词 / NOT 词 排除、OR 以及括号分组。
+ * 语法错误时抛出 QuerySyntaxError。
+ */
+export function parseQuery(input: string): SearchQuery {
+    const root = new Parser(tokenize(input), input.length).parse();
+
+    const terms: string[] = [];
+    const keywords: string[] = [];
+    const termNodes = new Map<string, TermNode>();
+    collectTerms(root, false, terms, keywords, termNodes);
+
+    if (keywords.length === 0) {
+        throw new QuerySyntaxError('查询必须至少包含一个非排除的关键词', 0);
+    }
+
+    return {
+        source: input.trim(),
+        root,
+        terms,
+        keywords,
+        requiredTerms: Array.from(getRequiredTerms(root)),
+        termNodes
+    };
+}
+
+/**
+ * 收集查询中的关键词
+ */
+function collectTerms(
+    node: QueryNode,
+    negated: boolean,
+    terms: string[],
+    keywords: string[],
+    termNodes: Map<string, TermNode>
+): void {
+    switch (node.type) {
+        case 'term':
+            if (!terms.includes(node.value)) {
+                terms.push(node.value);
+                termNodes.set(node.value, node);
+            }
+            if (!negated && !keywords.includes(node.value)) {
+                keywords.push(node.value);
+            }
+            break;
+        case 'and':
+        case 'or':
+            node.children.forEach(child => collectTerms(child, negated, terms, keywords, termNodes));
+            break;
+        case 'not':
+            collectTerms(node.child, !negated, terms, keywords, termNodes);
+            break;
+    }
+}
+
+/**
+ * 计算任何匹配都必须包含的关键词集合
+ */
+function getRequiredTerms(node: QueryNode): Set<string> {
+    switch (node.type) {
+        case 'term':
+            return new Set([node.value]);
+        case 'and': {
+            const required = new Set<string>();
+            node.children.forEach(child => getRequiredTerms(child).forEach(term => required.add(term)));
+            return required;
+        }
+        case 'or': {
+            // 只有每个分支都要求的关键词才是必需的
+            const [first, ...rest] = node.children.map(getRequiredTerms);
+            return new Set([...first].filter(term => rest.every(set => set.has(term))));
+        }
+        case 'not':
+            return new Set();
+    }
+}
+
+/**
+ * 根据关键词是否存在来求值查询
+ */
+export function evaluateQuery(node: QueryNode, hasTerm: (term: string) => boolean): boolean {
+    switch (node.type) {
+        case 'term':
+            return hasTerm(node.value);
+        case 'and':
+            return node.children.every(child => evaluateQuery(child, hasTerm));
+        case 'or':
+            return node.children.some(child => evaluateQuery(child, hasTerm));
+        case 'not':
+            return !evaluateQuery(node.child, hasTerm);
+    }
+}
@@ -0,0 +1,134 @@
+import * as path from 'path';
+import { SearchResult, compareSearchResults } from './utils';
+import { createTermMatchers } from './matcher';
+import { VariantOptions } from './keywordVariants';
+
+/**
+ * 结果排序方式
+ * - relevance: 按相关度从高到低
+ * - path: 按工作区文件夹和文件路径
+ * - matchCount: 按匹配数从多到少
+ * - size: 按文件大小从大到小
+ * - modified: 按修改时间从新到旧
+ */
+export type SortOrder = 'relevance' | 'path' | 'matchCount' | 'size' | 'modified';
+
+/**
+ * 排序方式的显示名称
+ */
+export const sortOrderLabels: { [order in SortOrder]: string } = {
+    relevance: '相关度',
+    path: '文件路径',
+    matchCount: '匹配数',
+    size: '文件大小',
+    modified: '修改时间'
+};
+
+// 各项因素在相关度中的权重
+const densityWeight = 2;
+const proximityWeight = 3;
+const fileNameWeight = 4;
+const coverageWeight = 2;
+// 关键词相距这么多行时，距离因素降为一半
+const proximityHalfLines = 10;
+
+/**
+ * 创建计算相关度的函数，分数越高越相关
+ *
+ * 相关度由以下因素相加：
+ * - 匹配数：每个关键词的匹配数取对数后相加，重复出现的收益递减
+ * - 密度：每KB的匹配数（取对数），避免大文件只因篇幅长而排在前面
+ * - 距离：同时包含所有匹配关键词的最小行距越小越高
+ * - 文件名：文件名中出现的关键词比例
+ * - 覆盖：匹配到的关键词比例（OR 查询中可能只匹配部分关键词）
+ */
+export function createRelevanceScorer(
+    keywords: string[],
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    variantOptions: VariantOptions
+): (result: SearchResult) => number {
+    const matchers = createTermMatchers(keywords, caseSensitive, wholeWord, variantOptions);
+
+    return result => {
+        const matched = result.matches.filter(match => match.positions.length > 0);
+        const totalMatches = matched.reduce((sum, match) => sum + match.positions.length, 0);
+        if (keywords.length === 0 || totalMatches === 0) {
+            return 0;
+        }
+
+        const countScore = matched.reduce((sum, match) => sum + Math.log2(1 + match.positions.length), 0);
+        const density = totalMatches / Math.max(1, result.fileSize / 1024);
+        const span = getKeywordSpan(result);
+        const proximity = proximityHalfLines / (proximityHalfLines + span);
+        const fileName = path.basename(result.relativePath);
+        const fileNameHits = matchers.filter(matcher => matcher.test(fileName)).length;
+
+        const score = countScore
+            + densityWeight * Math.log2(1 + density)
+            + proximityWeight * proximity
+            + fileNameWeight * fileNameHits / keywords.length
+            + coverageWeight * matched.length / keywords.length;
+        return Math.round(score * 100) / 100;
+    };
+}
+
+/**
+ * 同时包含每个匹配关键词至少一处的最小行距（只有一个关键词匹配时为 0），没有匹配位置的关键词不计入
+ */
+export function getKeywordSpan(result: SearchResult): number {
+    const matched = result.matches.filter(match => match.positions.length > 0);
+    const keywordCount = matched.length;
+    if (keywordCount <= 1) {
+        return 0;
+    }
+
+    const positions = matched
+        .flatMap((match, keywordIndex) => match.positions.map(position => ({ line: position.line, keywordIndex })))
+        .sort((a, b) => a.line - b.line);
+
+    // 滑动窗口：右端逐个加入，窗口包含所有关键词时尽量收缩左端
+    const counts = new Array<number>(keywordCount).fill(0);
+    let covered = 0;
+    let best = Infinity;
+    let left = 0;
+    for (const position of positions) {
+        if (counts[position.keywordIndex]++ === 0) {
+            covered++;
+        }
+        while (covered === keywordCount) {
+            best = Math.min(best, position.line - positions[left].line);
+            if (--counts[positions[left].keywordIndex] === 0) {
+                covered--;
+            }
+            left++;
+        }
+    }
+    return best;
+}
+
+/**
+ * 按排序方式比较结果，相同时按文件路径
+ */
+export function compareResultsBy(order: SortOrder): (a: SearchResult, b: SearchResult) => number {
+    switch (order) {
+        case 'relevance':
+            return (a, b) => (b.score ?? 0) - (a.score ?? 0) || compareSearchResults(a, b);
+        case 'matchCount':
+            return (a, b) => countMatches(b) - countMatches(a) || compareSearchResults(a, b);
+        case 'size':
+            return (a, b) => b.fileSize - a.fileSize || compareSearchResults(a, b);
+        case 'modified':
+            return (a, b) => getTime(b.lastModified) - getTime(a.lastModified) || compareSearchResults(a, b);
+        default:
+            return compareSearchResults;
+    }
+}
+
+function countMatches(result: SearchResult): number {
+    return result.matches.reduce((sum, match) => sum + match.positions.length, 0);
+}
+
+function getTime(date: Date | undefined): number {
+    return date ? new Date(date).getTime() : 0;
+}
@@ -0,0 +1,175 @@
+import * as vscode from 'vscode';
+import { TermMatcher, createTermMatcher, getTermPattern } from './matcher';
+import { VariantOptions } from './keywordVariants';
+import { getWorkspaceRelativePath } from './utils';
+
+/**
+ * 在搜索结果中批量替换关键词
+ *
+ * 先查找所有替换项供用户勾选，再把勾选的替换项合并为一个 WorkspaceEdit 应用，
+ * 可以在VSCode的重构预览中查看差异并确认，撤销时所有文件一起撤销。
+ * 文件通过VSCode的文档读取和修改，编码和未保存的修改由VSCode处理；替换前没有未保存修改的文件替换后自动保存。
+ */
+
+/**
+ * 一个替换项（1基行号和列号）
+ */
+export interface ReplaceMatch {
+    /** 在一次查找中唯一的编号 */
+    id: string;
+    line: number;
+    column: number;
+    length: number;
+    /** 所在行的原文，应用时用于检查文件是否已被修改 */
+    lineText: string;
+    /** 替换后的文本（正则关键词的 $1、$& 等已展开） */
+    replacement: string;
+}
+
+/**
+ * 一个文件中的替换项
+ */
+export interface FileReplacements {
+    filePath: string;
+    relativePath: string;
+    matches: ReplaceMatch[];
+}
+
+/**
+ * 在文件中查找关键词的所有替换项，匹配规则与搜索一致；没有替换项的文件不返回
+ * @param replacement 替换文本，正则关键词可以使用 $1、$<name>、$& 引用匹配内容，普通关键词按原样替换
+ * @param variantOptions 得到这些结果的搜索所用的模糊匹配和标识符匹配设置
+ */
+export async function findReplacements(
+    filePaths: string[],
+    term: string,
+    replacement: string,
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    variantOptions: VariantOptions,
+    token?: vscode.CancellationToken
+): Promise<FileReplacements[]> {
+    const files: FileReplacements[] = [];
+    const matcher = createTermMatcher(term, caseSensitive, wholeWord, variantOptions);
+    const { pattern, flags } = getTermPattern(term, caseSensitive, wholeWord, variantOptions);
+    // 粘连模式的正则只在 lastIndex 处匹配，用于按匹配位置展开替换文本
+    const stickyRegex = new RegExp(pattern, flags + 'y');
+
+    for (const filePath of filePaths) {
+        if (token?.isCancellationRequested) {
+            break;
+        }
+
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+            const matches = findDocumentReplacements(document, files.length, matcher, stickyRegex, replacement);
+            if (matches.length > 0) {
+                files.push({ filePath, relativePath: getWorkspaceRelativePath(filePath).relativePath, matches });
+            }
+        } catch (error) {
+            console.error(`读取文件失败: ${filePath}`, error);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * 查找一个文档中的替换项，重叠的匹配只保留前一个
+ */
+function findDocumentReplacements(
+    document: vscode.TextDocument,
+    fileIndex: number,
+    matcher: TermMatcher,
+    stickyRegex: RegExp,
+    replacement: string
+): ReplaceMatch[] {
+    const matches: ReplaceMatch[] = [];
+
+    for (let line = 0; line < document.lineCount; line++) {
+        const lineText = document.lineAt(line).text;
+        let end = 0;
+        for (const match of matcher.findAll(lineText)) {
+            if (match.index < end) {
+                continue;
+            }
+            end = match.index + match.length;
+
+            let text = replacement;
+            if (matcher.isRegex) {
+                stickyRegex.lastIndex = match.index;
+                const replaced = lineText.replace(stickyRegex, replacement);
+                text = replaced.slice(match.index, replaced.length - (lineText.length - end));
+            }
+
+            matches.push({
+                id: `${fileIndex}:${matches.length}`,
+                line: line + 1,
+                column: match.index + 1,
+                length: match.length,
+                lineText,
+                replacement: text
+            });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * 把选中的替换项作为一次编辑应用到文件
+ * @param selectedIds 要应用的替换项编号，未指定时应用全部
+ * @param confirm 是否在重构预览中显示差异，由用户确认后才修改文件
+ * @returns 是否已应用（用户在预览中放弃时为 false）以及替换的文件数和替换项数
+ */
+export async function applyReplacements(
+    files: FileReplacements[],
+    selectedIds: ReadonlySet<string> | undefined,
+    confirm: boolean
+): Promise<{ applied: boolean; fileCount: number; replaceCount: number }> {
+    const edit = new vscode.WorkspaceEdit();
+    const cleanDocuments: vscode.TextDocument[] = [];
+    let fileCount = 0;
+    let replaceCount = 0;
+
+    for (const file of files) {
+        const matches = file.matches.filter(match => !selectedIds || selectedIds.has(match.id));
+        if (matches.length === 0) {
+            continue;
+        }
+
+        const uri = vscode.Uri.file(file.filePath);
+        const document = await vscode.workspace.openTextDocument(uri);
+        const metadata: vscode.WorkspaceEditEntryMetadata = {
+            label: file.relativePath,
+            needsConfirmation: confirm
+        };
+
+        for (const match of matches) {
+            if (match.line > document.lineCount || document.lineAt(match.line - 1).text !== match.lineText) {
+                throw new Error(`文件在查找后已被修改，请重新查找替换项: ${file.relativePath}`);
+            }
+            const start = new vscode.Position(match.line - 1, match.column - 1);
+            const range = new vscode.Range(start, start.translate(0, match.length));
+            edit.replace(uri, range, match.replacement, metadata);
+        }
+
+        if (!document.isDirty) {
+            cleanDocuments.push(document);
+        }
+        fileCount++;
+        replaceCount += matches.length;
+    }
+
+    if (replaceCount === 0) {
+        return { applied: false, fileCount, replaceCount };
+    }
+
+    const applied = await vscode.workspace.applyEdit(edit);
+
+    // 替换前没有未保存修改的文件直接保存，有未保存修改的文件留给用户保存
+    if (applied) {
+        await Promise.all(cleanDocuments.filter(document => document.isDirty).map(document => document.save()));
+    }
+    return { applied, fileCount, replaceCount };
+}
@@ -1,6 +1,8 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { SearchResult, formatFileSize } from './utils';
+import { SearchResult, KeywordMatch, MatchPosition, MatchWindow, formatFileSize, getConfiguration, getDisplayPath } from './utils';
+import { SkippedFileCounts, describeSkippedFiles } from './contentSniffer';
+import { SortOrder, compareResultsBy, sortOrderLabels } from './ranking';
 
 // 全局输出通道管理器
 export class OutputChannelManager {
@@ -37,7 +39,7 @@ interface SearchResultItem extends vscode.QuickPickItem {
 }
 
 /**
- * 显示搜索结果
+ * 显示搜索结果，可通过标题栏按钮更改排序方式
  */
 export async function showSearchResults(keywords: string[], results: SearchResult[]): Promise<void> {
     if (results.length === 0) {
@@ -47,38 +49,109 @@ export async function showSearchResults(keywords: string[], results: SearchResul
         return;
     }
 
+    let sortOrder = getConfiguration().sortOrder;
+    for (;;) {
+        const selected = await pickSearchResult(keywords, [...results].sort(compareResultsBy(sortOrder)), sortOrder);
+        if (selected === 'changeSortOrder') {
+            sortOrder = await changeSortOrder() ?? sortOrder;
+            continue;
+        }
+
+        if (selected) {
+            // 打开选中的文件并高亮显示
+            await openFileAndHighlight(selected.searchResult.filePath, selected.keywords, selected.searchResult);
+        }
+        return;
+    }
+}
+
+/**
+ * 选择排序方式并保存到配置，结果树视图和搜索面板随之重新排序
+ * @returns 选择的排序方式，用户取消时为 undefined
+ */
+export async function changeSortOrder(): Promise<SortOrder | undefined> {
+    const current = getConfiguration().sortOrder;
+    const picked = await vscode.window.showQuickPick(
+        (Object.keys(sortOrderLabels) as SortOrder[]).map(order => ({
+            label: sortOrderLabels[order],
+            description: order === current ? '当前' : undefined,
+            order
+        })),
+        { placeHolder: '选择结果的排序方式' }
+    );
+    if (!picked) {
+        return undefined;
+    }
+
+    await vscode.workspace.getConfiguration('intersectionSearch')
+        .update('sortOrder', picked.order, vscode.ConfigurationTarget.Global);
+    return picked.order;
+}
+
+/**
+ * 在快速选择中显示排好序的结果
+ * @returns 选中的结果；点击排序按钮时返回 'changeSortOrder'；取消时为 undefined
+ */
+function pickSearchResult(
+    keywords: string[],
+    results: SearchResult[],
+    sortOrder: SortOrder
+): Promise<SearchResultItem | 'changeSortOrder' | undefined> {
     // 创建QuickPick项
     const quickPickItems: SearchResultItem[] = results.map(result => {
         const totalMatches = result.matches.reduce((sum, match) => sum + match.positions.length, 0);
         const matchInfo = result.matches.map(match => 
-            `${match.keyword}(${match.positions.length})`
+            `${match.keyword}${describeVariants(match)}(${match.positions.length})`
         ).join(', ');
+        const windowInfo = result.windows ? ` | 共现: ${result.windows.length} 处` : '';
+        
+        const scoreInfo = result.score !== undefined ? ` | 相关度: ${result.score}` : '';
         
         return {
             label: `$(file) ${path.basename(result.relativePath)}`,
-            description: result.relativePath,
-            detail: `匹配: ${matchInfo} | 大小: ${formatFileSize(result.fileSize)} | 总匹配数: ${totalMatches}`,
+            description: getDisplayPath(result),
+            detail: `匹配: ${matchInfo}${windowInfo} | 大小: ${formatFileSize(result.fileSize)} | 总匹配数: ${totalMatches}${scoreInfo}`,
             searchResult: result,
             keywords: keywords
         };
     });
 
     // 显示快速选择器
-    const selectedItem = await vscode.window.showQuickPick(quickPickItems, {
-        placeHolder: `找到 ${results.length} 个文件包含所有关键词 [${keywords.join(', ')}]`,
-        matchOnDescription: true,
-        matchOnDetail: true,
-        canPickMany: false
+    const quickPick = vscode.window.createQuickPick<SearchResultItem>();
+    quickPick.items = quickPickItems;
+    quickPick.title = `按${sortOrderLabels[sortOrder]}排序`;
+    quickPick.placeholder = `找到 ${results.length} 个文件包含所有关键词 [${keywords.join(', ')}]`;
+    quickPick.matchOnDescription = true;
+    quickPick.matchOnDetail = true;
+    const sortButton: vscode.QuickInputButton = {
+        iconPath: new vscode.ThemeIcon('list-ordered'),
+        tooltip: '更改排序方式'
+    };
+    quickPick.buttons = [sortButton];
+
+    return new Promise(resolve => {
+        let result: SearchResultItem | 'changeSortOrder' | undefined;
+        quickPick.onDidTriggerButton(() => {
+            result = 'changeSortOrder';
+            quickPick.hide();
+        });
+        quickPick.onDidAccept(() => {
+            result = quickPick.selectedItems[0];
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(result);
+        });
+        quickPick.show();
     });
+}
 
-    if (selectedItem) {
-        // 打开选中的文件并高亮显示
-        await openFileAndHighlight(
-            selectedItem.searchResult.filePath,
-            selectedItem.keywords,
-            selectedItem.searchResult
-        );
-    }
+/**
+ * 通过别名或模糊匹配找到的实际写法，例如 “ → colour, yanse”；没有时为空字符串
+ */
+function describeVariants(match: KeywordMatch): string {
+    return match.variants ? ` → ${match.variants.join(', ')}` : '';
 }
 
 /**
@@ -86,14 +159,27 @@ export async function showSearchResults(keywords: string[], results: SearchResul
  * @param keywords 搜索关键词
  * @param results 搜索结果
  * @param autoShow 是否自动显示输出面板，默认为false（不自动显示）
+ * @param details 因内容被跳过的文件数和搜索范围的描述
  */
-export function showDetailedResults(keywords: string[], results: SearchResult[], autoShow: boolean = false): void {
+export function showDetailedResults(
+    keywords: string[],
+    results: SearchResult[],
+    autoShow: boolean = false,
+    details: { skipped?: SkippedFileCounts; scopeLabel?: string } = {}
+): void {
     const outputChannel = OutputChannelManager.getInstance().getChannel();
     outputChannel.clear();
+    const skippedDescription = describeSkippedFiles(details.skipped ?? {});
 
     if (results.length === 0) {
         outputChannel.appendLine(`没有找到同时包含所有关键词的文件:`);
         outputChannel.appendLine(`关键词: [${keywords.join(', ')}]`);
+        if (details.scopeLabel) {
+            outputChannel.appendLine(`搜索范围: ${details.scopeLabel}`);
+        }
+        if (skippedDescription) {
+            outputChannel.appendLine(`已跳过: ${skippedDescription}`);
+        }
         outputChannel.appendLine('');
         outputChannel.appendLine('建议:');
         outputChannel.appendLine('1. 检查关键词拼写');
@@ -111,18 +197,35 @@ export function showDetailedResults(keywords: string[], results: SearchResult[],
     outputChannel.appendLine(`关键词交集搜索结果`);
     outputChannel.appendLine(`${'='.repeat(50)}`);
     outputChannel.appendLine(`搜索关键词: [${keywords.join(', ')}]`);
+    if (details.scopeLabel) {
+        outputChannel.appendLine(`搜索范围: ${details.scopeLabel}`);
+    }
     outputChannel.appendLine(`找到文件数: ${results.length}`);
+    if (skippedDescription) {
+        outputChannel.appendLine(`已跳过: ${skippedDescription}`);
+    }
     outputChannel.appendLine(`搜索时间: ${new Date().toLocaleString()}`);
     outputChannel.appendLine('');
 
     // 显示每个文件的详细信息
     results.forEach((result, index) => {
-        outputChannel.appendLine(`${index + 1}. ${result.relativePath}`);
+        outputChannel.appendLine(`${index + 1}. ${getDisplayPath(result)}`);
         outputChannel.appendLine(`   文件大小: ${formatFileSize(result.fileSize)}`);
+
+        // 显示共现窗口
+        if (result.windows) {
+            outputChannel.appendLine(`   共现窗口: ${result.windows.length} 处`);
+            result.windows.slice(0, 3).forEach(window => {
+                outputChannel.appendLine(`     第${window.startLine}-${window.endLine}行: [${window.keywords.join(', ')}]`);
+            });
+            if (result.windows.length > 3) {
+                outputChannel.appendLine(`     ... 还有 ${result.windows.length - 3} 处共现`);
+            }
+        }
         
         // 显示每个关键词的匹配情况
         result.matches.forEach(match => {
-            outputChannel.appendLine(`   关键词 "${match.keyword}": ${match.positions.length} 处匹配`);
+            outputChannel.appendLine(`   关键词 "${match.keyword}"${describeVariants(match)}: ${match.positions.length} 处匹配`);
             
             // 显示前3个匹配位置
             const displayPositions = match.positions.slice(0, 3);
@@ -178,69 +281,258 @@ export class SearchResultTreeProvider implements vscode.TreeDataProvider<SearchR
         this.refresh();
     }
 
+    /**
+     * 从结果中移除文件
+     */
+    removeResult(filePath: string): void {
+        this.results = this.results.filter(result => result.filePath !== filePath);
+        this.refresh();
+    }
+
+    /**
+     * 当前显示的搜索结果
+     */
+    getResults(): SearchResult[] {
+        return this.results;
+    }
+
+    /**
+     * 当前结果的关键词
+     */
+    getKeywords(): string[] {
+        return this.keywords;
+    }
+
     getTreeItem(element: SearchResultTreeItem): vscode.TreeItem {
         return element;
     }
 
     getChildren(element?: SearchResultTreeItem): Thenable<SearchResultTreeItem[]> {
         if (!element) {
-            // 根节点 - 返回所有文件
+            // 根节点 - 结果跨多个工作区文件夹时返回文件夹，否则返回所有文件
+            const folders = this.groupByWorkspaceFolder();
+            if (folders.size > 1) {
+                return Promise.resolve(
+                    Array.from(folders.entries()).map(([name, results]) => new SearchResultTreeItem(
+                        name || '工作区外',
+                        `${name || '工作区外'}: ${results.length} 个文件`,
+                        vscode.TreeItemCollapsibleState.Expanded,
+                        { kind: 'folder', name, results },
+                        this.keywords
+                    ))
+                );
+            }
+            return Promise.resolve(this.createFolderContentItems(this.results));
+        }
+
+        const node = element.node;
+        if (node.kind === 'folder') {
+            // 工作区文件夹节点 - 返回该文件夹下的目录或文件
+            return Promise.resolve(this.createFolderContentItems(node.results));
+        } else if (node.kind === 'directory') {
+            // 目录节点 - 返回目录中的文件
+            return Promise.resolve(this.createFileItems(node.results));
+        } else if (node.kind === 'file' && node.result.windows) {
+            // 文件节点 - 有共现窗口时以窗口作为主要命中
+            const result = node.result;
             return Promise.resolve(
-                this.results.map(result => new SearchResultTreeItem(
-                    path.basename(result.relativePath),
-                    result.relativePath,
+                result.windows!.map(window => new SearchResultTreeItem(
+                    window.startLine === window.endLine
+                        ? `第 ${window.startLine} 行: ${window.keywords.join(', ')}`
+                        : `第 ${window.startLine}-${window.endLine} 行: ${window.keywords.join(', ')}`,
+                    `共现窗口: ${window.keywords.join(', ')}`,
                     vscode.TreeItemCollapsibleState.Collapsed,
-                    result,
+                    { kind: 'window', result, window },
                     this.keywords
                 ))
             );
-        } else if (element.searchResult) {
+        } else if (node.kind === 'file') {
             // 文件节点 - 返回关键词匹配
+            const result = node.result;
             return Promise.resolve(
-                element.searchResult.matches.map(match => new SearchResultTreeItem(
-                    `${match.keyword} (${match.positions.length} 处匹配)`,
-                    `关键词: ${match.keyword}`,
-                    vscode.TreeItemCollapsibleState.None,
-                    undefined,
-                    this.keywords,
-                    match
+                result.matches.map(match => new SearchResultTreeItem(
+                    `${match.keyword}${describeVariants(match)} (${match.positions.length} 处匹配)`,
+                    match.variants ? `关键词: ${match.keyword}\n实际匹配: ${match.variants.join('、')}` : `关键词: ${match.keyword}`,
+                    match.positions.length > 0
+                        ? vscode.TreeItemCollapsibleState.Collapsed
+                        : vscode.TreeItemCollapsibleState.None,
+                    { kind: 'match', result, match },
+                    this.keywords
                 ))
             );
+        } else if (node.kind === 'match') {
+            // 关键词匹配节点 - 返回每处匹配
+            const { result, match } = node;
+            return Promise.resolve(match.positions.map(position => this.createPositionItem(result, position)));
+        } else if (node.kind === 'window') {
+            // 共现窗口节点 - 返回窗口内各关键词的匹配，按位置排序
+            const { result, window } = node;
+            const positions = result.matches
+                .flatMap(match => match.positions.map(position => ({ keyword: match.keyword, position })))
+                .filter(({ position }) => position.line >= window.startLine && position.line <= window.endLine)
+                .sort((a, b) => a.position.line - b.position.line || a.position.column - b.position.column);
+            return Promise.resolve(positions.map(({ keyword, position }) => this.createPositionItem(result, position, keyword)));
         }
-        
+
         return Promise.resolve([]);
     }
+
+    /**
+     * 工作区文件夹（或单个文件夹的根节点）下的节点：按目录分组时返回目录，否则返回文件
+     */
+    private createFolderContentItems(results: SearchResult[]): SearchResultTreeItem[] {
+        if (!getConfiguration().groupByFolder) {
+            return this.createFileItems(results);
+        }
+
+        // 按所在目录分组（保持结果顺序），目录按路径排序，根目录下的文件放在最后
+        const directories = new Map<string, SearchResult[]>();
+        for (const result of results) {
+            const directory = path.dirname(result.relativePath).split(path.sep).join('/');
+            if (!directories.has(directory)) {
+                directories.set(directory, []);
+            }
+            directories.get(directory)!.push(result);
+        }
+
+        const rootFiles = directories.get('.') ?? [];
+        directories.delete('.');
+        const directoryItems = Array.from(directories.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, directoryResults]) => new SearchResultTreeItem(
+                name,
+                `${name}: ${directoryResults.length} 个文件`,
+                vscode.TreeItemCollapsibleState.Expanded,
+                { kind: 'directory', name, results: directoryResults },
+                this.keywords
+            ));
+        return [...directoryItems, ...this.createFileItems(rootFiles)];
+    }
+
+    /**
+     * 文件节点，按配置的排序方式排序
+     */
+    private createFileItems(results: SearchResult[]): SearchResultTreeItem[] {
+        const sorted = [...results].sort(compareResultsBy(getConfiguration().sortOrder));
+        return sorted.map(result => new SearchResultTreeItem(
+            path.basename(result.relativePath),
+            getDisplayPath(result),
+            vscode.TreeItemCollapsibleState.Collapsed,
+            { kind: 'file', result },
+            this.keywords
+        ));
+    }
+
+    /**
+     * 一处匹配的节点，显示所在行的内容
+     * @param keyword 共现窗口中的匹配需要标出关键词
+     */
+    private createPositionItem(result: SearchResult, position: MatchPosition, keyword?: string): SearchResultTreeItem {
+        return new SearchResultTreeItem(
+            position.lineText.trim() || position.lineText,
+            `第 ${position.line} 行，第 ${position.column} 列: ${position.lineText}`,
+            vscode.TreeItemCollapsibleState.None,
+            { kind: 'position', result, position, keyword },
+            this.keywords
+        );
+    }
+
+    /**
+     * 按工作区文件夹分组结果（保持结果顺序）
+     */
+    private groupByWorkspaceFolder(): Map<string, SearchResult[]> {
+        const folders = new Map<string, SearchResult[]>();
+        for (const result of this.results) {
+            const name = result.workspaceFolder || '';
+            if (!folders.has(name)) {
+                folders.set(name, []);
+            }
+            folders.get(name)!.push(result);
+        }
+        return folders;
+    }
 }
 
+/**
+ * 搜索结果树中节点表示的内容
+ */
+export type SearchResultNode =
+    | { kind: 'folder'; name: string; results: SearchResult[] }
+    | { kind: 'directory'; name: string; results: SearchResult[] }
+    | { kind: 'file'; result: SearchResult }
+    | { kind: 'match'; result: SearchResult; match: KeywordMatch }
+    | { kind: 'window'; result: SearchResult; window: MatchWindow }
+    | { kind: 'position'; result: SearchResult; position: MatchPosition; keyword?: string };
+
 /**
  * 搜索结果树项
  */
 export class SearchResultTreeItem extends vscode.TreeItem {
+    /** 文件节点的搜索结果，其他节点为 undefined */
+    public readonly searchResult?: SearchResult;
+
     constructor(
         public readonly label: string,
         public readonly tooltip: string,
         public readonly collapsibleState: vscode.TreeItemCollapsibleState,
-        public readonly searchResult?: SearchResult,
-        public readonly keywords?: string[],
-        public readonly match?: any
+        public readonly node: SearchResultNode,
+        public readonly keywords: string[]
     ) {
         super(label, collapsibleState);
 
         this.tooltip = tooltip;
 
-        if (searchResult) {
-            // 文件节点
-            this.iconPath = new vscode.ThemeIcon('file');
-            this.command = {
-                command: 'intersectionSearch.openFile',
-                title: '打开文件',
-                arguments: [searchResult.filePath, keywords, searchResult]
-            };
-            this.contextValue = 'searchResultFile';
-        } else if (match) {
-            // 关键词匹配节点
-            this.iconPath = new vscode.ThemeIcon('search');
-            this.contextValue = 'searchResultMatch';
+        switch (node.kind) {
+            case 'file':
+                // 文件节点
+                this.searchResult = node.result;
+                this.iconPath = new vscode.ThemeIcon('file');
+                this.command = {
+                    command: 'intersectionSearch.openFile',
+                    title: '打开文件',
+                    arguments: [node.result.filePath, keywords, node.result]
+                };
+                this.contextValue = 'searchResultFile';
+                break;
+            case 'match':
+                // 关键词匹配节点
+                this.iconPath = new vscode.ThemeIcon('search');
+                this.contextValue = 'searchResultMatch';
+                break;
+            case 'window':
+                // 共现窗口节点
+                this.iconPath = new vscode.ThemeIcon('symbol-namespace');
+                this.command = {
+                    command: 'intersectionSearch.openFile',
+                    title: '打开文件',
+                    arguments: [node.result.filePath, keywords, node.result, node.window.startLine]
+                };
+                this.contextValue = 'searchResultWindow';
+                break;
+            case 'folder':
+                // 工作区文件夹节点
+                this.iconPath = new vscode.ThemeIcon('root-folder');
+                this.description = `${node.results.length} 个文件`;
+                this.contextValue = 'searchResultFolder';
+                break;
+            case 'position':
+                // 匹配位置节点，打开文件并定位到这一处匹配
+                this.description = node.keyword
+                    ? `${node.keyword} · 第 ${node.position.line} 行`
+                    : `第 ${node.position.line} 行`;
+                this.command = {
+                    command: 'intersectionSearch.openFile',
+                    title: '打开文件',
+                    arguments: [node.result.filePath, keywords, node.result, node.position.line, node.position.column]
+                };
+                this.contextValue = 'searchResultPosition';
+                break;
+            case 'directory':
+                // 目录节点
+                this.iconPath = vscode.ThemeIcon.Folder;
+                this.description = `${node.results.length} 个文件`;
+                this.contextValue = 'searchResultDirectory';
+                break;
         }
     }
 }
@@ -0,0 +1,162 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import {
+    SearchResult, createExcludeFilter, getConfiguration, getEncodingPreference, getWorkspaceRelativePath,
+    matchFileText, matchesIncludePatterns
+} from './utils';
+import { SearchQuery } from './queryParser';
+import { MatchScope } from './proximity';
+import { TermMatcher, createQueryMatchers } from './matcher';
+import { VariantOptions } from './keywordVariants';
+import { SkipReason } from './contentSniffer';
+import { decodeText, detectEncoding } from './encoding';
+import { CommitInfo, getFileHistory, getRepositoryRoot, listRevisionFiles, readObjects, resolveRevision } from './git';
+
+/**
+ * 在git历史版本中搜索
+ *
+ * 文件内容通过本地git命令从提交中读取，不需要检出；结果以内置git扩展提供的只读 git: 文档打开。
+ */
+
+/**
+ * 文件在一个提交中开始或不再满足查询
+ */
+export interface KeywordHistoryEntry {
+    commit: CommitInfo;
+    /** true 表示从这个提交开始满足查询，false 表示从这个提交开始不再满足 */
+    matches: boolean;
+    /** 文件在这个提交中被删除 */
+    deleted: boolean;
+    /** 满足查询时为文件在这个提交中的搜索结果 */
+    result?: SearchResult;
+}
+
+/**
+ * 搜索各工作区文件夹在指定版本中的文件；不是git仓库的文件夹被忽略，所有文件夹都失败时报告第一个错误
+ * @param ref 分支、标签或提交
+ */
+export async function searchRevision(
+    query: SearchQuery,
+    ref: string,
+    folders: readonly vscode.WorkspaceFolder[],
+    config: ReturnType<typeof getConfiguration>,
+    progress: vscode.Progress<{ message?: string; increment?: number }>,
+    token: vscode.CancellationToken,
+    onResult: (result: SearchResult) => void,
+    onSkip: (filePath: string, reason: SkipReason) => void
+): Promise<void> {
+    const matchers = createQueryMatchers(query, config.caseSensitive, config.wholeWord, config);
+    // 提交中的文件都已被git跟踪，不再按忽略文件排除
+    const isExcluded = createExcludeFilter({ ...config, useIgnoreFiles: false });
+
+    const errors: unknown[] = [];
+    for (const folder of folders) {
+        if (token.isCancellationRequested) {
+            return;
+        }
+
+        let revision: { root: string; commit: CommitInfo };
+        try {
+            revision = await resolveRevision(folder.uri.fsPath, ref);
+        } catch (error) {
+            errors.push(error);
+            continue;
+        }
+
+        const { root, commit } = revision;
+        const directory = path.relative(root, folder.uri.fsPath).split(path.sep).join('/');
+        const files = (await listRevisionFiles(root, commit.hash, directory))
+            .map(file => ({ ...file, filePath: path.join(root, file.path) }))
+            .filter(file => file.size <= config.maxFileSize * 1024 &&
+                matchesIncludePatterns(file.filePath, config.includePatterns) && !isExcluded(file.filePath));
+
+        progress.report({ message: `正在搜索 ${folder.name} 在 ${ref} 中的 ${files.length} 个文件...`, increment: 10 });
+
+        await readObjects(root, files.map(file => file.object), (index, content) => {
+            const result = content && matchRevisionContent(
+                files[index].filePath, content, commit, query, matchers, config.matchScope, onSkip
+            );
+            if (result) {
+                onResult(result);
+            }
+        }, token);
+    }
+
+    if (errors.length === folders.length && errors.length > 0) {
+        throw errors[0];
+    }
+}
+
+/**
+ * 查找文件开始或不再满足查询的提交，从旧到新
+ *
+ * 只沿着当前路径查找，文件改名之前的提交不包括在内；文件被删除的提交视为不再满足查询。
+ */
+export async function findKeywordHistory(
+    filePath: string,
+    query: SearchQuery,
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    variantOptions: VariantOptions,
+    scope: MatchScope,
+    token: vscode.CancellationToken
+): Promise<KeywordHistoryEntry[]> {
+    // 文件可能已经不在磁盘上（例如历史版本的搜索结果），从所属的工作区文件夹查找仓库
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+    const root = await getRepositoryRoot(folder?.uri.fsPath ?? path.dirname(filePath));
+    const relativePath = path.relative(root, filePath).split(path.sep).join('/');
+
+    const commits = await getFileHistory(root, relativePath);
+    const matchers = createQueryMatchers(query, caseSensitive, wholeWord, variantOptions);
+
+    const entries: KeywordHistoryEntry[] = [];
+    let matched = false;
+    await readObjects(root, commits.map(commit => `${commit.hash}:${relativePath}`), (index, content) => {
+        const commit = commits[index];
+        const result = content && matchRevisionContent(filePath, content, commit, query, matchers, scope);
+        if (!!result !== matched) {
+            matched = !!result;
+            entries.push({ commit, matches: matched, deleted: !content, result: result || undefined });
+        }
+    }, token);
+    return entries;
+}
+
+/**
+ * 结果文件的URI：历史版本中的文件为只读的 git: 文档，其他为本地文件
+ */
+export function getResultUri(result: { filePath: string; revision?: string }): vscode.Uri {
+    return result.revision ? toGitUri(result.filePath, result.revision) : vscode.Uri.file(result.filePath);
+}
+
+/**
+ * 内置git扩展提供的、文件在指定提交中内容的URI
+ */
+export function toGitUri(filePath: string, ref: string): vscode.Uri {
+    const uri = vscode.Uri.file(filePath);
+    return uri.with({ scheme: 'git', query: JSON.stringify({ path: uri.fsPath, ref }) });
+}
+
+/**
+ * 按检测到的编码解码提交中的文件内容并求值查询
+ */
+function matchRevisionContent(
+    filePath: string,
+    content: Buffer,
+    commit: CommitInfo,
+    query: SearchQuery,
+    matchers: Map<string, TermMatcher>,
+    scope: MatchScope,
+    onSkip?: (filePath: string, reason: SkipReason) => void
+): SearchResult | null {
+    const encoding = detectEncoding(content, getEncodingPreference(filePath));
+    const result = matchFileText(
+        { filePath, fileSize: content.length, lastModified: commit.date, encoding, ...getWorkspaceRelativePath(filePath) },
+        decodeText(content, encoding),
+        query,
+        matchers,
+        scope,
+        onSkip
+    );
+    return result && { ...result, revision: commit.hash };
+}
@@ -0,0 +1,836 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import { spawn } from 'child_process';
+import { containsAllKeywords, matchesIncludePatterns, SearchResult, compareSearchResults, matchPartialFileLines, getEncodingPreference, createExcludeFilter, getExcludeSettings } from './utils';
+import { RegexLiteral, SearchQuery } from './queryParser';
+import { TermMatcher, createQueryMatchers, escapeRegExp } from './matcher';
+import { MatchScope } from './proximity';
+import { SkipReason, isSuspiciousLine } from './contentSniffer';
+import { decodeText, defaultEncoding, detectBom, encodeText, getLegacyEncodingNames, normalizeEncoding } from './encoding';
+import { ResolvedFileScope, createScopeFilter } from './fileScope';
+import { getKeywordVariants } from './keywordVariants';
+import { getIdentifierWords } from './identifiers';
+
+/**
+ * 搜索引擎设置：auto 优先使用ripgrep，不可用或失败时回退到JavaScript
+ */
+export type SearchEngineKind = 'auto' | 'ripgrep' | 'javascript';
+
+/**
+ * 所有搜索引擎共用的搜索选项
+ *
+ * 两个引擎对同一组选项必须返回相同的结果：文件范围由包含/忽略模式、忽略文件和排除设置以及最大文件大小决定，
+ * 文件按检测到的编码解码，是否匹配最终都由 JavaScript 匹配器判断。
+ */
+export interface EngineSearchOptions {
+    query: SearchQuery;
+    folders: readonly vscode.WorkspaceFolder[];
+    /** 只搜索这些目录（位于 folders 中）中的文件，未指定时搜索整个文件夹 */
+    directories?: string[];
+    /** 只搜索这些文件，未指定时按文件夹或目录枚举文件；文件仍需符合包含/忽略模式 */
+    files?: string[];
+    caseSensitive: boolean;
+    wholeWord: boolean;
+    /** 未写 ~N 的关键词允许的编辑距离，0 表示精确匹配 */
+    fuzzyDistance: number;
+    /** 是否按标识符中的单词匹配 */
+    identifierMatching: boolean;
+    matchScope: MatchScope;
+    /** 最大文件大小（KB） */
+    maxFileSize: number;
+    includePatterns: string[];
+    ignorePatterns: string[];
+    /** 是否遵循 .gitignore、.ignore 等忽略文件 */
+    useIgnoreFiles: boolean;
+    /** 是否遵循VSCode的 files.exclude 和 search.exclude 设置 */
+    useExcludeSettings: boolean;
+    /** 每找到一个匹配文件时调用，调用顺序不固定 */
+    onResult?: (result: SearchResult) => void;
+    /** 文件因内容（二进制、压缩或生成）被跳过时调用 */
+    onSkip?: (filePath: string, reason: SkipReason) => void;
+}
+
+/**
+ * 搜索引擎
+ */
+export interface SearchEngine {
+    /** 显示给用户的引擎名称 */
+    readonly name: string;
+    search(
+        options: EngineSearchOptions,
+        progress: vscode.Progress<{ message?: string; increment?: number }>,
+        token: vscode.CancellationToken
+    ): Promise<SearchResult[]>;
+}
+
+/**
+ * 根据配置创建搜索选项
+ */
+export function createEngineOptions(
+    query: SearchQuery,
+    config: {
+        caseSensitive: boolean;
+        wholeWord: boolean;
+        fuzzyDistance: number;
+        identifierMatching: boolean;
+        matchScope: MatchScope;
+        maxFileSize: number;
+        includePatterns: string[];
+        ignorePatterns: string[];
+        useIgnoreFiles: boolean;
+        useExcludeSettings: boolean;
+    },
+    fileScope: ResolvedFileScope,
+    onResult?: (result: SearchResult) => void,
+    onSkip?: (filePath: string, reason: SkipReason) => void
+): EngineSearchOptions {
+    return {
+        query,
+        folders: fileScope.folders,
+        directories: fileScope.directories,
+        files: fileScope.files,
+        onResult,
+        onSkip,
+        caseSensitive: config.caseSensitive,
+        wholeWord: config.wholeWord,
+        fuzzyDistance: config.fuzzyDistance,
+        identifierMatching: config.identifierMatching,
+        matchScope: config.matchScope,
+        maxFileSize: config.maxFileSize,
+        includePatterns: config.includePatterns,
+        ignorePatterns: config.ignorePatterns,
+        useIgnoreFiles: config.useIgnoreFiles,
+        useExcludeSettings: config.useExcludeSettings
+    };
+}
+
+/**
+ * JavaScript搜索引擎：枚举工作区文件后逐个读取匹配
+ */
+export class JavaScriptEngine implements SearchEngine {
+    public readonly name = 'JavaScript';
+
+    public async search(
+        options: EngineSearchOptions,
+        progress: vscode.Progress<{ message?: string; increment?: number }>,
+        token: vscode.CancellationToken
+    ): Promise<SearchResult[]> {
+        // 查找所有符合条件的文件
+        const allFiles = await findAllFiles(options);
+
+        if (token.isCancellationRequested) {
+            return [];
+        }
+
+        if (allFiles.length === 0) {
+            vscode.window.showInformationMessage('没有找到符合条件的文件');
+            return [];
+        }
+
+        progress.report({
+            message: `找到 ${allFiles.length} 个文件，开始搜索关键词...`,
+            increment: 10
+        });
+
+        // 使用优化的并行搜索，所有文件共用同一组匹配器
+        const matchers = createQueryMatchers(options.query, options.caseSensitive, options.wholeWord, options);
+        const results = await searchFilesInParallel(allFiles, options, matchers, progress, token);
+
+        // 按工作区文件夹和文件路径排序
+        return results.sort(compareSearchResults);
+    }
+}
+
+/**
+ * ripgrep搜索引擎：一次ripgrep搜索所有关键词，直接根据返回的匹配行计算结果
+ */
+export class RipgrepEngine implements SearchEngine {
+    public readonly name: string;
+
+    constructor(public readonly ripgrepPath: string) {
+        this.name = `${describeRipgrep(ripgrepPath)}ripgrep`;
+    }
+
+    /**
+     * 查找可用的ripgrep，找不到时返回 null
+     * @param configuredPath 用户配置的ripgrep路径，配置后只使用该路径
+     */
+    public static async find(configuredPath: string): Promise<RipgrepEngine | null> {
+        const ripgrepPath = await findRipgrep(configuredPath);
+        return ripgrepPath ? new RipgrepEngine(ripgrepPath) : null;
+    }
+
+    /**
+     * 只有需要完整文件内容的共现范围（N 行以内、同一代码块）或限定了区域时才会读取满足必需关键词的文件
+     */
+    public async search(
+        options: EngineSearchOptions,
+        progress: vscode.Progress<{ message?: string; increment?: number }>,
+        token: vscode.CancellationToken
+    ): Promise<SearchResult[]> {
+        const { query } = options;
+        progress.report({
+            message: `使用${this.name}搜索 ${query.terms.length} 个关键词...`,
+            increment: 5
+        });
+
+        const matchers = createQueryMatchers(query, options.caseSensitive, options.wholeWord, options);
+        // 判断注释和字符串需要从文件开头切分
+        const needsFullFile = options.matchScope.mode === 'lines' || options.matchScope.mode === 'block' ||
+            (options.matchScope.zone ?? 'all') !== 'all';
+
+        const isExcluded = createExcludeFilter(options);
+        const isInScope = createScopeFilter(options);
+        const results: SearchResult[] = [];
+        const fullFileCandidates: string[] = [];
+        const pendingResults: Promise<void>[] = [];
+        let scannedFiles = 0;
+
+        await searchWithRipgrep(this.ripgrepPath, options, token, (filePath, lines, isText) => {
+            scannedFiles++;
+            if (scannedFiles % 200 === 0) {
+                progress.report({ message: `已处理 ${scannedFiles} 个包含关键词的文件...` });
+            }
+
+            // ripgrep 的 glob 和忽略文件语义与扩展的模式匹配略有不同，按JavaScript引擎的规则再过滤一次
+            if (!matchesIncludePatterns(filePath, options.includePatterns) || isExcluded(filePath) || !isInScope(filePath)) {
+                return;
+            }
+
+            // 不是 UTF-8 或指定了编码的文件，ripgrep 返回的行无法直接匹配，读取完整文件检测编码；
+            // 可能是二进制或压缩的文件也读取完整文件，由JavaScript判断是否跳过
+            if (!isText || getEncodingPreference(filePath).override ||
+                Array.from(lines.values()).some(isSuspiciousLine)) {
+                fullFileCandidates.push(filePath);
+                return;
+            }
+
+            if (needsFullFile) {
+                // 共现窗口和预览需要完整文件，这里只按必需关键词预筛选
+                const lineTexts = Array.from(lines.values());
+                if (query.requiredTerms.every(term => lineTexts.some(text => matchers.get(term)!.test(text)))) {
+                    fullFileCandidates.push(filePath);
+                }
+                return;
+            }
+
+            const result = matchPartialFileLines(filePath, lines, query, matchers, options.matchScope);
+            if (result) {
+                results.push(result);
+                pendingResults.push(fillFileStats(result).then(() => options.onResult?.(result)));
+            }
+        });
+        await Promise.all(pendingResults);
+
+        if (token.isCancellationRequested) {
+            return [];
+        }
+
+        progress.report({ message: '处理搜索结果...', increment: 70 });
+
+        // 需要完整文件的范围、需要检测编码或判断是否跳过的文件，读取完整文件生成详细结果
+        for (const filePath of fullFileCandidates) {
+            if (token.isCancellationRequested) {
+                return [];
+            }
+
+            const result = await searchFile(filePath, options, matchers);
+            if (result) {
+                results.push(result);
+                options.onResult?.(result);
+            }
+        }
+
+        return results.sort(compareSearchResults);
+    }
+}
+
+/**
+ * 补充ripgrep结果的文件大小、修改时间和编码
+ */
+async function fillFileStats(result: SearchResult): Promise<void> {
+    try {
+        const stats = await fs.promises.stat(result.filePath);
+        result.fileSize = stats.size;
+        result.lastModified = stats.mtime;
+
+        // ripgrep 返回的行都是 UTF-8，原文件的编码只能是 UTF-8 或带 BOM 的 UTF-16
+        if (result.preview) {
+            result.preview.encoding = detectBom(await readFileHead(result.filePath, 3)) ?? defaultEncoding;
+        }
+    } catch (error) {
+        console.warn(`无法读取文件信息: ${result.filePath}`, error);
+    }
+}
+
+/**
+ * 读取文件开头的若干字节
+ */
+async function readFileHead(filePath: string, length: number): Promise<Buffer> {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 在指定的工作区文件夹（或其中的目录）中查找所有符合条件的文件
+ */
+async function findAllFiles(options: EngineSearchOptions): Promise<vscode.Uri[]> {
+    const isExcluded = createExcludeFilter(options);
+
+    // 指定了文件时不需要枚举，只检查模式和文件是否存在
+    if (options.files) {
+        return options.files
+            .filter(filePath => matchesIncludePatterns(filePath, options.includePatterns) && !isExcluded(filePath))
+            .filter(filePath => fs.existsSync(filePath))
+            .map(filePath => vscode.Uri.file(filePath));
+    }
+
+    const isInScope = createScopeFilter(options);
+    const allFiles: vscode.Uri[] = [];
+
+    // 对每个文件夹的每个包含模式进行搜索
+    for (const folder of options.folders) {
+        // 排除范围由 createExcludeFilter 决定，与ripgrep引擎一致；这里只用排除设置减少枚举的文件
+        const exclude = options.useExcludeSettings ? toExcludeGlob(folder) : null;
+        const directories = options.directories?.filter(directory => isInScope(directory)) ?? [];
+
+        for (const pattern of options.includePatterns) {
+            // 匹配任意层级的模式可以直接在目录中查找，其他模式相对于工作区文件夹，查找后再按目录过滤
+            const bases = directories.length > 0 && pattern.startsWith('**/') ? directories : [folder];
+            for (const base of bases) {
+                try {
+                    const files = await vscode.workspace.findFiles(
+                        new vscode.RelativePattern(base, pattern),
+                        base === folder ? exclude : null,
+                        10000 // 最大文件数限制
+                    );
+
+                    // 过滤掉应该忽略的文件和范围以外的文件
+                    const filteredFiles = files.filter(file => !isExcluded(file.fsPath) && isInScope(file.fsPath));
+
+                    allFiles.push(...filteredFiles);
+                } catch (error) {
+                    console.error(`在 ${folder.name} 中搜索模式 ${pattern} 失败:`, error);
+                }
+            }
+        }
+    }
+
+    // 去重（同一个文件可能匹配多个模式）
+    const uniqueFiles = Array.from(
+        new Map(allFiles.map(file => [file.fsPath, file])).values()
+    );
+
+    return uniqueFiles;
+}
+
+/**
+ * 将工作区文件夹的排除设置合并为一个 glob 模式，没有可合并的模式时返回 null
+ *
+ * 带 when 条件和本身包含花括号的模式无法合并，留给 createExcludeFilter 判断。
+ */
+function toExcludeGlob(folder: vscode.WorkspaceFolder): vscode.RelativePattern | null {
+    const patterns = getExcludeSettings(folder).patterns.filter(pattern => !/[{}]/.test(pattern));
+    return patterns.length > 0 ? new vscode.RelativePattern(folder, `{${patterns.join(',')}}`) : null;
+}
+
+/**
+ * 检查单个文件是否满足查询条件
+ * @param matchers 这次搜索的关键词匹配器
+ */
+async function searchFile(
+    filePath: string,
+    options: EngineSearchOptions,
+    matchers: Map<string, TermMatcher>
+): Promise<SearchResult | null> {
+    try {
+        return await containsAllKeywords(
+            filePath,
+            options.query,
+            matchers,
+            options.caseSensitive,
+            options.matchScope,
+            options.maxFileSize,
+            options.onSkip
+        );
+    } catch (error) {
+        console.error(`搜索文件失败: ${filePath}`, error);
+        return null;
+    }
+}
+
+/**
+ * 并行搜索文件，优化性能
+ */
+async function searchFilesInParallel(
+    files: vscode.Uri[],
+    options: EngineSearchOptions,
+    matchers: Map<string, TermMatcher>,
+    progress: vscode.Progress<{ message?: string; increment?: number }>,
+    token: vscode.CancellationToken
+): Promise<SearchResult[]> {
+    const results: SearchResult[] = [];
+    const totalFiles = files.length;
+    let processedFiles = 0;
+
+    // 动态调整批量大小，基于文件数量和系统性能
+    const cpuCount = require('os').cpus().length;
+    const baseBatchSize = Math.max(5, Math.min(20, Math.ceil(cpuCount * 2)));
+    const batchSize = Math.min(baseBatchSize, Math.ceil(totalFiles / 10));
+
+    // 创建工作队列
+    const workQueue: vscode.Uri[] = [...files];
+    const workers: Promise<void>[] = [];
+    const maxConcurrentWorkers = Math.min(cpuCount, 4); // 限制最大并发数
+
+    // 创建工作器函数
+    const createWorker = async (): Promise<void> => {
+        while (workQueue.length > 0 && !token.isCancellationRequested) {
+            // 从队列中取出一批文件
+            const batch = workQueue.splice(0, batchSize);
+            if (batch.length === 0) break;
+
+            // 并行处理这一批文件
+            const batchResults = await Promise.all(batch.map(file => searchFile(file.fsPath, options, matchers)));
+
+            // 收集有效结果
+            for (const result of batchResults) {
+                if (result) {
+                    results.push(result);
+                    options.onResult?.(result);
+                }
+            }
+
+            processedFiles += batch.length;
+            const progressPercent = Math.floor((processedFiles / totalFiles) * 80) + 10; // 10-90%
+
+            progress.report({
+                message: `已搜索 ${processedFiles}/${totalFiles} 个文件，找到 ${results.length} 个匹配文件`,
+                increment: progressPercent
+            });
+        }
+    };
+
+    // 启动多个工作器
+    for (let i = 0; i < maxConcurrentWorkers; i++) {
+        workers.push(createWorker());
+    }
+
+    // 等待所有工作器完成
+    await Promise.all(workers);
+
+    return results;
+}
+
+/**
+ * VSCode自带的ripgrep可执行文件路径（不同版本位于 node_modules 或 node_modules.asar.unpacked）
+ */
+function getBundledRipgrepPaths(): string[] {
+    const binary = process.platform === 'win32' ? 'rg.exe' : 'rg';
+    return ['node_modules', 'node_modules.asar.unpacked'].map(dir =>
+        path.join(vscode.env.appRoot, dir, '@vscode', 'ripgrep', 'bin', binary)
+    );
+}
+
+/**
+ * ripgrep的来源，用于进度提示
+ */
+function describeRipgrep(ripgrepPath: string): string {
+    if (getBundledRipgrepPaths().includes(ripgrepPath)) {
+        return 'VSCode内置';
+    }
+    return ripgrepPath === 'rg' ? '系统' : '自定义';
+}
+
+/**
+ * 查找可用的ripgrep：用户配置的路径、VSCode自带的ripgrep、PATH 中的 rg
+ */
+async function findRipgrep(configuredPath: string): Promise<string | null> {
+    if (configuredPath) {
+        return await isRipgrepRunnable(configuredPath) ? configuredPath : null;
+    }
+
+    for (const ripgrepPath of getBundledRipgrepPaths()) {
+        if (fs.existsSync(ripgrepPath) && await isRipgrepRunnable(ripgrepPath)) {
+            return ripgrepPath;
+        }
+    }
+
+    return await isRipgrepRunnable('rg') ? 'rg' : null;
+}
+
+/**
+ * 检查ripgrep是否可以运行
+ */
+function isRipgrepRunnable(ripgrepPath: string): Promise<boolean> {
+    return new Promise((resolve) => {
+        const child = spawn(ripgrepPath, ['--version']);
+
+        // 超时处理
+        const timeout = setTimeout(() => {
+            child.kill();
+            resolve(false);
+        }, 3000);
+
+        child.on('error', () => {
+            clearTimeout(timeout);
+            resolve(false);
+        });
+
+        child.on('exit', (code) => {
+            clearTimeout(timeout);
+            resolve(code === 0);
+        });
+    });
+}
+
+/**
+ * ripgrep --json 输出中单个文件的行（1基行号 -> 行文本），包含匹配行和上下文行
+ *
+ * 文本按 UTF-8 解码（带 BOM 的 UTF-16 文件由ripgrep转换为 UTF-8）。
+ */
+type RipgrepFileLines = Map<number, string>;
+
+// ripgrep 返回的上下文行数，与预览片段的上下文行数一致
+const ripgrepContextLines = 2;
+
+// JavaScript 的 \d \w 只匹配 ASCII 字符，转换为 Rust 的 ASCII 字符类
+const asciiClassEscapes: { [escape: string]: string } = {
+    d: 'digit',
+    D: '^digit',
+    w: 'word',
+    W: '^word'
+};
+
+/**
+ * 将JavaScript正则表达式转换为语义一致的Rust正则表达式
+ *
+ * Rust 的 \d \w \b 默认按 Unicode 匹配，这里改为与JavaScript一致的 ASCII 版本；
+ * Rust 不支持的语法（例如后行断言、反向引用）会使ripgrep报错，由调用方回退到JavaScript引擎。
+ */
+export function toRustRegex(source: string): string {
+    let result = '';
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '\\' && i + 1 < source.length) {
+            const next = source[++i];
+            const asciiClass = asciiClassEscapes[next];
+            if (asciiClass) {
+                result += inClass ? `[:${asciiClass}:]` : `[[:${asciiClass}:]]`;
+            } else if ((next === 'b' || next === 'B') && !inClass) {
+                result += `(?-u:\\${next})`;
+            } else {
+                result += ch + next;
+            }
+            continue;
+        }
+
+        if (ch === '[' && !inClass) {
+            inClass = true;
+        } else if (ch === ']' && inClass) {
+            inClass = false;
+        }
+        result += ch;
+    }
+
+    return result;
+}
+
+/**
+ * 将关键词转换为ripgrep（Rust正则语法）的模式
+ *
+ * 每个模式通过内联标志携带自己的大小写设置，使所有关键词可以在一次搜索中完成；
+ * 全字匹配与 JavaScript 匹配器一样在两侧加 ASCII 单词边界（ripgrep 的 --word-regexp 语义不同）。
+ * @param text 按字面量匹配的文本，指定 regex 时忽略
+ * @param regex 正则关键词
+ */
+export function toRipgrepPattern(text: string, caseSensitive: boolean, wholeWord: boolean, regex?: RegexLiteral): string {
+    const source = regex ? toRustRegex(regex.source) : escapeRegExp(text);
+    const pattern = wholeWord ? `(?-u:\\b)(?:${source})(?-u:\\b)` : source;
+
+    const flags = regex ? regex.flags.replace(/[^ims]/g, '') : (caseSensitive ? '' : 'i');
+    return flags ? `(?${flags}:${pattern})` : pattern;
+}
+
+/**
+ * 将普通关键词按其他编码转换为字节模式，使ripgrep能找到 GBK、Big5 等编码的文件
+ *
+ * 只用于找出候选文件，是否匹配由解码后的完整文件决定；只包含 ASCII 的关键词在这些编码中字节相同，不需要转换。
+ * @param term 按字面量匹配的文本（正则关键词不转换）
+ * @param encodings 要转换的编码（iconv-lite 的编码名）
+ */
+export function toRipgrepBytePatterns(term: string, caseSensitive: boolean, wholeWord: boolean, encodings: string[]): string[] {
+    if (!/[^\x00-\x7f]/.test(term)) {
+        return [];
+    }
+
+    const utf8Bytes = Buffer.from(term, 'utf8');
+    const patterns = new Set<string>();
+    for (const encoding of encodings) {
+        const bytes = encodeText(term, encoding);
+        // 编码中无法表示的字符会被替换，这种编码不可能包含该关键词
+        if (bytes.equals(utf8Bytes) || decodeText(bytes, encoding) !== term) {
+            continue;
+        }
+
+        const source = Array.from(bytes, byte => `\\x${byte.toString(16).padStart(2, '0')}`).join('');
+        const pattern = wholeWord ? `\\b${source}\\b` : source;
+        patterns.add(`(?${caseSensitive ? '' : 'i'}-u:${pattern})`);
+    }
+    return Array.from(patterns);
+}
+
+/**
+ * 需要按字节搜索的编码：可以猜测的旧编码，以及设置中指定的编码（不包括ripgrep能直接处理的 UTF-8 和带 BOM 的 UTF-16）
+ */
+function getByteSearchEncodings(): string[] {
+    const overrides = vscode.workspace.getConfiguration('intersectionSearch')
+        .get<{ [pattern: string]: string }>('encodingOverrides', {});
+    const configured = [...Object.values(overrides), vscode.workspace.getConfiguration('files').get<string>('encoding')]
+        .map(normalizeEncoding)
+        .filter((encoding): encoding is string => !!encoding && encoding !== defaultEncoding && !encoding.startsWith('utf16'));
+
+    return Array.from(new Set([...getLegacyEncodingNames(), ...configured]));
+}
+
+/**
+ * 使用ripgrep单次搜索所有关键词
+ *
+ * 以 --json 模式运行，边读取输出边按文件回调匹配行及其上下文行，不保留整个输出。
+ * 文件范围与JavaScript引擎一致：不读取ripgrep配置文件，只在启用时读取工作区内的忽略文件，包含隐藏文件，
+ * 跟随符号链接。带 BOM 的文件由ripgrep转换为 UTF-8，其他文件按原始字节搜索，
+ * 关键词同时按其他编码转换为字节模式。遇到 NUL 字节时ripgrep停止搜索该文件，已找到匹配的文件照常回调。
+ * @param onFile 每个包含匹配的文件搜索完成时调用；isText 为 false 表示文件中有不是 UTF-8 的行或 NUL 字节
+ */
+async function searchWithRipgrep(
+    ripgrepPath: string,
+    options: EngineSearchOptions,
+    token: vscode.CancellationToken,
+    onFile: (filePath: string, lines: RipgrepFileLines, isText: boolean) => void
+): Promise<void> {
+    return new Promise((resolve, reject) => {
+        // 已经取消的搜索不再启动ripgrep
+        if (token.isCancellationRequested) {
+            resolve();
+            return;
+        }
+
+        const args = [
+            '--json',
+            '--no-config',
+            // 与JavaScript引擎一样只读取工作区文件夹内的忽略文件，不要求是git仓库
+            ...(options.useIgnoreFiles
+                ? ['--no-ignore-parent', '--no-ignore-global', '--no-require-git']
+                : ['--no-ignore']),
+            '--hidden',
+            '--follow',
+            '--context', String(ripgrepContextLines),
+            '--max-filesize', `${options.maxFileSize}K`
+        ];
+
+        // 从目录开始搜索时只传递匹配任意层级的模式（其他模式相对于工作区文件夹），其余模式只在结果中过滤
+        const isRootIndependent = (pattern: string) => !options.directories || pattern.startsWith('**/');
+
+        // 添加忽略模式
+        options.ignorePatterns.filter(isRootIndependent).forEach(pattern => {
+            args.push('--glob', `!${pattern}`);
+        });
+
+        // 所有文件夹共有的、匹配任意层级的排除设置交给ripgrep提前排除，其他模式只在结果中过滤
+        if (options.useExcludeSettings) {
+            const folderPatterns = options.folders.map(folder =>
+                new Set(getExcludeSettings(folder).patterns.filter(pattern => pattern.startsWith('**/')))
+            );
+            Array.from(folderPatterns[0] ?? [])
+                .filter(pattern => folderPatterns.every(patterns => patterns.has(pattern)))
+                .forEach(pattern => args.push('--glob', `!${pattern}`));
+        }
+
+        // 添加包含模式；有不能传递的包含模式时不限制ripgrep搜索的文件
+        if (options.includePatterns.every(isRootIndependent)) {
+            options.includePatterns.forEach(pattern => {
+                args.push('--glob', pattern);
+            });
+        }
+
+        // 所有关键词（包括排除词）及其别名作为多个模式；使用 -e 以支持以 "-" 开头的关键词
+        // 模糊关键词无法转换为ripgrep模式，调用方需要改用JavaScript引擎
+        const byteEncodings = getByteSearchEncodings();
+        options.query.terms.forEach(term => {
+            const node = options.query.termNodes.get(term)!;
+            const variants = getKeywordVariants(node, options.caseSensitive, options);
+            if (!variants) {
+                args.push('-e', toRipgrepPattern(node.text, options.caseSensitive, options.wholeWord, node.regex));
+                return;
+            }
+            [variants.text, ...variants.aliases].forEach(word => {
+                args.push('-e', toRipgrepPattern(word, options.caseSensitive, options.wholeWord));
+                toRipgrepBytePatterns(word, options.caseSensitive, options.wholeWord, byteEncodings).forEach(pattern => {
+                    args.push('-e', pattern);
+                });
+
+                // 按标识符匹配时单词之间可能有下划线或连字符，大小写也可能不同；是否真正匹配由匹配器在行内确认
+                const identifierWords = variants?.identifier ? getIdentifierWords(word) : null;
+                if (identifierWords) {
+                    args.push('-e', `(?i:${identifierWords.map(escapeRegExp).join('[-_]*')})`);
+                }
+            });
+        });
+        args.push(...(options.directories ?? options.folders.map(folder => folder.uri.fsPath)));
+
+        // 使用指定的ripgrep路径；不经过shell，避免含空格的短语被拆开
+        const child = spawn(ripgrepPath, args);
+        let buffer = '';
+        let errorOutput = '';
+        let currentFile: string | null = null;
+        let currentLines: RipgrepFileLines = new Map();
+        let currentIsText = true;
+        // 读到最后的 summary 消息，说明ripgrep完成了搜索
+        let completed = false;
+        let settled = false;
+
+        const finish = (error?: Error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timeout);
+            cancellation.dispose();
+            if (error) {
+                child.kill();
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        const handleMessage = (message: any) => {
+            const data = message.data;
+            switch (message.type) {
+                case 'begin':
+                    currentFile = decodeRipgrepText(data.path);
+                    currentLines = new Map();
+                    currentIsText = true;
+                    break;
+                case 'match':
+                case 'context': {
+                    const text = decodeRipgrepText(data.lines);
+                    if (data.lines?.bytes !== undefined) {
+                        currentIsText = false;
+                    }
+                    if (text !== null) {
+                        // 与JavaScript引擎一样只按 \n 分行，保留行尾的 \r
+                        currentLines.set(data.line_number, text.replace(/\n$/, ''));
+                    }
+                    break;
+                }
+                case 'end':
+                    if (data.binary_offset !== null && data.binary_offset !== undefined) {
+                        currentIsText = false;
+                    }
+                    if (currentFile && currentLines.size > 0) {
+                        onFile(currentFile, currentLines, currentIsText);
+                    }
+                    currentFile = null;
+                    currentLines = new Map();
+                    break;
+                case 'summary':
+                    completed = true;
+                    break;
+            }
+        };
+
+        // 解析完整的输出行，不完整的最后一行留在缓冲区中，除非已经读到输出末尾
+        const parseOutput = (isEnd: boolean) => {
+            const lines = buffer.split('\n');
+            buffer = isEnd ? '' : lines.pop() || '';
+            try {
+                for (const line of lines) {
+                    if (line.trim().length > 0) {
+                        handleMessage(JSON.parse(line));
+                    }
+                }
+            } catch (error) {
+                finish(new Error(`无法解析ripgrep输出: ${error}`));
+            }
+        };
+
+        // 按字符串读取，避免多字节字符被数据块截断
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (data: string) => {
+            if (settled) {
+                return;
+            }
+            buffer += data;
+            parseOutput(false);
+        });
+
+        child.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        child.on('error', (error) => {
+            finish(new Error(`ripgrep执行失败: ${error.message}`));
+        });
+
+        // 进程退出后仍可能有未读取的输出，等输出流关闭后再解析剩余内容
+        child.on('close', (code) => {
+            if (!settled && !token.isCancellationRequested) {
+                parseOutput(true);
+            }
+            if (token.isCancellationRequested || code === 0 || code === 1) {
+                // 退出码 1 表示没有找到匹配，这是正常情况
+                finish();
+            } else if (code === 2 && completed) {
+                // 退出码 2 且输出完整时，只是部分文件或目录无法读取，其余文件的结果仍然有效
+                reportRipgrepWarnings(errorOutput);
+                finish();
+            } else {
+                finish(new Error(`ripgrep退出码: ${code}, 错误: ${errorOutput}`));
+            }
+        });
+
+        // 取消搜索时结束ripgrep进程
+        const cancellation = token.onCancellationRequested(() => child.kill());
+
+        // 超时后结束ripgrep进程并视为失败，不使用不完整的结果
+        const timeout = setTimeout(() => {
+            finish(new Error('ripgrep搜索超时'));
+        }, 30000);
+    });
+}
+
+/**
+ * 报告ripgrep在完成搜索时输出的警告（例如无法读取的文件），这些文件没有被搜索
+ */
+function reportRipgrepWarnings(errorOutput: string): void {
+    const warnings = errorOutput.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    if (warnings.length === 0) {
+        return;
+    }
+    console.warn('ripgrep警告:\n' + warnings.join('\n'));
+    vscode.window.showWarningMessage(warnings.length === 1
+        ? `ripgrep未能搜索部分内容，结果可能不完整: ${warnings[0]}`
+        : `ripgrep未能搜索部分内容，结果可能不完整: ${warnings[0]} 等 ${warnings.length} 条警告`);
+}
+
+/**
+ * 解析ripgrep JSON中的文本字段（非UTF-8内容以base64形式给出）
+ */
+function decodeRipgrepText(field: { text?: string; bytes?: string } | undefined): string | null {
+    if (!field) {
+        return null;
+    }
+    if (field.text !== undefined) {
+        return field.text;
+    }
+    return field.bytes !== undefined ? Buffer.from(field.bytes, 'base64').toString('utf8') : null;
+}
@@ -0,0 +1,115 @@
+import * as vscode from 'vscode';
+import { MatchScope } from './proximity';
+import { FileScope } from './fileScope';
+
+/**
+ * 一次搜索的查询和选项，用于记录最近的搜索和重新运行保存的搜索
+ */
+export interface SearchDefinition {
+    /** 查询文本 */
+    query: string;
+    caseSensitive: boolean;
+    wholeWord: boolean;
+    /** 是否按标识符匹配，较早保存的搜索中没有时使用当前设置 */
+    identifierMatching?: boolean;
+    /** 共现范围及限定的区域（代码、注释或字符串） */
+    matchScope: MatchScope;
+    fileScope: FileScope;
+}
+
+/**
+ * 命名保存的搜索
+ */
+export interface SavedSearch extends SearchDefinition {
+    name: string;
+}
+
+/**
+ * 搜索历史和保存的搜索，保存在工作区状态中
+ */
+export class SearchHistory {
+    private static instance: SearchHistory;
+    private static readonly historyKey = 'searchHistory';
+    private static readonly savedSearchesKey = 'savedSearches';
+    // 最多保留的历史记录数
+    private static readonly maxHistory = 50;
+
+    private state: vscode.Memento | undefined;
+    /** 最近一次搜索，用于保存当前搜索 */
+    private lastSearch: SearchDefinition | undefined;
+    private readonly onDidChangeHistoryEmitter = new vscode.EventEmitter<void>();
+
+    /** 搜索历史变化时触发 */
+    public readonly onDidChangeHistory = this.onDidChangeHistoryEmitter.event;
+
+    private constructor() {}
+
+    public static getInstance(): SearchHistory {
+        if (!SearchHistory.instance) {
+            SearchHistory.instance = new SearchHistory();
+        }
+        return SearchHistory.instance;
+    }
+
+    /**
+     * 设置保存历史的工作区状态
+     */
+    public setState(state: vscode.Memento): void {
+        this.state = state;
+    }
+
+    /**
+     * 搜索历史（查询文本），最近的在前
+     */
+    public getHistory(): string[] {
+        return this.state?.get<string[]>(SearchHistory.historyKey, []) ?? [];
+    }
+
+    /**
+     * 记录一次搜索：查询文本加入历史（已有的移到最前），并作为可以保存的当前搜索
+     */
+    public async add(search: SearchDefinition): Promise<void> {
+        this.lastSearch = search;
+
+        const query = search.query.trim();
+        const history = [query, ...this.getHistory().filter(item => item !== query)].slice(0, SearchHistory.maxHistory);
+        await this.state?.update(SearchHistory.historyKey, history);
+        this.onDidChangeHistoryEmitter.fire();
+    }
+
+    /**
+     * 最近一次搜索，本次会话中还没有搜索时返回 undefined
+     */
+    public getLastSearch(): SearchDefinition | undefined {
+        return this.lastSearch;
+    }
+
+    /**
+     * 保存的搜索，按名称排序
+     */
+    public getSavedSearches(): SavedSearch[] {
+        const saved = this.state?.get<SavedSearch[]>(SearchHistory.savedSearchesKey, []) ?? [];
+        return [...saved].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * 保存搜索，同名的搜索被替换；当前结果的文件列表会随搜索变化，范围“当前结果”保存为整个工作区
+     */
+    public async saveSearch(search: SavedSearch): Promise<void> {
+        const fileScope: FileScope = search.fileScope.kind === 'results' ? { kind: 'workspace' } : search.fileScope;
+        const saved = this.getSavedSearches().filter(item => item.name !== search.name);
+        await this.state?.update(SearchHistory.savedSearchesKey, [...saved, { ...search, fileScope }]);
+    }
+
+    /**
+     * 删除保存的搜索
+     */
+    public async deleteSavedSearch(name: string): Promise<void> {
+        const saved = this.getSavedSearches().filter(item => item.name !== name);
+        await this.state?.update(SearchHistory.savedSearchesKey, saved);
+    }
+
+    public dispose(): void {
+        this.onDidChangeHistoryEmitter.dispose();
+    }
+}
@@ -0,0 +1,26 @@
+import * as path from 'path';
+import { runTests } from '@vscode/test-electron';
+
+async function main() {
+    try {
+        // 扩展根目录（包含 package.json）
+        const extensionDevelopmentPath = path.resolve(__dirname, '../../');
+
+        // 测试套件入口
+        const extensionTestsPath = path.resolve(__dirname, './suite/index');
+
+        // 以 test-files 作为工作区，测试在其中的样例文件上运行
+        const testWorkspace = path.resolve(__dirname, '../../test-files');
+
+        await runTests({
+            extensionDevelopmentPath,
+            extensionTestsPath,
+            launchArgs: [testWorkspace, '--disable-extensions']
+        });
+    } catch (error) {
+        console.error('运行测试失败:', error);
+        process.exit(1);
+    }
+}
+
+main();
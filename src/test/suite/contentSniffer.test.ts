@@ -0,0 +1,43 @@
+import * as assert from 'assert';
+import { countSkippedFiles, describeSkippedFiles, getSkipReason, isSuspiciousLine } from '../../contentSniffer';
+
+function skipReasonOf(content: string) {
+    return getSkipReason(content, content.split('\n'));
+}
+
+suite('二进制和生成文件检测', () => {
+    test('普通文本不跳过', () => {
+        assert.strictEqual(skipReasonOf('const a = 1;\n\tconst b = "中文";\r\n'), undefined);
+        assert.strictEqual(skipReasonOf(''), undefined);
+    });
+
+    test('包含 NUL 或大量控制字符的为二进制文件', () => {
+        assert.strictEqual(skipReasonOf('text\u0000more'), 'binary');
+        assert.strictEqual(skipReasonOf('ab\u0001\u0002\u0003cdefgh'), 'binary');
+        assert.strictEqual(skipReasonOf('�'.repeat(5) + 'x'.repeat(100)), undefined);
+    });
+
+    test('超长的行占一半以上的为压缩或生成的文件', () => {
+        const longLine = 'a'.repeat(2000);
+        assert.strictEqual(skipReasonOf(`${longLine}\nshort`), 'minified');
+        assert.strictEqual(skipReasonOf(`${longLine}\n${'b\n'.repeat(1500)}`), undefined);
+    });
+
+    test('可疑的行', () => {
+        assert.strictEqual(isSuspiciousLine('a'.repeat(1001)), true);
+        assert.strictEqual(isSuspiciousLine('a\u0007'), true);
+        assert.strictEqual(isSuspiciousLine('\tnormal line'), false);
+    });
+
+    test('统计和描述跳过的文件', () => {
+        const counts = countSkippedFiles(['binary', 'minified', 'binary']);
+        assert.deepStrictEqual(counts, { binary: 2, minified: 1 });
+        assert.strictEqual(describeSkippedFiles(counts), '二进制文件 2 个，压缩或生成的文件 1 个');
+        assert.strictEqual(describeSkippedFiles({}), '');
+        assert.strictEqual(
+            describeSkippedFiles({ ...counts, partial: true }),
+            '二进制文件 2 个，压缩或生成的文件 1 个（只统计包含关键词的文件）'
+        );
+        assert.strictEqual(describeSkippedFiles({ partial: true }), '');
+    });
+});
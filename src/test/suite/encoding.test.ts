@@ -0,0 +1,51 @@
+import * as assert from 'assert';
+import { decodeText, detectBom, detectEncoding, encodeText, normalizeEncoding } from '../../encoding';
+
+const chinese = '这是一个测试文件，包含项目代码和项目名称。常用的汉字应当能被正确识别。';
+const traditional = '這是一個測試檔案，包含專案代碼和專案名稱。常用的漢字應當能被正確識別。';
+const japanese = 'これはテスト用のファイルです。日本語の文章を正しく判別できるか確認します。';
+
+suite('编码检测', () => {
+    test('BOM', () => {
+        assert.strictEqual(detectBom(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), 'utf8');
+        assert.strictEqual(detectBom(Buffer.from([0xff, 0xfe, 0x61, 0x00])), 'utf16le');
+        assert.strictEqual(detectBom(Buffer.from([0xfe, 0xff, 0x00, 0x61])), 'utf16be');
+        assert.strictEqual(detectBom(Buffer.from('abc')), undefined);
+    });
+
+    test('BOM 优先于按文件模式指定的编码，解码时去掉 BOM', () => {
+        const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), encodeText(chinese, 'utf16le')]);
+        assert.strictEqual(detectEncoding(buffer, { override: 'gbk' }), 'utf16le');
+        assert.strictEqual(decodeText(buffer, 'utf16le'), chinese);
+    });
+
+    test('没有 BOM 的 UTF-16', () => {
+        assert.strictEqual(detectEncoding(encodeText('const projectCode = 1;', 'utf16le')), 'utf16le');
+        assert.strictEqual(detectEncoding(encodeText('const projectCode = 1;', 'utf16be')), 'utf16be');
+    });
+
+    test('合法的 UTF-8 和纯 ASCII', () => {
+        assert.strictEqual(detectEncoding(Buffer.from(chinese)), 'utf8');
+        assert.strictEqual(detectEncoding(Buffer.from('ascii only')), 'utf8');
+        assert.strictEqual(detectEncoding(Buffer.alloc(0)), 'utf8');
+    });
+
+    test('按双字节结构猜测旧编码', () => {
+        assert.strictEqual(detectEncoding(encodeText(chinese, 'gbk')), 'gbk');
+        assert.strictEqual(detectEncoding(encodeText(traditional, 'big5')), 'big5');
+        assert.strictEqual(detectEncoding(encodeText(japanese, 'shiftjis')), 'shiftjis');
+    });
+
+    test('不是 UTF-8 时使用 files.encoding', () => {
+        assert.strictEqual(detectEncoding(encodeText(chinese, 'gbk'), { fallback: 'big5' }), 'big5');
+        assert.strictEqual(detectEncoding(Buffer.from(chinese), { fallback: 'gbk' }), 'utf8');
+    });
+
+    test('规范化设置中的编码名', () => {
+        assert.strictEqual(normalizeEncoding('utf8bom'), 'utf8');
+        assert.strictEqual(normalizeEncoding('Shift_JIS'), 'shiftjis');
+        assert.strictEqual(normalizeEncoding('GBK'), 'gbk');
+        assert.strictEqual(normalizeEncoding('no-such-encoding'), undefined);
+        assert.strictEqual(normalizeEncoding(undefined), undefined);
+    });
+});
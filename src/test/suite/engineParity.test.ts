@@ -0,0 +1,95 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { MatchScope, describeMatchScope } from '../../proximity';
+import { getConfiguration } from '../../utils';
+import { JavaScriptEngine, RipgrepEngine } from '../../searchEngine';
+import { createOptions, search } from './searchHelpers';
+
+/**
+ * ripgrep引擎与JavaScript引擎在 test-files 上的结果一致性；没有ripgrep时跳过
+ */
+
+const queries = [
+    '项目代码 项目名称',
+    '项目名称 -项目代码',
+    'projectCode config',
+    'code OR description',
+    '"1.0.0" version',
+    'Project NOT interface',
+    '/project\\w+/i 项目',
+    '/\\bcode\\b/ name',
+    '/[^a-z]Code/'
+];
+
+const scopes: MatchScope[] = [
+    { mode: 'file' },
+    { mode: 'line' },
+    { mode: 'lines', lines: 3 },
+    { mode: 'block' },
+    { mode: 'file', zone: 'code' },
+    { mode: 'line', zone: 'string' }
+];
+
+const flagCombinations = [
+    { caseSensitive: false, wholeWord: false },
+    { caseSensitive: true, wholeWord: false },
+    { caseSensitive: false, wholeWord: true },
+    { caseSensitive: true, wholeWord: true }
+];
+
+suite('搜索引擎一致性', () => {
+    const javascript = new JavaScriptEngine();
+    let ripgrep: RipgrepEngine | null = null;
+
+    suiteSetup(async function () {
+        assert.ok(vscode.workspace.workspaceFolders?.length, '需要以 test-files 作为工作区运行测试');
+
+        ripgrep = await RipgrepEngine.find(getConfiguration().ripgrepPath);
+        if (!ripgrep) {
+            this.skip();
+        }
+    });
+
+    for (const query of queries) {
+        for (const scope of scopes) {
+            for (const flags of flagCombinations) {
+                const name = `${query} | ${describeMatchScope(scope)}` +
+                    `${flags.caseSensitive ? ' | 区分大小写' : ''}${flags.wholeWord ? ' | 全字匹配' : ''}`;
+
+                test(name, async () => {
+                    const options = createOptions(query, scope, flags);
+                    const expected = await search(javascript, options);
+                    const actual = await search(ripgrep!, options);
+                    assert.deepStrictEqual(actual, expected);
+                });
+            }
+        }
+    }
+
+    test('忽略文件', async () => {
+        const options = createOptions('vendorOnly');
+        assert.deepStrictEqual(await search(ripgrep!, options), await search(javascript, options));
+
+        const ignoringOptions = { ...options, useIgnoreFiles: true };
+        assert.deepStrictEqual(await search(ripgrep!, ignoringOptions), await search(javascript, ignoringOptions));
+    });
+
+    test('目录范围', async () => {
+        const directories = [path.join(vscode.workspace.workspaceFolders![0].uri.fsPath, 'vendor')];
+        for (const query of ['vendorOnly', '项目代码 项目名称']) {
+            const options = { ...createOptions(query), directories };
+            assert.deepStrictEqual(await search(ripgrep!, options), await search(javascript, options));
+        }
+    });
+
+    test('标识符匹配', async () => {
+        const options = { ...createOptions('project_code'), identifierMatching: true };
+        assert.deepStrictEqual(await search(ripgrep!, options), await search(javascript, options));
+    });
+
+    test('最大文件大小', async () => {
+        const options = createOptions('项目', { mode: 'file' }, flagCombinations[0], 0);
+        assert.deepStrictEqual(await search(ripgrep!, options), await search(javascript, options));
+    });
+});
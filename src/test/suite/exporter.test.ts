@@ -0,0 +1,73 @@
+import * as assert from 'assert';
+import { ExportInfo, formatResults } from '../../exporter';
+import { SearchResult } from '../../utils';
+
+const info: ExportInfo = { query: 'a "b,c"', keywords: ['a', 'b,c'], caseSensitive: true, wholeWord: false };
+
+const results: SearchResult[] = [
+    {
+        filePath: '/workspace/src/x.ts',
+        relativePath: 'src/x.ts',
+        fileSize: 100,
+        matches: [
+            { keyword: 'a', positions: [
+                { line: 3, column: 5, length: 1, lineText: '  say "a", | `b`' },
+                { line: 12, column: 1, length: 1, lineText: 'a\\b' }
+            ] },
+            { keyword: 'b,c', positions: [{ line: 3, column: 9, length: 3, lineText: '  say "a", | `b`' }] }
+        ]
+    },
+    {
+        filePath: '/workspace/y.md',
+        relativePath: 'y.md',
+        fileSize: 10,
+        matches: [{ keyword: 'a', positions: [{ line: 1, column: 1, length: 1, lineText: 'a' }] }]
+    }
+];
+
+suite('导出搜索结果', () => {
+    test('CSV 带 BOM，转义引号、逗号和换行', () => {
+        const csv = formatResults('csv', info, results);
+        assert.ok(csv.startsWith('\ufeff文件,工作区文件夹,关键词,行,列,长度,内容\r\n'));
+        assert.deepStrictEqual(csv.slice(1).split('\r\n').slice(1), [
+            'src/x.ts,,a,3,5,1,"  say ""a"", | `b`"',
+            'src/x.ts,,a,12,1,1,a\\b',
+            'src/x.ts,,"b,c",3,9,3,"  say ""a"", | `b`"',
+            'y.md,,a,1,1,1,a',
+            ''
+        ]);
+    });
+
+    test('Markdown 转义表格中的竖线、反引号和反斜杠', () => {
+        const markdown = formatResults('markdown', info, results);
+        assert.ok(markdown.includes('- 查询: `a "b,c"`'));
+        assert.ok(markdown.includes('| src/x.ts | 3 |\n| y.md | 1 |'));
+        assert.ok(markdown.includes('| a | 3 | 5 | say "a", \\| \\`b\\` |'));
+        assert.ok(markdown.includes('| a | 12 | 1 | a\\\\b |'));
+    });
+
+    test('.code-search 每行只列一次并对齐行号', () => {
+        assert.strictEqual(formatResults('codeSearch', info, results), [
+            '# Query: a "b,c"',
+            '# Flags: CaseSensitive',
+            '# ContextLines: 0',
+            '',
+            '4 results - 2 files',
+            '',
+            'src/x.ts:',
+            '   3:   say "a", | `b`',
+            '  12: a\\b',
+            '',
+            'y.md:',
+            '  1: a',
+            ''
+        ].join('\n'));
+    });
+
+    test('JSON 包含查询和完整的匹配', () => {
+        const json = JSON.parse(formatResults('json', info, results));
+        assert.strictEqual(json.query, info.query);
+        assert.strictEqual(json.totalFiles, 2);
+        assert.deepStrictEqual(json.results[0].matches, results[0].matches);
+    });
+});
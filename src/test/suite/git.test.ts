@@ -0,0 +1,81 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { execFileSync } from 'child_process';
+import { getFileHistory, listRevisionFiles, readObjects, resolveRevision } from '../../git';
+
+/**
+ * 在临时仓库中读取历史版本；没有git时跳过
+ */
+suite('git 历史版本', () => {
+    let root: string;
+    const large = Buffer.alloc(300 * 1024, 'line\n');
+    const binary = Buffer.from([0x00, 0x0a, 0xff, 0x0a, 0x0a]);
+
+    const git = (...args: string[]) => execFileSync('git', args, { cwd: root }).toString().trim();
+    const commit = (message: string, files: { [name: string]: string | Buffer }) => {
+        for (const [name, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+            fs.writeFileSync(path.join(root, name), content);
+        }
+        git('add', '-A');
+        git('-c', 'user.name=Tester', '-c', 'user.email=tester@example.com', 'commit', '-q', '-m', message);
+        return git('rev-parse', 'HEAD');
+    };
+
+    suiteSetup(function () {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'intersection-git-')));
+        try {
+            git('init', '-q');
+        } catch {
+            this.skip();
+        }
+        commit('first', { 'a.txt': 'alpha v1\n', 'src/b.txt': 'beta\n' });
+        commit('second', { 'a.txt': 'alpha v2\n', 'src/large.txt': large, 'src/binary.bin': binary });
+    });
+
+    suiteTeardown(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('按请求的顺序读取对象，不存在的对象为 null', async () => {
+        const contents: [number, string | null][] = [];
+        await readObjects(root, ['HEAD~1:a.txt', 'HEAD:missing.txt', 'HEAD:a.txt', 'HEAD:src/b.txt'], (index, content) => {
+            contents.push([index, content && content.toString()]);
+        });
+        assert.deepStrictEqual(contents, [[0, 'alpha v1\n'], [1, null], [2, 'alpha v2\n'], [3, 'beta\n']]);
+    });
+
+    test('分多次到达的大对象和包含换行的二进制内容', async () => {
+        const contents: Buffer[] = [];
+        await readObjects(root, ['HEAD:src/large.txt', 'HEAD:src/binary.bin', 'HEAD:a.txt'], (_index, content) => contents.push(content!));
+        assert.ok(contents[0].equals(large));
+        assert.ok(contents[1].equals(binary));
+        assert.strictEqual(contents[2].toString(), 'alpha v2\n');
+    });
+
+    test('没有对象时不启动git', async () => {
+        await readObjects('/nonexistent', [], () => assert.fail());
+    });
+
+    test('列出目录中的文件和文件的提交历史', async () => {
+        const { commit: head } = await resolveRevision(root, 'HEAD');
+        assert.strictEqual(head.subject, 'second');
+        assert.strictEqual(head.author, 'Tester');
+
+        const files = await listRevisionFiles(root, head.hash, 'src');
+        assert.deepStrictEqual(
+            files.map(file => [file.path, file.size]).sort(),
+            [['src/b.txt', 5], ['src/binary.bin', binary.length], ['src/large.txt', large.length]]
+        );
+
+        const history = await getFileHistory(root, 'a.txt');
+        assert.deepStrictEqual(history.map(entry => entry.subject), ['first', 'second']);
+    });
+
+    test('找不到的引用报错', async () => {
+        await assert.rejects(resolveRevision(root, 'no-such-branch'));
+        await assert.rejects(resolveRevision(root, '--all'), /无效的git引用/);
+    });
+});
@@ -0,0 +1,102 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { KeywordHighlighter } from '../../highlighter';
+import { SearchResult } from '../../utils';
+import { exactVariants } from './searchHelpers';
+
+function createResult(filePath: string): SearchResult {
+    return { filePath, relativePath: path.basename(filePath), fileSize: 0, matches: [] };
+}
+
+function describeRanges(ranges: vscode.Range[]): string[] {
+    return ranges.map(range => `${range.start.line}:${range.start.character}-${range.end.character}`);
+}
+
+suite('关键词高亮', () => {
+    const highlighter = KeywordHighlighter.getInstance();
+    let directory: string;
+    let files: string[];
+
+    suiteSetup(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intersection-highlight-'));
+        files = ['first.ts', 'second.ts'].map(name => path.join(directory, name));
+        fs.writeFileSync(files[0], 'const userId = 1;\nconst orderId = userId + order_id;\n');
+        fs.writeFileSync(files[1], 'export const orderId = 2;\n');
+    });
+
+    teardown(async () => {
+        highlighter.clear();
+        await vscode.commands.executeCommand('workbench.action.closeAllEditors');
+    });
+
+    suiteTeardown(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('所有关键词的匹配按位置排序，正则关键词使用实际匹配长度', async () => {
+        const document = await vscode.workspace.openTextDocument(files[0]);
+        highlighter.setSearch(['/order_?id/i', 'userId'], files.map(createResult), false, false, exactVariants);
+        assert.deepStrictEqual(describeRanges(highlighter.getMatchRanges(document)), [
+            '0:6-12',
+            '1:6-13',
+            '1:16-22',
+            '1:25-33'
+        ]);
+    });
+
+    test('全字匹配和区分大小写', async () => {
+        const document = await vscode.workspace.openTextDocument(files[0]);
+        highlighter.setSearch(['orderid'], files.map(createResult), true, false, exactVariants);
+        assert.deepStrictEqual(highlighter.getMatchRanges(document), []);
+
+        highlighter.setSearch(['order'], files.map(createResult), false, true, exactVariants);
+        assert.deepStrictEqual(highlighter.getMatchRanges(document), []);
+    });
+
+    test('有共现窗口或限定区域时只高亮结果中记录的行', async () => {
+        const document = await vscode.workspace.openTextDocument(files[0]);
+        const position = { line: 2, column: 17, length: 6, lineText: 'const orderId = userId + order_id;' };
+        const windowed: SearchResult = {
+            ...createResult(files[0]),
+            matches: [{ keyword: 'userId', positions: [position] }],
+            windows: [{ startLine: 2, endLine: 2, keywords: ['userId'] }]
+        };
+        highlighter.setSearch(['userId'], [windowed], false, false, exactVariants);
+        assert.deepStrictEqual(describeRanges(highlighter.getMatchRanges(document)), ['1:16-22']);
+
+        const zoned: SearchResult = {
+            ...createResult(files[0]),
+            matches: [{ keyword: 'userId', positions: [{ ...position, zone: 'code' }] }]
+        };
+        highlighter.setSearch(['userId'], [zoned], false, false, exactVariants);
+        assert.deepStrictEqual(describeRanges(highlighter.getMatchRanges(document)), ['1:16-22']);
+    });
+
+    test('清除后不再包含结果文件', () => {
+        highlighter.setSearch(['userId'], files.map(createResult), false, false, exactVariants);
+        assert.ok(highlighter.includes(files[0]));
+        highlighter.clear();
+        assert.ok(!highlighter.includes(files[0]));
+    });
+
+    test('跳转到下一处匹配，当前文件没有更多匹配时跳转到下一个结果文件', async () => {
+        highlighter.setSearch(['orderId'], files.map(createResult), true, false, exactVariants);
+        const editor = await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(files[0]));
+        editor.selection = new vscode.Selection(0, 0, 0, 0);
+
+        await highlighter.nextMatch();
+        assert.strictEqual(vscode.window.activeTextEditor!.document.uri.fsPath, files[0]);
+        assert.deepStrictEqual(describeRanges([vscode.window.activeTextEditor!.selection]), ['1:6-13']);
+
+        await highlighter.nextMatch();
+        assert.strictEqual(vscode.window.activeTextEditor!.document.uri.fsPath, files[1]);
+        assert.deepStrictEqual(describeRanges([vscode.window.activeTextEditor!.selection]), ['0:13-20']);
+
+        await highlighter.previousMatch();
+        assert.strictEqual(vscode.window.activeTextEditor!.document.uri.fsPath, files[0]);
+        assert.deepStrictEqual(describeRanges([vscode.window.activeTextEditor!.selection]), ['1:6-13']);
+    });
+});
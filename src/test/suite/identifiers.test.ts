@@ -0,0 +1,35 @@
+import * as assert from 'assert';
+import { findIdentifierMatches, getIdentifierWords } from '../../identifiers';
+
+/**
+ * 返回匹配到的文本
+ */
+function matchedTexts(text: string, keyword: string, wholeWord = false): string[] {
+    return findIdentifierMatches(text, getIdentifierWords(keyword)!, wholeWord)
+        .map(match => text.substr(match.index, match.length));
+}
+
+suite('标识符匹配', () => {
+    test('拆分关键词', () => {
+        assert.deepStrictEqual(getIdentifierWords('userName'), ['user', 'name']);
+        assert.deepStrictEqual(getIdentifierWords('user_name'), ['user', 'name']);
+        assert.deepStrictEqual(getIdentifierWords('user name'), ['user', 'name']);
+        assert.deepStrictEqual(getIdentifierWords('HTTPServer2'), ['http', 'server', '2']);
+        assert.strictEqual(getIdentifierWords('用户名'), null);
+        assert.strictEqual(getIdentifierWords('a.b'), null);
+        assert.strictEqual(getIdentifierWords('123'), null);
+    });
+
+    test('匹配各种命名风格', () => {
+        const text = 'userName user_name USER_NAME user-name getUserName';
+        assert.deepStrictEqual(matchedTexts(text, 'user_name'), ['userName', 'user_name', 'USER_NAME', 'user-name', 'UserName']);
+    });
+
+    test('单词必须连续且完整', () => {
+        assert.deepStrictEqual(matchedTexts('userFirstName username', 'userName'), []);
+    });
+
+    test('全字匹配时必须是整个标识符', () => {
+        assert.deepStrictEqual(matchedTexts('getUserName userName', 'userName', true), ['userName']);
+    });
+});
@@ -0,0 +1,53 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { IgnoreFileMatcher, parseIgnoreFile } from '../../ignoreFiles';
+
+suite('忽略文件', () => {
+    let root: string;
+
+    suiteSetup(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'intersection-ignore-'));
+        fs.writeFileSync(path.join(root, '.gitignore'), '# 注释\n*.log\n!keep.log\nbuild/\n/dist\ndocs/**/*.tmp\n');
+        fs.mkdirSync(path.join(root, 'src'));
+        fs.writeFileSync(path.join(root, 'src', '.ignore'), 'generated.ts\n');
+    });
+
+    suiteTeardown(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('跳过空行和注释，识别取反和目录规则', () => {
+        const rules = parseIgnoreFile('\n# comment\n!keep\nout/\n\\#literal\n');
+        assert.deepStrictEqual(rules.map(rule => [rule.negated, rule.directoryOnly]), [[true, false], [false, true], [false, false]]);
+        assert.ok(rules[2].regex.test('#literal'));
+    });
+
+    test('通配符', () => {
+        const [star, doubleStar, charClass] = parseIgnoreFile('a*.js\nlogs/**/x\nfile[!0-9]');
+        assert.ok(star.regex.test('deep/abc.js'));
+        assert.ok(!star.regex.test('a/b.js'));
+        assert.ok(doubleStar.regex.test('logs/x') && doubleStar.regex.test('logs/a/b/x'));
+        assert.ok(!doubleStar.regex.test('other/logs/x'));
+        assert.ok(charClass.regex.test('filea') && !charClass.regex.test('file1'));
+    });
+
+    test('按各级目录的忽略文件判断', () => {
+        const matcher = new IgnoreFileMatcher(root);
+        const ignored = (relativePath: string, isDirectory = false) =>
+            matcher.isIgnored(path.join(root, ...relativePath.split('/')), isDirectory);
+
+        assert.strictEqual(ignored('a.log'), true);
+        assert.strictEqual(ignored('src/b.log'), true);
+        assert.strictEqual(ignored('keep.log'), false);
+        assert.strictEqual(ignored('build/out.js'), true);
+        assert.strictEqual(ignored('build'), false, 'build/ 只匹配目录');
+        assert.strictEqual(ignored('dist/a.js'), true);
+        assert.strictEqual(ignored('src/dist/a.js'), false, '/dist 只匹配根目录');
+        assert.strictEqual(ignored('docs/a/b/c.tmp'), true);
+        assert.strictEqual(ignored('src/generated.ts'), true);
+        assert.strictEqual(ignored('generated.ts'), false, '子目录的规则只作用于子目录');
+        assert.strictEqual(matcher.isIgnored(path.join(os.tmpdir(), 'a.log')), false, '根目录外的路径不被忽略');
+    });
+});
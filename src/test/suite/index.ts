@@ -0,0 +1,29 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import Mocha from 'mocha';
+
+/**
+ * 测试入口：运行本目录下所有 *.test.js
+ */
+export function run(): Promise<void> {
+    const mocha = new Mocha({
+        ui: 'tdd',
+        color: true,
+        timeout: 60000
+    });
+
+    const testsRoot = __dirname;
+    fs.readdirSync(testsRoot)
+        .filter(file => file.endsWith('.test.js'))
+        .forEach(file => mocha.addFile(path.resolve(testsRoot, file)));
+
+    return new Promise((resolve, reject) => {
+        mocha.run(failures => {
+            if (failures > 0) {
+                reject(new Error(`${failures} 个测试失败`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
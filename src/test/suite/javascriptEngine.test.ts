@@ -0,0 +1,98 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { JavaScriptEngine } from '../../searchEngine';
+import { SkipReason } from '../../contentSniffer';
+import { createOptions, defaultFlags, search, searchPaths } from './searchHelpers';
+
+/**
+ * JavaScript引擎在 test-files 上的搜索结果，不需要ripgrep
+ */
+suite('JavaScript 搜索引擎', () => {
+    const javascript = new JavaScriptEngine();
+    let root: string;
+
+    suiteSetup(() => {
+        assert.ok(vscode.workspace.workspaceFolders?.length, '需要以 test-files 作为工作区运行测试');
+        root = vscode.workspace.workspaceFolders![0].uri.fsPath;
+    });
+
+    test('样例文件能被搜索到', async () => {
+        assert.deepStrictEqual(
+            await searchPaths(javascript, createOptions('项目代码 项目名称')),
+            ['sample1.js', 'sample2.ts', 'sample3.md', 'sample4.json']
+        );
+    });
+
+    test('二进制文件和压缩的文件被跳过并报告原因', async () => {
+        const skipped = new Map<string, SkipReason>();
+        const options = {
+            ...createOptions('项目代码 项目名称'),
+            onSkip: (filePath: string, reason: SkipReason) => skipped.set(vscode.workspace.asRelativePath(filePath, false), reason)
+        };
+        await search(javascript, options);
+        assert.deepStrictEqual(
+            Array.from(skipped).sort(),
+            [['binary.txt', 'binary'], ['generated.js', 'minified']]
+        );
+    });
+
+    test('启用忽略文件时排除 .gitignore 中的目录', async () => {
+        const options = createOptions('vendorOnly');
+        assert.deepStrictEqual(await searchPaths(javascript, options), ['vendor/lib.js']);
+        assert.deepStrictEqual(await search(javascript, { ...options, useIgnoreFiles: true }), []);
+    });
+
+    test('目录和文件范围只搜索范围内的文件', async () => {
+        const directories = [path.join(root, 'vendor')];
+        assert.deepStrictEqual(await searchPaths(javascript, { ...createOptions('vendorOnly'), directories }), ['vendor/lib.js']);
+        assert.deepStrictEqual(await search(javascript, { ...createOptions('项目代码 项目名称'), directories }), []);
+
+        const files = ['sample1.js', 'sample3.md', 'vendor/lib.js'].map(file => path.join(root, file));
+        assert.deepStrictEqual(
+            await searchPaths(javascript, { ...createOptions('项目代码 项目名称'), files }),
+            ['sample1.js', 'sample3.md']
+        );
+    });
+
+    test('模糊关键词报告实际匹配的写法', async () => {
+        const results = await search(javascript, createOptions('projetCode~1'));
+        assert.deepStrictEqual(
+            results.map(result => [result.relativePath, result.matches[0].variants]),
+            [['sample1.js', ['projectCode']], ['sample2.ts', ['projectCode']]]
+        );
+    });
+
+    test('未写 ~N 的关键词使用这次搜索的编辑距离', async () => {
+        assert.deepStrictEqual(await search(javascript, createOptions('projetCode')), []);
+        assert.deepStrictEqual(
+            await searchPaths(javascript, { ...createOptions('projetCode'), fuzzyDistance: 1 }),
+            ['sample1.js', 'sample2.ts']
+        );
+    });
+
+    test('引号中的 ~N 按原文匹配', async () => {
+        assert.deepStrictEqual(await search(javascript, createOptions('"projetCode~1"')), []);
+    });
+
+    test('标识符匹配高亮整个标识符', async () => {
+        const results = await search(javascript, { ...createOptions('project_code'), identifierMatching: true });
+        assert.deepStrictEqual(results.map(result => result.relativePath), ['sample1.js', 'sample2.ts']);
+        assert.strictEqual(results[0].matches[0].positions[0].length, 'projectCode'.length);
+    });
+
+    test('限定区域时只统计区域内的匹配', async () => {
+        assert.deepStrictEqual(
+            await searchPaths(javascript, createOptions('项目代码 项目名称', { mode: 'file', zone: 'comment' })),
+            ['sample1.js', 'sample2.ts']
+        );
+        assert.deepStrictEqual(
+            await searchPaths(javascript, createOptions('项目代码 项目名称', { mode: 'file', zone: 'string' })),
+            ['sample4.json']
+        );
+    });
+
+    test('超过最大文件大小的文件被跳过', async () => {
+        assert.deepStrictEqual(await search(javascript, createOptions('项目', { mode: 'file' }, defaultFlags, 0)), []);
+    });
+});
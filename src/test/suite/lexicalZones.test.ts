@@ -0,0 +1,54 @@
+import * as assert from 'assert';
+import { LexicalZone, createZoneClassifier } from '../../lexicalZones';
+
+/**
+ * 每一处 needle 所在的区域
+ */
+function zonesOf(text: string, fileType: string, needle: string): LexicalZone[] {
+    const lines = text.split('\n');
+    const classify = createZoneClassifier(lines, fileType);
+    return lines.flatMap((line, index) => {
+        const zones: LexicalZone[] = [];
+        for (let column = line.indexOf(needle); column !== -1; column = line.indexOf(needle, column + 1)) {
+            zones.push(classify(index + 1, column + 1));
+        }
+        return zones;
+    });
+}
+
+suite('词法区域', () => {
+    test('JavaScript 的注释和字符串', () => {
+        const text = [
+            'const x = "x" + \'x\'; // x',
+            '/* x',
+            '   x */ x',
+            'const t = `x',
+            'x`;'
+        ].join('\n');
+        assert.deepStrictEqual(zonesOf(text, '.js', 'x'), [
+            'code', 'string', 'string', 'comment',
+            'comment',
+            'comment', 'code',
+            'string',
+            'string'
+        ]);
+    });
+
+    test('转义的引号不结束字符串，单行字符串在行尾结束', () => {
+        assert.deepStrictEqual(zonesOf('"a \\" x" x', '.ts', 'x'), ['string', 'code']);
+        assert.deepStrictEqual(zonesOf('"a\nx', '.ts', 'x'), ['code']);
+    });
+
+    test('Python 的井号注释和三引号字符串', () => {
+        assert.deepStrictEqual(zonesOf('x = """\nx\n""" # x', '.py', 'x'), ['code', 'string', 'comment']);
+    });
+
+    test('HTML 的注释、属性值和 <script>', () => {
+        const text = '<!-- x --><a title="x">x</a><script>const x = "x"; // x</script>';
+        assert.deepStrictEqual(zonesOf(text, '.html', 'x'), ['comment', 'string', 'string', 'code', 'string', 'comment']);
+    });
+
+    test('没有规则的文件类型整体视为代码', () => {
+        assert.deepStrictEqual(zonesOf('// x "x"', '.md', 'x'), ['code', 'code']);
+    });
+});
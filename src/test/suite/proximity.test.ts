@@ -0,0 +1,76 @@
+import * as assert from 'assert';
+import { parseQuery } from '../../queryParser';
+import { MatchScope, describeMatchScope, findMatchWindows } from '../../proximity';
+
+/**
+ * 按关键词在每行中是否出现计算共现窗口
+ */
+function windowsOf(lines: string[], query: string, scope: MatchScope, fileType = '.js') {
+    const parsed = parseQuery(query);
+    const termLines = new Map(parsed.terms.map(term => [
+        term,
+        lines.flatMap((line, index) => line.includes(term) ? [index + 1] : [])
+    ]));
+    return findMatchWindows(lines, termLines, parsed, scope, fileType);
+}
+
+suite('共现范围', () => {
+    test('同一行', () => {
+        const lines = ['a b', 'a', 'b', 'b a c'];
+        assert.deepStrictEqual(windowsOf(lines, 'a b', { mode: 'line' }), [
+            { startLine: 1, endLine: 1, keywords: ['a', 'b'] },
+            { startLine: 4, endLine: 4, keywords: ['a', 'b'] }
+        ]);
+    });
+
+    test('排除词在窗口内求值', () => {
+        const lines = ['a b', 'a b c'];
+        assert.deepStrictEqual(windowsOf(lines, 'a b -c', { mode: 'line' }), [
+            { startLine: 1, endLine: 1, keywords: ['a', 'b'] }
+        ]);
+    });
+
+    test('N 行以内取最短的窗口且不重叠', () => {
+        const lines = ['a', '', 'b', 'a', '', '', '', '', 'b'];
+        assert.deepStrictEqual(windowsOf(lines, 'a b', { mode: 'lines', lines: 2 }), [
+            { startLine: 1, endLine: 3, keywords: ['a', 'b'] }
+        ]);
+        assert.deepStrictEqual(windowsOf(lines, 'a b', { mode: 'lines', lines: 5 }), [
+            { startLine: 1, endLine: 3, keywords: ['a', 'b'] },
+            { startLine: 4, endLine: 9, keywords: ['a', 'b'] }
+        ]);
+    });
+
+    test('花括号代码块只保留最内层', () => {
+        const lines = [
+            'function f() {',
+            '    if (x) {',
+            '        a(); b();',
+            '    }',
+            '    a();',
+            '}',
+            'b();'
+        ];
+        assert.deepStrictEqual(windowsOf(lines, 'a b', { mode: 'block' }), [
+            { startLine: 2, endLine: 4, keywords: ['a', 'b'] }
+        ]);
+    });
+
+    test('没有花括号的文件按段落划分代码块', () => {
+        const lines = ['a', 'b', '', 'a', '', 'b'];
+        assert.deepStrictEqual(windowsOf(lines, 'a b', { mode: 'block' }, '.md'), [
+            { startLine: 1, endLine: 2, keywords: ['a', 'b'] }
+        ]);
+    });
+
+    test('整个文件范围不产生窗口', () => {
+        assert.deepStrictEqual(windowsOf(['a b'], 'a b', { mode: 'file' }), []);
+    });
+
+    test('范围的显示名称', () => {
+        assert.strictEqual(describeMatchScope({ mode: 'lines', lines: 3 }), '3 行以内');
+        assert.strictEqual(describeMatchScope({ mode: 'line' }), '同一行');
+        assert.strictEqual(describeMatchScope({ mode: 'line', zone: 'comment' }), '同一行，仅注释');
+        assert.strictEqual(describeMatchScope({ mode: 'file', zone: 'all' }), '整个文件');
+    });
+});
@@ -0,0 +1,87 @@
+import * as assert from 'assert';
+import { AndNode, QuerySyntaxError, TermNode, evaluateQuery, parseFuzzyTerm, parseQuery, parseRegexLiteral, parseTerm } from '../../queryParser';
+
+suite('查询解析', () => {
+    test('空格分隔的关键词为隐式 AND', () => {
+        const query = parseQuery('foo  bar AND baz');
+        assert.deepStrictEqual(query.terms, ['foo', 'bar', 'baz']);
+        assert.deepStrictEqual(query.requiredTerms, ['foo', 'bar', 'baz']);
+        assert.strictEqual(query.root.type, 'and');
+    });
+
+    test('排除词不属于 keywords', () => {
+        const query = parseQuery('foo -bar NOT baz');
+        assert.deepStrictEqual(query.terms, ['foo', 'bar', 'baz']);
+        assert.deepStrictEqual(query.keywords, ['foo']);
+        assert.deepStrictEqual(query.requiredTerms, ['foo']);
+    });
+
+    test('OR 的优先级低于 AND，只有每个分支都要求的词是必需的', () => {
+        const query = parseQuery('a b OR a c');
+        assert.deepStrictEqual(query.requiredTerms, ['a']);
+
+        const has = (present: string[]) => evaluateQuery(query.root, term => present.includes(term));
+        assert.strictEqual(has(['a', 'b']), true);
+        assert.strictEqual(has(['a', 'c']), true);
+        assert.strictEqual(has(['b', 'c']), false);
+    });
+
+    test('括号分组', () => {
+        const query = parseQuery('a (b OR c) -d');
+        const has = (present: string[]) => evaluateQuery(query.root, term => present.includes(term));
+        assert.strictEqual(has(['a', 'c']), true);
+        assert.strictEqual(has(['a']), false);
+        assert.strictEqual(has(['a', 'b', 'd']), false);
+    });
+
+    test('引号短语可以包含空格和运算符', () => {
+        const query = parseQuery('"a OR b" c');
+        assert.deepStrictEqual(query.terms, ['a OR b', 'c']);
+        const phrase = (query.root as AndNode).children[0] as TermNode;
+        assert.strictEqual(phrase.phrase, true);
+    });
+
+    test('/…/标志 为正则关键词', () => {
+        const node = parseQuery('/order_?id/i').root as TermNode;
+        assert.deepStrictEqual(node.regex, { source: 'order_?id', flags: 'i' });
+        assert.deepStrictEqual(parseRegexLiteral('/a b/gi'), { source: 'a b', flags: 'i' });
+        assert.strictEqual(parseRegexLiteral('/a/x'), null);
+    });
+
+    test('引号中的正则写法按原文匹配，键加上引号', () => {
+        const query = parseQuery('"/api/" x');
+        assert.deepStrictEqual(query.terms, ['"/api/"', 'x']);
+        const node = query.termNodes.get('"/api/"')!;
+        assert.strictEqual(node.regex, undefined);
+        assert.strictEqual(node.text, '/api/');
+        assert.deepStrictEqual(parseTerm('"/api/"'), node);
+    });
+
+    test('无效的正则在解析时报错，引号中的不报错', () => {
+        assert.throws(() => parseQuery('/(/ foo'), QuerySyntaxError);
+        assert.doesNotThrow(() => parseQuery('"/(/" foo'));
+    });
+
+    test('词~N 为模糊关键词，引号中的按原文匹配', () => {
+        const node = parseQuery('colour~2').termNodes.get('colour~2')!;
+        assert.deepStrictEqual(node.fuzzy, { text: 'colour', distance: 2 });
+        assert.strictEqual(node.text, 'colour');
+        assert.strictEqual(parseFuzzyTerm('colour~')!.distance, 1);
+        assert.strictEqual(parseFuzzyTerm('colour'), null);
+
+        const phrase = parseQuery('"colour~2"').termNodes.get('"colour~2"')!;
+        assert.strictEqual(phrase.fuzzy, undefined);
+        assert.strictEqual(phrase.text, 'colour~2');
+    });
+
+    test('语法错误报告位置', () => {
+        const expectError = (input: string, position: number) => assert.throws(
+            () => parseQuery(input),
+            (error: unknown) => error instanceof QuerySyntaxError && error.position === position
+        );
+        expectError('a (b', 2);
+        expectError('"abc', 0);
+        expectError('-a', 0);
+        expectError('a OR', 2);
+    });
+});
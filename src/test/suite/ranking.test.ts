@@ -0,0 +1,70 @@
+import * as assert from 'assert';
+import { compareResultsBy, createRelevanceScorer, getKeywordSpan } from '../../ranking';
+import { exactVariants } from './searchHelpers';
+import { KeywordMatch, SearchResult } from '../../utils';
+
+/**
+ * 关键词 -> 匹配所在的行
+ */
+function createResult(relativePath: string, matchLines: { [keyword: string]: number[] }, fileSize = 1024): SearchResult {
+    const matches: KeywordMatch[] = Object.entries(matchLines).map(([keyword, lines]) => ({
+        keyword,
+        positions: lines.map(line => ({ line, column: 1, length: keyword.length, lineText: keyword }))
+    }));
+    return { filePath: `/workspace/${relativePath}`, relativePath, fileSize, matches };
+}
+
+suite('相关度排序', () => {
+    test('关键词的最小行距', () => {
+        assert.strictEqual(getKeywordSpan(createResult('a.ts', { a: [1, 50], b: [30, 48] })), 2);
+        assert.strictEqual(getKeywordSpan(createResult('a.ts', { a: [1, 20], b: [10], c: [5, 12] })), 9);
+        assert.strictEqual(getKeywordSpan(createResult('a.ts', { a: [1, 9] })), 0);
+        assert.strictEqual(getKeywordSpan(createResult('a.ts', { a: [3], b: [3] })), 0);
+    });
+
+    test('没有匹配位置的关键词不影响行距', () => {
+        assert.strictEqual(getKeywordSpan(createResult('a.ts', { a: [1], b: [4], c: [] })), 3);
+    });
+
+    test('关键词距离越近分数越高', () => {
+        const score = createRelevanceScorer(['alpha', 'beta'], false, false, exactVariants);
+        const near = score(createResult('x.ts', { alpha: [10], beta: [11] }));
+        const far = score(createResult('x.ts', { alpha: [10], beta: [200] }));
+        assert.ok(near > far, `${near} <= ${far}`);
+    });
+
+    test('文件名包含关键词时分数更高', () => {
+        const score = createRelevanceScorer(['alpha', 'beta'], false, false, exactVariants);
+        const named = score(createResult('src/Alpha.ts', { alpha: [1], beta: [2] }));
+        const other = score(createResult('src/other.ts', { alpha: [1], beta: [2] }));
+        assert.ok(named > other, `${named} <= ${other}`);
+    });
+
+    test('匹配密度高、覆盖关键词多的分数更高', () => {
+        const score = createRelevanceScorer(['alpha', 'beta'], false, false, exactVariants);
+        const small = score(createResult('x.ts', { alpha: [1], beta: [2] }, 1024));
+        const large = score(createResult('x.ts', { alpha: [1], beta: [2] }, 1024 * 1024));
+        assert.ok(small > large, `${small} <= ${large}`);
+
+        const partial = score(createResult('x.ts', { alpha: [1, 2], beta: [] }));
+        assert.ok(small > partial, `${small} <= ${partial}`);
+    });
+
+    test('没有匹配时分数为 0', () => {
+        assert.strictEqual(createRelevanceScorer(['alpha'], false, false, exactVariants)(createResult('x.ts', { alpha: [] })), 0);
+    });
+
+    test('按排序方式比较，相同时按路径', () => {
+        const a = { ...createResult('a.ts', { x: [1] }, 10), score: 1, lastModified: new Date(2000, 0, 1) };
+        const b = { ...createResult('b.ts', { x: [1, 2] }, 20), score: 5, lastModified: new Date(2020, 0, 1) };
+        const c = { ...createResult('c.ts', { x: [1] }, 20), score: 1 };
+        const sorted = (order: Parameters<typeof compareResultsBy>[0]) =>
+            [c, b, a].sort(compareResultsBy(order)).map(result => result.relativePath);
+
+        assert.deepStrictEqual(sorted('relevance'), ['b.ts', 'a.ts', 'c.ts']);
+        assert.deepStrictEqual(sorted('path'), ['a.ts', 'b.ts', 'c.ts']);
+        assert.deepStrictEqual(sorted('matchCount'), ['b.ts', 'a.ts', 'c.ts']);
+        assert.deepStrictEqual(sorted('size'), ['b.ts', 'c.ts', 'a.ts']);
+        assert.deepStrictEqual(sorted('modified'), ['b.ts', 'a.ts', 'c.ts']);
+    });
+});
@@ -0,0 +1,58 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { applyReplacements, findReplacements } from '../../replace';
+import { exactVariants } from './searchHelpers';
+
+suite('批量替换', () => {
+    let directory: string;
+    let filePath: string;
+
+    setup(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intersection-replace-'));
+        filePath = path.join(directory, 'sample.ts');
+        fs.writeFileSync(filePath, 'const userId = getUserId(order_id);\nlet orderId = userId;\n');
+    });
+
+    teardown(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('普通关键词按原样替换，匹配规则与搜索一致', async () => {
+        const [file] = await findReplacements([filePath], 'userId', '$1', false, true, exactVariants);
+        assert.deepStrictEqual(
+            file.matches.map(({ line, column, length, replacement }) => ({ line, column, length, replacement })),
+            [
+                { line: 1, column: 7, length: 6, replacement: '$1' },
+                { line: 2, column: 15, length: 6, replacement: '$1' }
+            ]
+        );
+        assert.deepStrictEqual(file.matches.map(match => match.id), ['0:0', '0:1']);
+    });
+
+    test('正则关键词展开 $1、$<name> 和 $&', async () => {
+        const [numbered] = await findReplacements([filePath], '/order_?(id)/i', '[$1]', true, false, exactVariants);
+        assert.deepStrictEqual(numbered.matches.map(match => match.replacement), ['[id]', '[Id]']);
+
+        const [named] = await findReplacements([filePath], '/get(?<name>\\w+)\\(/', 'fetch$<name>:$&', true, false, exactVariants);
+        assert.deepStrictEqual(named.matches.map(match => match.replacement), ['fetchUserId:getUserId(']);
+    });
+
+    test('没有替换项的文件不返回', async () => {
+        assert.deepStrictEqual(await findReplacements([filePath], 'missing', 'x', false, false, exactVariants), []);
+    });
+
+    test('只应用选中的替换项并保存文件', async () => {
+        const files = await findReplacements([filePath], 'userId', 'accountId', true, true, exactVariants);
+        const result = await applyReplacements(files, new Set(['0:1']), false);
+        assert.deepStrictEqual(result, { applied: true, fileCount: 1, replaceCount: 1 });
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'const userId = getUserId(order_id);\nlet orderId = accountId;\n');
+    });
+
+    test('文件在查找后被修改时拒绝替换', async () => {
+        const files = await findReplacements([filePath], 'userId', 'accountId', true, true, exactVariants);
+        files[0].matches[0].lineText = 'changed';
+        await assert.rejects(applyReplacements(files, undefined, false));
+    });
+});
@@ -0,0 +1,84 @@
+import * as assert from 'assert';
+import * as vscode from 'vscode';
+import { SearchResultTreeItem, SearchResultTreeProvider } from '../../resultView';
+import { SearchResult } from '../../utils';
+import { withSetting } from './searchHelpers';
+
+const result: SearchResult = {
+    filePath: '/workspace/src/a.ts',
+    relativePath: 'src/a.ts',
+    fileSize: 10,
+    matches: [
+        { keyword: 'alpha', positions: [
+            { line: 3, column: 5, length: 5, lineText: '    alpha();' },
+            { line: 9, column: 1, length: 5, lineText: 'alpha' }
+        ] },
+        { keyword: 'beta', positions: [{ line: 4, column: 1, length: 4, lineText: 'beta' }], variants: ['betta'] }
+    ]
+};
+
+const windowResult: SearchResult = {
+    ...result,
+    filePath: '/workspace/b.ts',
+    relativePath: 'b.ts',
+    windows: [{ startLine: 3, endLine: 4, keywords: ['alpha', 'beta'] }]
+};
+
+suite('结果树视图', () => {
+    const provider = new SearchResultTreeProvider();
+
+    const children = async (element?: SearchResultTreeItem) => await provider.getChildren(element);
+
+    test('文件节点 → 关键词匹配 → 匹配位置', async () => {
+        provider.updateResults(['alpha', 'beta'], [result]);
+        const [file] = await children();
+        assert.strictEqual(file.contextValue, 'searchResultFile');
+        assert.strictEqual(file.searchResult, result);
+        assert.deepStrictEqual(file.command!.arguments, [result.filePath, ['alpha', 'beta'], result]);
+
+        const matches = await children(file);
+        assert.deepStrictEqual(matches.map(item => [item.label, item.contextValue]), [
+            ['alpha (2 处匹配)', 'searchResultMatch'],
+            ['beta → betta (1 处匹配)', 'searchResultMatch']
+        ]);
+        assert.strictEqual(matches[0].searchResult, undefined);
+
+        const positions = await children(matches[0]);
+        assert.deepStrictEqual(positions.map(item => [item.label, item.description, item.contextValue]), [
+            ['alpha();', '第 3 行', 'searchResultPosition'],
+            ['alpha', '第 9 行', 'searchResultPosition']
+        ]);
+        assert.deepStrictEqual(positions[0].command!.arguments, [result.filePath, ['alpha', 'beta'], result, 3, 5]);
+        assert.strictEqual(positions[0].collapsibleState, vscode.TreeItemCollapsibleState.None);
+    });
+
+    test('共现窗口下按位置列出窗口内的匹配', async () => {
+        provider.updateResults(['alpha', 'beta'], [windowResult]);
+        const [file] = await children();
+        const [window] = await children(file);
+        assert.strictEqual(window.contextValue, 'searchResultWindow');
+        assert.strictEqual(window.label, '第 3-4 行: alpha, beta');
+        assert.deepStrictEqual(window.command!.arguments, [windowResult.filePath, ['alpha', 'beta'], windowResult, 3]);
+
+        const positions = await children(window);
+        assert.deepStrictEqual(positions.map(item => item.description), ['alpha · 第 3 行', 'beta · 第 4 行']);
+    });
+
+    test('按目录分组时目录在前，根目录下的文件在后', async () => {
+        await withSetting('groupByFolder', true, async () => {
+            provider.updateResults(['alpha'], [windowResult, result]);
+            const roots = await children();
+            assert.deepStrictEqual(roots.map(item => [item.label, item.contextValue]), [
+                ['src', 'searchResultDirectory'],
+                ['b.ts', 'searchResultFile']
+            ]);
+            assert.deepStrictEqual((await children(roots[0])).map(item => item.searchResult), [result]);
+        });
+    });
+
+    test('移除文件', async () => {
+        provider.updateResults(['alpha'], [result, windowResult]);
+        provider.removeResult(result.filePath);
+        assert.deepStrictEqual(provider.getResults(), [windowResult]);
+    });
+});
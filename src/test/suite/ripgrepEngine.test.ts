@@ -0,0 +1,70 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { RipgrepEngine } from '../../searchEngine';
+import { createOptions, searchPaths } from './searchHelpers';
+
+/**
+ * ripgrep退出码的处理，使用输出固定 JSON 的脚本代替ripgrep
+ */
+suite('ripgrep 搜索引擎', () => {
+    let directory: string;
+    let samplePath: string;
+
+    suiteSetup(function () {
+        // 代替ripgrep的脚本需要能直接执行
+        if (process.platform === 'win32') {
+            this.skip();
+        }
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        assert.ok(folder, '需要以 test-files 作为工作区运行测试');
+        samplePath = path.join(folder.uri.fsPath, 'sample1.js');
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intersection-ripgrep-'));
+    });
+
+    suiteTeardown(() => {
+        if (directory) {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    /**
+     * 创建输出指定 JSON 消息和错误信息后以指定退出码退出的脚本
+     */
+    function createFakeRipgrep(name: string, messages: object[], stderr: string, code: number): RipgrepEngine {
+        const scriptPath = path.join(directory, name);
+        fs.writeFileSync(scriptPath, [
+            '#!/usr/bin/env node',
+            `process.stdout.write(${JSON.stringify(messages.map(message => JSON.stringify(message) + '\n').join(''))});`,
+            `process.stderr.write(${JSON.stringify(stderr)});`,
+            `process.exitCode = ${code};`
+        ].join('\n'));
+        fs.chmodSync(scriptPath, 0o755);
+        return new RipgrepEngine(scriptPath);
+    }
+
+    function fileMessages(): object[] {
+        return [
+            { type: 'begin', data: { path: { text: samplePath } } },
+            { type: 'match', data: { path: { text: samplePath }, lines: { text: 'alpha beta\n' }, line_number: 1 } },
+            { type: 'end', data: { path: { text: samplePath }, binary_offset: null } }
+        ];
+    }
+
+    test('退出码 2 且输出完整时保留结果', async () => {
+        const ripgrep = createFakeRipgrep(
+            'partial-rg',
+            [...fileMessages(), { type: 'summary', data: {} }],
+            'rg: locked: Permission denied (os error 13)\n',
+            2
+        );
+        assert.deepStrictEqual(await searchPaths(ripgrep, createOptions('alpha beta')), ['sample1.js']);
+    });
+
+    test('退出码 2 且没有完成搜索时报错', async () => {
+        const ripgrep = createFakeRipgrep('failed-rg', fileMessages(), 'rg: regex parse error\n', 2);
+        await assert.rejects(searchPaths(ripgrep, createOptions('alpha beta')), /ripgrep退出码: 2/);
+    });
+});
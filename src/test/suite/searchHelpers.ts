@@ -0,0 +1,75 @@
+import * as vscode from 'vscode';
+import { parseQuery } from '../../queryParser';
+import { MatchScope } from '../../proximity';
+import { SearchResult, getConfiguration } from '../../utils';
+import { EngineSearchOptions, SearchEngine } from '../../searchEngine';
+import { VariantOptions } from '../../keywordVariants';
+
+/**
+ * 引擎测试共用的搜索选项和运行方式
+ */
+
+export const defaultFlags = { caseSensitive: false, wholeWord: false };
+
+/** 只按关键词本身精确匹配，不受用户设置影响 */
+export const exactVariants: VariantOptions = { fuzzyDistance: 0, identifierMatching: false };
+
+const noProgress: vscode.Progress<{ message?: string; increment?: number }> = { report: () => undefined };
+
+export function createOptions(
+    query: string,
+    scope: MatchScope = { mode: 'file' },
+    flags: { caseSensitive: boolean; wholeWord: boolean } = defaultFlags,
+    maxFileSize = 1024
+): EngineSearchOptions {
+    const config = getConfiguration();
+    return {
+        query: parseQuery(query),
+        folders: vscode.workspace.workspaceFolders ?? [],
+        caseSensitive: flags.caseSensitive,
+        wholeWord: flags.wholeWord,
+        ...exactVariants,
+        matchScope: scope,
+        maxFileSize,
+        includePatterns: config.includePatterns,
+        ignorePatterns: config.ignorePatterns,
+        useIgnoreFiles: false,
+        useExcludeSettings: false
+    };
+}
+
+/**
+ * 运行引擎并去掉预览（ripgrep只返回匹配行附近的行，预览的总行数和文件末尾的片段范围可能不同）
+ */
+export async function search(engine: SearchEngine, options: EngineSearchOptions) {
+    const tokenSource = new vscode.CancellationTokenSource();
+    try {
+        const results = await engine.search(options, noProgress, tokenSource.token);
+        return results.map(({ preview, lastModified, ...result }: SearchResult) => ({
+            ...result,
+            lastModified: lastModified?.getTime()
+        }));
+    } finally {
+        tokenSource.dispose();
+    }
+}
+
+/**
+ * 运行引擎，只返回结果文件的相对路径
+ */
+export async function searchPaths(engine: SearchEngine, options: EngineSearchOptions): Promise<string[]> {
+    return (await search(engine, options)).map(result => result.relativePath);
+}
+
+/**
+ * 临时修改扩展设置运行测试，结束后恢复默认值
+ */
+export async function withSetting<T>(key: string, value: unknown, run: () => Promise<T>): Promise<T> {
+    const config = vscode.workspace.getConfiguration('intersectionSearch');
+    await config.update(key, value, vscode.ConfigurationTarget.Global);
+    try {
+        return await run();
+    } finally {
+        await config.update(key, undefined, vscode.ConfigurationTarget.Global);
+    }
+}
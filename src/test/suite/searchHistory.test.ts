@@ -0,0 +1,90 @@
+import * as assert from 'assert';
+import * as vscode from 'vscode';
+import { SearchDefinition, SearchHistory } from '../../searchHistory';
+
+/**
+ * 内存中的工作区状态
+ */
+class MemoryMemento implements vscode.Memento {
+    private readonly values = new Map<string, unknown>();
+
+    keys(): readonly string[] {
+        return Array.from(this.values.keys());
+    }
+
+    get<T>(key: string, defaultValue?: T): T | undefined {
+        return this.values.has(key) ? this.values.get(key) as T : defaultValue;
+    }
+
+    async update(key: string, value: unknown): Promise<void> {
+        this.values.set(key, value);
+    }
+}
+
+function createSearch(query: string, overrides: Partial<SearchDefinition> = {}): SearchDefinition {
+    return {
+        query,
+        caseSensitive: false,
+        wholeWord: false,
+        identifierMatching: true,
+        matchScope: { mode: 'line', zone: 'comment' },
+        fileScope: { kind: 'workspace' },
+        ...overrides
+    };
+}
+
+suite('搜索历史', () => {
+    const history = SearchHistory.getInstance();
+
+    setup(() => {
+        history.setState(new MemoryMemento());
+    });
+
+    test('最近的搜索在前，重复的查询移到最前', async () => {
+        await history.add(createSearch('a b'));
+        await history.add(createSearch('c'));
+        await history.add(createSearch('  a b '));
+        assert.deepStrictEqual(history.getHistory(), ['a b', 'c']);
+    });
+
+    test('最多保留 50 条', async () => {
+        for (let i = 0; i < 60; i++) {
+            await history.add(createSearch(`query ${i}`));
+        }
+        const items = history.getHistory();
+        assert.strictEqual(items.length, 50);
+        assert.strictEqual(items[0], 'query 59');
+        assert.strictEqual(items[49], 'query 10');
+    });
+
+    test('记录搜索时通知历史变化并作为当前搜索', async () => {
+        let changes = 0;
+        const listener = history.onDidChangeHistory(() => changes++);
+        try {
+            const search = createSearch('x', { matchScope: { mode: 'file', zone: 'string' } });
+            await history.add(search);
+            assert.strictEqual(changes, 1);
+            assert.deepStrictEqual(history.getLastSearch(), search);
+        } finally {
+            listener.dispose();
+        }
+    });
+
+    test('保存的搜索按名称排序，同名的被替换', async () => {
+        await history.saveSearch({ name: 'b', ...createSearch('first') });
+        await history.saveSearch({ name: 'a', ...createSearch('second') });
+        await history.saveSearch({ name: 'b', ...createSearch('third') });
+        assert.deepStrictEqual(history.getSavedSearches().map(search => [search.name, search.query]), [['a', 'second'], ['b', 'third']]);
+
+        await history.deleteSavedSearch('a');
+        assert.deepStrictEqual(history.getSavedSearches().map(search => search.name), ['b']);
+    });
+
+    test('保存的搜索包含区域和标识符匹配，当前结果范围保存为整个工作区', async () => {
+        await history.saveSearch({ name: 'x', ...createSearch('q', { fileScope: { kind: 'results', files: ['/a.ts'] } }) });
+        const [saved] = history.getSavedSearches();
+        assert.deepStrictEqual(saved.fileScope, { kind: 'workspace' });
+        assert.deepStrictEqual(saved.matchScope, { mode: 'line', zone: 'comment' });
+        assert.strictEqual(saved.identifierMatching, true);
+    });
+});
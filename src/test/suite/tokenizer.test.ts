@@ -0,0 +1,41 @@
+import * as assert from 'assert';
+import { extractIndexTokens, getIndexLookups, isCjkChar } from '../../tokenizer';
+
+suite('索引分词', () => {
+    test('中日韩文字', () => {
+        assert.strictEqual(isCjkChar('中'), true);
+        assert.strictEqual(isCjkChar('カ'), true);
+        assert.strictEqual(isCjkChar('한'), true);
+        assert.strictEqual(isCjkChar('a'), false);
+    });
+
+    test('非中日韩片段按小写整词索引，忽略单个字符', () => {
+        assert.deepStrictEqual(
+            Array.from(extractIndexTokens('const projectName = x + Foo_Bar;')).sort(),
+            ['const', 'foo_bar', 'projectname']
+        );
+    });
+
+    test('中日韩片段索引单字和二元组', () => {
+        assert.deepStrictEqual(
+            Array.from(extractIndexTokens('项目代码')).sort(),
+            ['代', '代码', '目', '目代', '码', '项', '项目'].sort()
+        );
+    });
+
+    test('混合片段分别处理', () => {
+        assert.deepStrictEqual(
+            Array.from(extractIndexTokens('VSCode关键词')).sort(),
+            ['vscode', '关', '关键', '键', '键词', '词'].sort()
+        );
+    });
+
+    test('关键词的查找项', () => {
+        assert.deepStrictEqual(getIndexLookups('Project代码'), [
+            { kind: 'substring', token: 'project' },
+            { kind: 'exact', token: '代码' }
+        ]);
+        assert.deepStrictEqual(getIndexLookups('项'), [{ kind: 'exact', token: '项' }]);
+        assert.deepStrictEqual(getIndexLookups('x'), []);
+    });
+});
@@ -0,0 +1,151 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { SearchWebviewPanel } from '../../webviewPanel';
+import { parseQuery } from '../../queryParser';
+import { SearchResult } from '../../utils';
+
+/**
+ * 记录发往webview的消息，并可以模拟webview发来的消息
+ */
+class FakeWebviewPanel {
+    public readonly messages: any[] = [];
+    /** 每条消息发送时调用，用于在搜索的某个阶段模拟用户操作 */
+    public onPost: ((message: any) => void) | undefined;
+    private receive: ((message: any) => Promise<void>) | undefined;
+
+    public title = '';
+    public readonly webview = {
+        html: '',
+        cspSource: 'test',
+        asWebviewUri: (uri: vscode.Uri) => uri,
+        postMessage: async (message: any) => {
+            this.messages.push(message);
+            this.onPost?.(message);
+            return true;
+        },
+        onDidReceiveMessage: (listener: (message: any) => Promise<void>) => {
+            this.receive = listener;
+            return { dispose: () => undefined };
+        }
+    };
+
+    public onDidDispose() {
+        return { dispose: () => undefined };
+    }
+
+    public reveal() {}
+
+    public dispose() {}
+
+    /** 模拟webview发来消息，返回扩展端处理完成的Promise */
+    public send(message: any): Promise<void> {
+        return this.receive!(message);
+    }
+
+    /** 收到的消息命令，不包括进度和搜索历史 */
+    public commands(): string[] {
+        return this.messages
+            .map(message => message.command)
+            .filter(command => command !== 'searchProgress' && command !== 'searchHistory');
+    }
+}
+
+suite('Webview搜索面板', () => {
+    let fake: FakeWebviewPanel;
+    let panel: SearchWebviewPanel;
+
+    setup(() => {
+        fake = new FakeWebviewPanel();
+        SearchWebviewPanel.revive(fake as unknown as vscode.WebviewPanel, vscode.Uri.file(path.resolve(__dirname, '../../..')));
+        panel = SearchWebviewPanel.currentPanel!;
+    });
+
+    teardown(() => {
+        panel.dispose();
+    });
+
+    test('边搜索边发送结果，完成消息只包含统计信息', async () => {
+        await fake.send({ command: 'search', query: '项目代码 项目名称' });
+
+        const commands = fake.commands();
+        assert.deepStrictEqual(commands.slice(0, 2), ['queryValid', 'searchStarted']);
+        assert.strictEqual(commands[commands.length - 1], 'searchCompleted');
+
+        const streamed: SearchResult[] = fake.messages
+            .filter(message => message.command === 'searchResult')
+            .flatMap(message => message.results);
+        assert.deepStrictEqual(
+            streamed.map(result => result.relativePath).sort(),
+            ['sample1.js', 'sample2.ts', 'sample3.md', 'sample4.json']
+        );
+
+        const completed = fake.messages.find(message => message.command === 'searchCompleted');
+        assert.strictEqual(completed.totalFiles, 4);
+        assert.strictEqual(completed.results, undefined);
+    });
+
+    test('搜索进行中已经发送的结果记录为最近一次搜索的结果', async () => {
+        const recorded: string[][] = [];
+        fake.onPost = message => {
+            if (message.command === 'searchResult') {
+                recorded.push(panel['_lastSearch']!.results.map(result => result.relativePath));
+            }
+        };
+        await fake.send({ command: 'search', query: '项目代码 项目名称' });
+
+        const streamed: string[][] = fake.messages
+            .filter(message => message.command === 'searchResult')
+            .map(message => message.results.map((result: SearchResult) => result.relativePath));
+        assert.ok(recorded.length > 0);
+        recorded.forEach((paths, index) => assert.deepStrictEqual(paths, streamed.slice(0, index + 1).flat()));
+    });
+
+    test('语法错误时不开始搜索', async () => {
+        await fake.send({ command: 'search', query: 'a (b' });
+        assert.deepStrictEqual(fake.commands(), ['queryError']);
+        assert.strictEqual(fake.messages[0].position, 2);
+    });
+
+    test('用户停止时报告取消，不发送完成消息', async () => {
+        fake.onPost = message => {
+            if (message.command === 'searchStarted') {
+                fake.send({ command: 'cancelSearch' });
+            }
+        };
+        await fake.send({ command: 'search', query: '项目代码 项目名称' });
+
+        const commands = fake.commands();
+        assert.strictEqual(commands[commands.length - 1], 'searchCancelled');
+        assert.ok(!commands.includes('searchCompleted'));
+    });
+
+    test('替换按得到结果的搜索的匹配选项查找，不使用当前配置', async () => {
+        const matchOptions = { caseSensitive: true, wholeWord: false, fuzzyDistance: 0, identifierMatching: false };
+        await panel['_runSearch'](parseQuery('projectcode'), undefined, undefined, { kind: 'workspace' }, [], matchOptions);
+        assert.deepStrictEqual(panel['_lastSearch']!.matchOptions, matchOptions);
+
+        const filePath = path.join(vscode.workspace.workspaceFolders![0].uri.fsPath, 'sample1.js');
+        await fake.send({ command: 'findReplacements', term: 'projectcode', replacement: 'x', files: [filePath] });
+        assert.deepStrictEqual(fake.messages.find(message => message.command === 'replacePreview').files, []);
+    });
+
+    test('新的搜索取代正在进行的搜索，被取代的搜索不再发送消息', async () => {
+        // 两次搜索同步开始，第二次开始时第一次还没有找到任何文件
+        const runSearch = (query: string) => panel['_runSearch'](parseQuery(query), undefined, undefined, { kind: 'workspace' }, []);
+        const first = runSearch('项目代码 项目名称');
+        const second = runSearch('interface');
+        await Promise.all([first, second]);
+
+        assert.deepStrictEqual(fake.commands().filter(command => command !== 'searchResult'), [
+            'searchStarted',
+            'searchStarted',
+            'searchCompleted'
+        ]);
+        const streamed: SearchResult[] = fake.messages
+            .filter(message => message.command === 'searchResult')
+            .flatMap(message => message.results);
+        assert.deepStrictEqual(streamed.map(result => result.relativePath), ['sample2.ts']);
+        assert.deepStrictEqual(fake.messages.find(message => message.command === 'searchCompleted').keywords, ['interface']);
+    });
+});
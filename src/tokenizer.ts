@@ -0,0 +1,121 @@
+/**
+ * 搜索索引的分词
+ *
+ * 文本按字母、数字、下划线组成的连续片段切分（支持任意 Unicode 字母），片段内再分为两类：
+ * - 中日韩文字：没有空格分词，索引每个字以及相邻两个字组成的二元组
+ * - 其他文字：以整个小写片段作为词汇，查找时在词表中做子串匹配
+ */
+
+/**
+ * 分词规则版本，规则或文件内容的解码方式变化时递增，已建立的索引需要重建
+ *
+ * 3：按检测到的编码解码文件（之前一律按 UTF-8）
+ */
+export const tokenizerVersion = 3;
+
+/**
+ * 索引查找项
+ * - exact: 词汇必须与索引中的词完全相同（中日韩单字或二元组）
+ * - substring: 词汇是索引中某个词的子串
+ */
+export interface IndexLookup {
+    kind: 'exact' | 'substring';
+    token: string;
+}
+
+const wordRunPattern = /[\p{L}\p{N}\p{M}_]+/gu;
+const cjkPattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// 非中日韩片段的最小索引长度
+const minWordLength = 2;
+
+/**
+ * 是否为中日韩文字
+ */
+export function isCjkChar(ch: string): boolean {
+    return cjkPattern.test(ch);
+}
+
+/**
+ * 将字母数字片段拆分为中日韩和非中日韩两类子片段
+ */
+function splitSegments(run: string): { text: string; cjk: boolean }[] {
+    const segments: { text: string; cjk: boolean }[] = [];
+
+    for (const ch of run) {
+        const cjk = isCjkChar(ch);
+        const last = segments[segments.length - 1];
+        if (last && last.cjk === cjk) {
+            last.text += ch;
+        } else {
+            segments.push({ text: ch, cjk });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * 遍历文本中的所有片段
+ */
+function forEachSegment(text: string, callback: (segment: string, cjk: boolean) => void): void {
+    const runs = text.toLowerCase().match(wordRunPattern) || [];
+    for (const run of runs) {
+        for (const segment of splitSegments(run)) {
+            callback(segment.text, segment.cjk);
+        }
+    }
+}
+
+/**
+ * 提取中日韩片段的单字和二元组
+ */
+function cjkGrams(segment: string): string[] {
+    const chars = Array.from(segment);
+    const grams = new Set(chars);
+    for (let i = 0; i + 1 < chars.length; i++) {
+        grams.add(chars[i] + chars[i + 1]);
+    }
+    return Array.from(grams);
+}
+
+/**
+ * 从文本中提取索引词汇
+ */
+export function extractIndexTokens(content: string): Set<string> {
+    const tokens = new Set<string>();
+
+    forEachSegment(content, (segment, cjk) => {
+        if (cjk) {
+            cjkGrams(segment).forEach(gram => tokens.add(gram));
+        } else if (segment.length >= minWordLength) {
+            tokens.add(segment);
+        }
+    });
+
+    return tokens;
+}
+
+/**
+ * 将关键词分解为索引查找项
+ *
+ * 包含该关键词的文件必然满足所有查找项；返回空数组表示无法通过索引筛选（例如只有单个字母）。
+ */
+export function getIndexLookups(keyword: string): IndexLookup[] {
+    const lookups = new Map<string, IndexLookup>();
+
+    forEachSegment(keyword, (segment, cjk) => {
+        if (cjk) {
+            // 有二元组时只需查二元组，单字的关键词才查单字
+            const chars = Array.from(segment);
+            const grams = chars.length === 1
+                ? chars
+                : chars.slice(0, -1).map((ch, i) => ch + chars[i + 1]);
+            grams.forEach(gram => lookups.set(`exact:${gram}`, { kind: 'exact', token: gram }));
+        } else if (segment.length >= minWordLength) {
+            lookups.set(`substring:${segment}`, { kind: 'substring', token: segment });
+        }
+    });
+
+    return Array.from(lookups.values());
+}
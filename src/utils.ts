@@ -1,18 +1,49 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import * as vscode from 'vscode';
+import { SearchQuery, QueryNode, evaluateQuery, parseTerm } from './queryParser';
+import { MatchScope, MatchScopeMode, findMatchWindows } from './proximity';
+import { TermMatcher, createQueryMatchers, escapeRegExp } from './matcher';
+import { IndexLookup, extractIndexTokens, getIndexLookups, tokenizerVersion } from './tokenizer';
+import { SearchEngineKind } from './searchEngine';
+import { IndexStore, IndexManifest, PostingShard, StoredFileEntry, defaultShardCount, indexFormatVersion, shardOf } from './indexStore';
+import { EncodingPreference, decodeText, defaultEncoding, detectEncoding, normalizeEncoding } from './encoding';
+import { SkipReason, getSkipReason } from './contentSniffer';
+import { IgnoreFileMatcher } from './ignoreFiles';
+import { SortOrder } from './ranking';
+import { VariantOptions, getKeywordVariants } from './keywordVariants';
+import { getIdentifierWords } from './identifiers';
+import { LexicalZone, MatchZone, createZoneClassifier } from './lexicalZones';
 
 /**
  * 搜索结果接口
  */
 export interface SearchResult {
     filePath: string;
+    /** 相对于所属工作区文件夹的路径 */
     relativePath: string;
+    /** 所属工作区文件夹名称 */
+    workspaceFolder?: string;
     matches: KeywordMatch[];
     fileSize: number;
     preview?: FilePreview;
     lastModified?: Date;
     fileType?: string;
+    /** 非整个文件范围时，关键词共现的窗口 */
+    windows?: MatchWindow[];
+    /** 相关度，越高越相关 */
+    score?: number;
+    /** 在git历史版本中搜索时，文件内容所在的提交 */
+    revision?: string;
+}
+
+/**
+ * 关键词共现窗口（1基行号，包含首尾）
+ */
+export interface MatchWindow {
+    startLine: number;
+    endLine: number;
+    keywords: string[];
 }
 
 /**
@@ -21,6 +52,8 @@ export interface SearchResult {
 export interface KeywordMatch {
     keyword: string;
     positions: MatchPosition[];
+    /** 通过别名或模糊匹配找到的实际写法（不包括关键词本身），按字母排序 */
+    variants?: string[];
 }
 
 /**
@@ -29,7 +62,11 @@ export interface KeywordMatch {
 export interface MatchPosition {
     line: number;
     column: number;
+    /** 实际匹配的长度（正则关键词的匹配长度可能与关键词本身不同） */
+    length: number;
     lineText: string;
+    /** 匹配所在的区域，只在搜索限定了区域时设置 */
+    zone?: LexicalZone;
 }
 
 /**
@@ -37,7 +74,8 @@ export interface MatchPosition {
  */
 export interface FilePreview {
     snippets: PreviewSnippet[];
-    totalLines: number;
+    /** 文件总行数，未读取完整文件时（例如 ripgrep 只返回匹配行）为空 */
+    totalLines?: number;
     encoding?: string;
 }
 
@@ -56,26 +94,29 @@ export interface PreviewSnippet {
  * 文件索引信息
  */
 export interface FileIndex {
+    /** 文件编号，倒排表中通过编号引用文件 */
+    id: number;
     filePath: string;
     relativePath: string;
+    workspaceFolder?: string;
     lastModified: number;
     fileSize: number;
     fileType: string;
-    words: Set<string>;
-    lines: string[];
     encoding: string;
+    /** 二进制或压缩的文件只记录元数据，不建立倒排表 */
+    skipReason?: SkipReason;
 }
 
 /**
- * 搜索索引
+ * 搜索索引（内存中只保存文件元数据，倒排表分片按需加载）
  */
 export interface SearchIndex {
-    version: string;
+    formatVersion: number;
     createdAt: number;
     updatedAt: number;
     files: Map<string, FileIndex>;
-    wordToFiles: Map<string, Set<string>>;
     totalFiles: number;
+    /** 词汇数（增量更新后可能包含已失效的词汇，压缩时校正） */
     totalWords: number;
 }
 
@@ -94,8 +135,23 @@ export function getConfiguration() {
             '**/*.map'
         ]),
         caseSensitive: config.get<boolean>('caseSensitive', false),
+        useIndex: config.get<boolean>('useIndex', true),
+        useIgnoreFiles: config.get<boolean>('useIgnoreFiles', false),
+        useExcludeSettings: config.get<boolean>('useExcludeSettings', false),
+        engine: config.get<SearchEngineKind>('engine', 'auto'),
+        ripgrepPath: config.get<string>('ripgrepPath', ''),
         wholeWord: config.get<boolean>('wholeWord', false),
+        fuzzyDistance: config.get<number>('fuzzyDistance', 0), // 0 表示不使用模糊匹配
+        identifierMatching: config.get<boolean>('identifierMatching', false),
         maxFileSize: config.get<number>('maxFileSize', 1024), // 1024KB
+        maxResults: config.get<number>('maxResults', 500), // 0 表示不限制
+        groupByFolder: config.get<boolean>('groupByFolder', false),
+        sortOrder: config.get<SortOrder>('sortOrder', 'relevance'),
+        matchScope: {
+            mode: config.get<MatchScopeMode>('matchScope', 'file'),
+            lines: config.get<number>('proximityLines', 10),
+            zone: config.get<MatchZone>('matchZone', 'all')
+        } as MatchScope,
         includePatterns: config.get<string[]>('includePatterns', [
             '**/*.js', '**/*.ts', '**/*.jsx', '**/*.jsp', '**/*.tsx',
             '**/*.vue', '**/*.html', '**/*.css', '**/*.scss',
@@ -108,162 +164,297 @@ export function getConfiguration() {
 }
 
 /**
- * 转义正则表达式特殊字符
- */
-function escapeRegExp(string: string): string {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-/**
- * 检查文件是否包含所有关键词
+ * 检查文件内容是否满足查询条件
+ * @param matchers 这次搜索的关键词匹配器（createQueryMatchers），所有文件共用
+ * @param maxFileSize 最大文件大小（KB），未指定时使用配置
+ * @param onSkip 文件因内容（二进制、压缩或生成）被跳过时调用
  */
 export async function containsAllKeywords(
     filePath: string,
-    keywords: string[],
+    query: SearchQuery,
+    matchers: Map<string, TermMatcher>,
     caseSensitive: boolean = false,
-    wholeWord: boolean = false
+    scope: MatchScope = { mode: 'file' },
+    maxFileSize: number = getConfiguration().maxFileSize,
+    onSkip?: (filePath: string, reason: SkipReason) => void
 ): Promise<SearchResult | null> {
     try {
         // 检查文件大小
         const stats = await fs.promises.stat(filePath);
-        const config = getConfiguration();
         
-        if (stats.size > config.maxFileSize * 1024) {
+        if (stats.size > maxFileSize * 1024) {
             return null; // 文件太大，跳过
         }
 
-        // 对于大文件，先使用流式预检查
-        if (stats.size > 100 * 1024) { // 100KB以上的文件使用流式预检查
-            const hasAllKeywords = await containsKeywordsStream(filePath, keywords, caseSensitive);
-            if (!hasAllKeywords) {
-                return null; // 不包含所有关键词，跳过详细处理
-            }
+        // 按检测到的编码解码文件内容
+        const { content, encoding } = await readFileWithStream(filePath, maxFileSize * 1024);
+        const lines = content.split('\n');
+
+        // 跳过二进制文件以及压缩或生成的文件
+        const skipReason = getSkipReason(content, lines);
+        if (skipReason) {
+            onSkip?.(filePath, skipReason);
+            return null;
         }
 
-        // 使用流式处理读取文件内容
-        const { content, lines } = await readFileWithStream(filePath, config.maxFileSize * 1024);
-        
-        // 准备搜索用的关键词
-        const searchKeywords = caseSensitive ? keywords : keywords.map(k => k.toLowerCase());
-        const searchContent = caseSensitive ? content : content.toLowerCase();
-        
-        // 检查是否包含所有关键词
-        const allMatches: KeywordMatch[] = [];
-        
-        for (const originalKeyword of keywords) {
-            const searchKeyword = caseSensitive ? originalKeyword : originalKeyword.toLowerCase();
-
-            // 检查是否包含关键词（考虑全字匹配）
-            let hasKeyword = false;
-            if (wholeWord) {
-                // 全字匹配：使用正则表达式检查
-                const wordRegex = new RegExp(`\\b${escapeRegExp(searchKeyword)}\\b`, caseSensitive ? 'g' : 'gi');
-                hasKeyword = wordRegex.test(searchContent);
-            } else {
-                // 普通匹配：简单包含检查
-                hasKeyword = searchContent.includes(searchKeyword);
-            }
+        // 对于大文件，先检查必需的普通关键词（不包括别名和模糊匹配），避免不必要的逐行匹配
+        const requiredLiterals = query.requiredTerms.filter(term => matchers.get(term)!.isExact);
+        if (stats.size > 100 * 1024 && !containsKeywords(content, requiredLiterals, caseSensitive)) {
+            return null; // 不包含所有必需关键词，跳过详细处理
+        }
 
-            if (!hasKeyword) {
-                return null; // 不包含某个关键词，直接返回
-            }
+        return matchFileContent(
+            { filePath, fileSize: stats.size, lastModified: stats.mtime, encoding, ...getWorkspaceRelativePath(filePath) },
+            content,
+            lines,
+            query,
+            matchers,
+            scope
+        );
+    } catch (error) {
+        console.error(`读取文件失败: ${filePath}`, error);
+        return null;
+    }
+}
 
-            // 找到所有匹配位置
-            const positions = findKeywordPositions(lines, originalKeyword, caseSensitive, wholeWord);
-            if (positions.length > 0) {
-                allMatches.push({
-                    keyword: originalKeyword,
-                    positions
-                });
-            }
+/**
+ * 对只包含部分行的文件内容求值查询（例如 ripgrep 返回的匹配行及其上下文行）
+ *
+ * 未给出的行视为空行，因此只适用于不需要完整文件内容的范围（整个文件、同一行）。
+ * 结果中的文件大小和修改时间需要调用方补充。
+ * @param lines 1基行号 -> 行文本
+ */
+export function matchPartialFileLines(
+    filePath: string,
+    lines: Map<number, string>,
+    query: SearchQuery,
+    matchers: Map<string, TermMatcher>,
+    scope: MatchScope
+): SearchResult | null {
+    let lineCount = 0;
+    lines.forEach((_, lineNumber) => lineCount = Math.max(lineCount, lineNumber));
+
+    const allLines: string[] = new Array(lineCount).fill('');
+    lines.forEach((text, lineNumber) => allLines[lineNumber - 1] = text);
+
+    const result = matchFileContent(
+        { filePath, fileSize: 0, lastModified: new Date(0), ...getWorkspaceRelativePath(filePath) },
+        Array.from(lines.values()).join('\n'),
+        allLines,
+        query,
+        matchers,
+        scope
+    );
+    if (result?.preview) {
+        result.preview.totalLines = undefined;
+    }
+    return result;
+}
+
+/**
+ * 对不在磁盘上的文件内容（例如git历史版本中的文件）求值查询
+ * @param onSkip 文件因内容（二进制、压缩或生成）被跳过时调用
+ */
+export function matchFileText(
+    file: FileInfo,
+    content: string,
+    query: SearchQuery,
+    matchers: Map<string, TermMatcher>,
+    scope: MatchScope,
+    onSkip?: (filePath: string, reason: SkipReason) => void
+): SearchResult | null {
+    const lines = content.split('\n');
+    const skipReason = getSkipReason(content, lines);
+    if (skipReason) {
+        onSkip?.(file.filePath, skipReason);
+        return null;
+    }
+    return matchFileContent(file, content, lines, query, matchers, scope);
+}
+
+/**
+ * 待匹配文件的基本信息
+ */
+export interface FileInfo {
+    filePath: string;
+    relativePath: string;
+    workspaceFolder?: string;
+    fileSize: number;
+    lastModified: Date;
+    /** 文件内容的编码，未读取完整文件时为空 */
+    encoding?: string;
+}
+
+/**
+ * 对已读取的文件内容求值查询，生成搜索结果（磁盘文件和索引共用）
+ */
+function matchFileContent(
+    file: FileInfo,
+    content: string,
+    lines: string[],
+    query: SearchQuery,
+    matchers: Map<string, TermMatcher>,
+    scope: MatchScope
+): SearchResult | null {
+    // 先对全文快速检查每个关键词是否出现（考虑全字匹配和正则）
+    const presentTerms = new Set(query.terms.filter(term => matchers.get(term)!.test(content)));
+
+    const fileType = path.extname(file.filePath).toLowerCase();
+
+    // 限定区域时排除词只统计区域内的匹配，全文出现不能直接排除文件
+    const zone = scope.zone ?? 'all';
+    if (scope.mode === 'file' && zone === 'all') {
+        if (!evaluateQuery(query.root, term => presentTerms.has(term))) {
+            return null; // 不满足查询条件，直接返回
         }
-        
-        // 如果所有关键词都找到了，返回结果
-        if (allMatches.length === keywords.length) {
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            const relativePath = workspaceFolder
-                ? path.relative(workspaceFolder.uri.fsPath, filePath)
-                : filePath;
+    } else if (!query.requiredTerms.every(term => presentTerms.has(term))) {
+        return null; // 缺少必需关键词，不可能存在共现窗口或区域内的匹配
+    }
 
-            // 生成文件预览
-            const preview = generateFilePreview(lines, allMatches, keywords);
+    // 按文件类型切分注释和字符串
+    const classify = zone !== 'all' ? createZoneClassifier(lines, fileType) : undefined;
 
-            return {
-                filePath,
-                relativePath,
-                matches: allMatches,
-                fileSize: stats.size,
-                preview,
-                lastModified: stats.mtime,
-                fileType: path.extname(filePath).toLowerCase()
-            };
+    // 找到出现的关键词的所有匹配位置（按行匹配，跨行的正则匹配不计入）
+    const termPositions = new Map<string, MatchPosition[]>();
+    const searchTerms = scope.mode === 'file' && !classify ? query.keywords : query.terms;
+    for (const term of searchTerms) {
+        if (!presentTerms.has(term)) {
+            continue;
         }
-        
+        let positions = findKeywordPositions(lines, matchers.get(term)!);
+        if (classify) {
+            positions.forEach(pos => pos.zone = classify(pos.line, pos.column));
+            positions = positions.filter(pos => pos.zone === zone);
+        }
+        if (positions.length > 0) {
+            termPositions.set(term, positions);
+        } else {
+            presentTerms.delete(term);
+        }
+    }
+
+    if (scope.mode === 'file' && !evaluateQuery(query.root, term => presentTerms.has(term))) {
         return null;
-    } catch (error) {
-        console.error(`读取文件失败: ${filePath}`, error);
+    }
+
+    // 按范围查找共现窗口，只保留窗口内的匹配位置
+    let windows: MatchWindow[] | undefined;
+    if (scope.mode !== 'file') {
+        const termLines = new Map<string, number[]>();
+        termPositions.forEach((positions, term) => termLines.set(term, positions.map(pos => pos.line)));
+
+        windows = findMatchWindows(lines, termLines, query, scope, fileType);
+        if (windows.length === 0) {
+            return null;
+        }
+    }
+
+    const allMatches: KeywordMatch[] = [];
+    for (const keyword of query.keywords) {
+        const positions = (termPositions.get(keyword) || []).filter(pos =>
+            !windows || windows.some(w => pos.line >= w.startLine && pos.line <= w.endLine)
+        );
+        if (positions.length > 0) {
+            const matcher = matchers.get(keyword)!;
+            const variants = matcher.isExact || matcher.isRegex ? [] : getMatchedVariants(keyword, positions, lines);
+            allMatches.push({
+                keyword,
+                positions,
+                ...(variants.length > 0 ? { variants } : {})
+            });
+        }
+    }
+
+    if (allMatches.length === 0) {
         return null;
     }
+
+    // 生成文件预览
+    const keywordMatchers = query.keywords.map(keyword => matchers.get(keyword)!);
+    const preview = generateFilePreview(lines, allMatches, keywordMatchers, windows, file.encoding);
+
+    return {
+        filePath: file.filePath,
+        relativePath: file.relativePath,
+        workspaceFolder: file.workspaceFolder,
+        matches: allMatches,
+        fileSize: file.fileSize,
+        preview,
+        lastModified: file.lastModified,
+        fileType,
+        windows
+    };
+}
+
+/**
+ * 别名或模糊匹配的关键词实际匹配到的不同写法，与关键词只有大小写不同的写法不计入
+ */
+function getMatchedVariants(keyword: string, positions: MatchPosition[], lines: string[]): string[] {
+    const text = parseTerm(keyword).text.toLowerCase();
+    const matched = new Set(positions.map(pos => lines[pos.line - 1].substr(pos.column - 1, pos.length)));
+    return Array.from(matched).filter(variant => variant.toLowerCase() !== text).sort();
 }
 
 /**
  * 在文本行中查找关键词的所有位置
  */
-function findKeywordPositions(
-    lines: string[],
-    keyword: string,
-    caseSensitive: boolean,
-    wholeWord: boolean = false
-): MatchPosition[] {
+function findKeywordPositions(lines: string[], matcher: TermMatcher): MatchPosition[] {
     const positions: MatchPosition[] = [];
 
     for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
         const line = lines[lineIndex];
 
-        if (wholeWord) {
-            // 全字匹配：使用正则表达式
-            const flags = caseSensitive ? 'g' : 'gi';
-            const regex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, flags);
-            let match;
-
-            while ((match = regex.exec(line)) !== null) {
-                positions.push({
-                    line: lineIndex + 1, // VSCode使用1基索引
-                    column: match.index + 1,
-                    lineText: line.trim()
-                });
-            }
-        } else {
-            // 普通匹配：简单字符串搜索
-            const searchKeyword = caseSensitive ? keyword : keyword.toLowerCase();
-            const searchLine = caseSensitive ? line : line.toLowerCase();
-
-            let columnIndex = 0;
-            while (true) {
-                const foundIndex = searchLine.indexOf(searchKeyword, columnIndex);
-                if (foundIndex === -1) {
-                    break;
-                }
-
-                positions.push({
-                    line: lineIndex + 1, // VSCode使用1基索引
-                    column: foundIndex + 1,
-                    lineText: line.trim()
-                });
-
-                columnIndex = foundIndex + 1;
-            }
+        for (const match of matcher.findAll(line)) {
+            positions.push({
+                line: lineIndex + 1, // VSCode使用1基索引
+                column: match.index + 1,
+                length: match.length,
+                lineText: line.trim()
+            });
         }
     }
     
     return positions;
 }
 
+/**
+ * 获取文件所属的工作区文件夹及相对于该文件夹的路径
+ */
+export function getWorkspaceRelativePath(filePath: string): { workspaceFolder?: string; relativePath: string } {
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+    if (!folder) {
+        return { relativePath: filePath };
+    }
+    return {
+        workspaceFolder: folder.name,
+        relativePath: path.relative(folder.uri.fsPath, filePath)
+    };
+}
+
+/**
+ * 获取结果的显示路径，多根工作区下带上文件夹名
+ */
+export function getDisplayPath(result: { workspaceFolder?: string; relativePath: string }): string {
+    const isMultiRoot = (vscode.workspace.workspaceFolders?.length ?? 0) > 1;
+    return isMultiRoot && result.workspaceFolder
+        ? `${result.workspaceFolder}/${result.relativePath}`
+        : result.relativePath;
+}
+
+/**
+ * 按工作区文件夹和相对路径比较搜索结果
+ */
+export function compareSearchResults(a: SearchResult, b: SearchResult): number {
+    return (a.workspaceFolder || '').localeCompare(b.workspaceFolder || '')
+        || a.relativePath.localeCompare(b.relativePath);
+}
+
 /**
  * 检查文件路径是否应该被忽略
  */
 export function shouldIgnoreFile(filePath: string, ignorePatterns: string[]): boolean {
-    const relativePath = vscode.workspace.asRelativePath(filePath);
+    // 多根工作区下不带文件夹名前缀，使模式相对于文件所属的文件夹
+    const relativePath = vscode.workspace.asRelativePath(filePath, false);
     
     for (const pattern of ignorePatterns) {
         // 简单的glob模式匹配
@@ -276,45 +467,203 @@ export function shouldIgnoreFile(filePath: string, ignorePatterns: string[]): bo
 }
 
 /**
- * 简单的glob模式匹配
+ * 文件排除规则的选项
+ */
+export interface ExcludeOptions {
+    ignorePatterns: string[];
+    /** 是否遵循 .gitignore、.ignore 等忽略文件 */
+    useIgnoreFiles: boolean;
+    /** 是否遵循VSCode的 files.exclude 和 search.exclude 设置 */
+    useExcludeSettings: boolean;
+}
+
+/**
+ * VSCode的排除设置（files.exclude 和 search.exclude 中启用的模式）
+ */
+export interface ExcludeSettings {
+    patterns: string[];
+    /** 带 when 条件的模式，同级存在对应文件时才排除，例如只在存在同名 .ts 文件时排除 .js 文件 */
+    conditional: { pattern: string; when: string }[];
+}
+
+/**
+ * 创建文件排除判断函数，JavaScript引擎、ripgrep引擎和索引共用，保证排除范围一致
+ *
+ * 忽略文件按需读取并在返回的函数中缓存，每次搜索或更新索引时重新创建。
+ */
+export function createExcludeFilter(options: ExcludeOptions): (filePath: string) => boolean {
+    const ignoreMatchers = new Map<string, IgnoreFileMatcher>();
+    const excludeMatchers = new Map<string, { patterns: RegExp[]; conditional: { pattern: RegExp; when: string }[] }>();
+
+    return (filePath: string) => {
+        if (shouldIgnoreFile(filePath, options.ignorePatterns)) {
+            return true;
+        }
+        if (!options.useIgnoreFiles && !options.useExcludeSettings) {
+            return false;
+        }
+
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+        if (!folder) {
+            return false;
+        }
+        const root = folder.uri.fsPath;
+
+        if (options.useExcludeSettings) {
+            let matchers = excludeMatchers.get(root);
+            if (!matchers) {
+                const settings = getExcludeSettings(folder);
+                matchers = {
+                    patterns: settings.patterns.map(globToRegExp),
+                    conditional: settings.conditional.map(({ pattern, when }) => ({ pattern: globToRegExp(pattern), when }))
+                };
+                excludeMatchers.set(root, matchers);
+            }
+
+            // 模式可以匹配文件本身或任一上级目录
+            const segments = path.relative(root, filePath).split(path.sep);
+            for (let i = 1; i <= segments.length; i++) {
+                const candidate = segments.slice(0, i).join('/');
+                if (matchers.patterns.some(regex => regex.test(candidate))) {
+                    return true;
+                }
+            }
+
+            const relativePath = segments.join('/');
+            const basename = path.basename(filePath, path.extname(filePath));
+            if (matchers.conditional.some(({ pattern, when }) => pattern.test(relativePath) &&
+                fs.existsSync(path.join(path.dirname(filePath), when.replace(/\$\(basename\)/g, basename))))) {
+                return true;
+            }
+        }
+
+        if (options.useIgnoreFiles) {
+            let matcher = ignoreMatchers.get(root);
+            if (!matcher) {
+                matcher = new IgnoreFileMatcher(root);
+                ignoreMatchers.set(root, matcher);
+            }
+            if (matcher.isIgnored(filePath)) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+}
+
+/**
+ * 读取工作区文件夹的 files.exclude 和 search.exclude 设置
+ */
+export function getExcludeSettings(folder: vscode.WorkspaceFolder): ExcludeSettings {
+    const settings: ExcludeSettings = { patterns: [], conditional: [] };
+
+    for (const section of ['files', 'search']) {
+        const exclude = vscode.workspace.getConfiguration(section, folder.uri)
+            .get<{ [pattern: string]: boolean | { when?: string } }>('exclude', {});
+        for (const [pattern, value] of Object.entries(exclude)) {
+            if (value === true) {
+                settings.patterns.push(pattern);
+            } else if (value && typeof value === 'object' && typeof value.when === 'string') {
+                settings.conditional.push({ pattern, when: value.when });
+            }
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * 检查文件是否匹配任一包含模式
+ */
+export function matchesIncludePatterns(filePath: string, includePatterns: string[]): boolean {
+    const relativePath = vscode.workspace.asRelativePath(filePath, false);
+    return includePatterns.some(pattern => matchGlobPattern(relativePath, pattern));
+}
+
+/**
+ * 简单的glob模式匹配，支持 **、*、? 和 {a,b}
  */
 function matchGlobPattern(path: string, pattern: string): boolean {
-    // 将glob模式转换为正则表达式
-    const regexPattern = pattern
-        .replace(/\*\*/g, '.*')  // ** 匹配任意路径
-        .replace(/\*/g, '[^/]*') // * 匹配除路径分隔符外的任意字符
-        .replace(/\?/g, '[^/]'); // ? 匹配单个字符
+    return globToRegExp(pattern).test(path.replace(/\\/g, '/'));
+}
+
+/**
+ * 将glob模式转换为正则表达式
+ */
+function globToRegExp(pattern: string): RegExp {
+    let regexPattern = '';
+    let inBraces = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*') {
+            // **/ 匹配零个或多个目录，末尾的 ** 匹配任意路径
+            if (pattern[i + 2] === '/') {
+                regexPattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                regexPattern += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            regexPattern += '[^/]*'; // * 匹配除路径分隔符外的任意字符
+        } else if (ch === '?') {
+            regexPattern += '[^/]'; // ? 匹配单个字符
+        } else if (ch === '{') {
+            inBraces = true;
+            regexPattern += '(?:';
+        } else if (ch === '}' && inBraces) {
+            inBraces = false;
+            regexPattern += ')';
+        } else if (ch === ',' && inBraces) {
+            regexPattern += '|';
+        } else {
+            regexPattern += escapeRegExp(ch);
+        }
+    }
 
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(path.replace(/\\/g, '/'));
+    return new RegExp(`^${regexPattern}$`);
 }
 
 /**
  * 生成文件预览信息
  */
-function generateFilePreview(lines: string[], allMatches: KeywordMatch[], keywords: string[]): FilePreview {
+function generateFilePreview(
+    lines: string[],
+    allMatches: KeywordMatch[],
+    matchers: TermMatcher[],
+    windows?: MatchWindow[],
+    encoding?: string
+): FilePreview {
     const snippets: PreviewSnippet[] = [];
     const contextLines = 2; // 上下文行数
     const maxSnippets = 5; // 最大预览片段数
 
-    // 收集所有匹配行号
-    const matchedLines = new Set<number>();
-    allMatches.forEach(match => {
-        match.positions.forEach(pos => {
-            matchedLines.add(pos.line);
+    // 有共现窗口时以窗口为预览范围，否则以每个匹配行为预览范围
+    const ranges: { start: number; end: number }[] = [];
+    if (windows) {
+        windows.forEach(w => ranges.push({ start: w.startLine, end: w.endLine }));
+    } else {
+        const matchedLines = new Set<number>();
+        allMatches.forEach(match => {
+            match.positions.forEach(pos => {
+                matchedLines.add(pos.line);
+            });
         });
-    });
-
-    // 按行号排序
-    const sortedLines = Array.from(matchedLines).sort((a, b) => a - b);
+        Array.from(matchedLines)
+            .sort((a, b) => a - b)
+            .forEach(line => ranges.push({ start: line, end: line }));
+    }
 
-    // 合并相近的行，生成预览片段
+    // 合并相近的范围，生成预览片段
     let currentSnippet: { start: number; end: number; lines: number[] } | null = null;
     const snippetGroups: { start: number; end: number; lines: number[] }[] = [];
 
-    for (const lineNum of sortedLines) {
-        const snippetStart = Math.max(0, lineNum - contextLines);
-        const snippetEnd = Math.min(lines.length - 1, lineNum + contextLines);
+    for (const range of ranges) {
+        const lineNum = range.start;
+        const snippetStart = Math.max(0, range.start - 1 - contextLines);
+        const snippetEnd = Math.min(lines.length - 1, range.end - 1 + contextLines);
 
         if (currentSnippet && snippetStart <= currentSnippet.end + 1) {
             // 合并到当前片段
@@ -344,8 +693,8 @@ function generateFilePreview(lines: string[], allMatches: KeywordMatch[], keywor
     // 生成预览片段
     for (const group of snippetGroups) {
         const content = lines.slice(group.start, group.end + 1).join('\n');
-        const highlightedContent = highlightKeywords(content, keywords, group.start);
-        const matchedKeywords = getMatchedKeywordsInRange(allMatches, group.start, group.end);
+        const highlightedContent = highlightKeywords(content, matchers);
+        const matchedKeywords = getMatchedKeywordsInRange(allMatches, group.start + 1, group.end + 1);
 
         snippets.push({
             startLine: group.start + 1, // 转换为1基索引
@@ -359,24 +708,47 @@ function generateFilePreview(lines: string[], allMatches: KeywordMatch[], keywor
     return {
         snippets,
         totalLines: lines.length,
-        encoding: 'utf8'
+        encoding
     };
 }
 
 /**
- * 高亮关键词
+ * 高亮关键词，按实际匹配范围标记并转义HTML
  */
-function highlightKeywords(content: string, keywords: string[], startLine: number): string {
-    let highlighted = content;
-    const lines = content.split('\n');
+function highlightKeywords(content: string, matchers: TermMatcher[]): string {
+    return content.split('\n').map(line => {
+        // 收集所有关键词的匹配范围，按位置排序并去掉重叠部分
+        const ranges: { start: number; end: number; keywordIndex: number }[] = [];
+        matchers.forEach((matcher, keywordIndex) => {
+            matcher.findAll(line).forEach(match => {
+                ranges.push({ start: match.index, end: match.index + match.length, keywordIndex });
+            });
+        });
+        ranges.sort((a, b) => a.start - b.start || b.end - a.end);
 
-    // 为每个关键词添加高亮标记
-    keywords.forEach((keyword, index) => {
-        const regex = new RegExp(`(${escapeRegExp(keyword)})`, 'gi');
-        highlighted = highlighted.replace(regex, `<mark class="keyword-${index % 5}">\$1</mark>`);
-    });
+        let highlighted = '';
+        let cursor = 0;
+        for (const range of ranges) {
+            if (range.start < cursor) {
+                continue;
+            }
+            highlighted += escapeHtml(line.slice(cursor, range.start));
+            highlighted += `<mark class="keyword-${range.keywordIndex % 5}">${escapeHtml(line.slice(range.start, range.end))}</mark>`;
+            cursor = range.end;
+        }
+        return highlighted + escapeHtml(line.slice(cursor));
+    }).join('\n');
+}
 
-    return highlighted;
+/**
+ * 转义HTML特殊字符
+ */
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
 
@@ -401,17 +773,48 @@ function getMatchedKeywordsInRange(allMatches: KeywordMatch[], startLine: number
 /**
  * 索引管理器
  */
+/**
+ * 索引与磁盘文件之间的差异
+ */
+export interface IndexDiff {
+    /** 新增或修改过的文件 */
+    changed: string[];
+    /** 已删除或不再符合条件的文件（也可以是目录） */
+    removed: string[];
+}
+
+/**
+ * 单个文件的索引结果
+ */
+interface IndexedFile {
+    file: Omit<FileIndex, 'id'>;
+    tokens: Set<string>;
+}
+
 export class IndexManager {
     private static instance: IndexManager;
+    private store: IndexStore | null = null;
+    /** 格式 1 的索引文件（工作区 .vscode 目录下），只用于迁移 */
+    private legacyIndexPath = '';
     private index: SearchIndex | null = null;
-    private indexPath: string;
+    private manifest: IndexManifest | null = null;
+    /** 文件编号 -> 文件元数据，倒排表中不在这里的编号已失效 */
+    private filesById = new Map<number, FileIndex>();
+    /** 已加载的倒排表分片 */
+    private shards = new Map<number, PostingShard>();
+    /** 有修改、等待保存的分片 */
+    private dirtyShards = new Set<number>();
+    /** 索引是否与磁盘文件一致（建立或校对完成后为 true） */
+    private fresh = false;
+    /** 等待增量更新的文件：文件路径 -> 是否已删除 */
+    private pendingChanges = new Map<string, boolean>();
+    /** 串行执行索引更新，避免并发修改 */
+    private updating: Promise<unknown> = Promise.resolve();
 
     private constructor() {
         const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
         if (workspaceFolder) {
-            this.indexPath = path.join(workspaceFolder.uri.fsPath, '.vscode', 'search-index.json');
-        } else {
-            this.indexPath = '';
+            this.legacyIndexPath = path.join(workspaceFolder.uri.fsPath, '.vscode', 'search-index.json');
         }
     }
 
@@ -423,111 +826,73 @@ export class IndexManager {
     }
 
     /**
-     * 检查是否存在索引
+     * 设置索引的存储位置（扩展的工作区存储目录），未打开工作区时为 undefined
+     */
+    public setStorageUri(storageUri: vscode.Uri | undefined): void {
+        this.store = storageUri ? new IndexStore(path.join(storageUri.fsPath, 'search-index')) : null;
+    }
+
+    /**
+     * 检查是否存在索引（包括等待迁移的旧格式索引）
      */
     public async hasIndex(): Promise<boolean> {
-        if (!this.indexPath) return false;
-        try {
-            await fs.promises.access(this.indexPath);
-            return true;
-        } catch {
+        if (!this.store) {
             return false;
         }
+        return await this.store.readManifest() !== null || await fileExists(this.legacyIndexPath);
+    }
+
+    /**
+     * 是否为索引自身的文件（索引文件不参与索引）
+     */
+    public isIndexFile(filePath: string): boolean {
+        const resolved = path.resolve(filePath);
+        return (!!this.legacyIndexPath && resolved === path.resolve(this.legacyIndexPath))
+            || (!!this.store && resolved.startsWith(path.resolve(this.store.directory) + path.sep));
     }
 
     /**
-     * 加载索引
+     * 加载索引的文件元数据，倒排表分片在查找时按需加载
+     *
+     * 格式或分词规则不兼容（包括旧格式）、或已损坏的索引会被丢弃。
+     * @returns 索引；不存在或已丢弃时返回 null，需要重新建立
      */
     public async loadIndex(): Promise<SearchIndex | null> {
-        if (!this.indexPath || !await this.hasIndex()) {
+        if (!this.store) {
             return null;
         }
 
         try {
-            const indexData = await fs.promises.readFile(this.indexPath, 'utf8');
-            const parsed = JSON.parse(indexData);
-
-            // 重建 Map 和 Set 对象
-            const index: SearchIndex = {
-                version: parsed.version,
-                createdAt: parsed.createdAt,
-                updatedAt: parsed.updatedAt,
-                totalFiles: parsed.totalFiles,
-                totalWords: parsed.totalWords,
-                files: new Map(),
-                wordToFiles: new Map()
-            };
-
-            // 重建文件索引
-            for (const [filePath, fileData] of Object.entries(parsed.files as any)) {
-                const data = fileData as any;
-                const fileIndex: FileIndex = {
-                    filePath: data.filePath,
-                    relativePath: data.relativePath,
-                    lastModified: data.lastModified,
-                    fileSize: data.fileSize,
-                    fileType: data.fileType,
-                    lines: data.lines,
-                    encoding: data.encoding,
-                    words: new Set(data.words)
-                };
-                index.files.set(filePath, fileIndex);
+            const manifest = await this.store.readManifest();
+            if (!manifest) {
+                return await fileExists(this.legacyIndexPath) ? await this.discardLegacyIndex() : null;
             }
 
-            // 重建词汇到文件的映射
-            for (const [word, files] of Object.entries(parsed.wordToFiles as any)) {
-                index.wordToFiles.set(word, new Set(files as string[]));
+            if (manifest.formatVersion !== indexFormatVersion || manifest.tokenizerVersion !== tokenizerVersion) {
+                console.warn(`索引格式不兼容（格式 ${manifest.formatVersion}，分词规则 ${manifest.tokenizerVersion}），已丢弃`);
+                await this.discard();
+                return null;
             }
 
-            this.index = index;
-            return index;
+            const files = (await this.store.readFiles()).map(entryToFileIndex);
+            this.setLoaded(manifest, files, new Map());
+            return this.index;
         } catch (error) {
-            console.error('加载索引失败:', error);
+            console.error('加载索引失败，已丢弃损坏的索引:', error);
+            await this.discard();
             return null;
         }
     }
 
     /**
-     * 保存索引
+     * 丢弃格式 1 的索引（单个 JSON 文件）
+     *
+     * 旧索引按 UTF-8 解码文件建立，与按检测到的编码解码的分词结果不一致，不再迁移。
      */
-    public async saveIndex(index: SearchIndex): Promise<void> {
-        if (!this.indexPath) return;
-
-        try {
-            // 确保目录存在
-            const indexDir = path.dirname(this.indexPath);
-            await fs.promises.mkdir(indexDir, { recursive: true });
-
-            // 转换 Map 和 Set 为可序列化的对象
-            const serializable = {
-                version: index.version,
-                createdAt: index.createdAt,
-                updatedAt: index.updatedAt,
-                totalFiles: index.totalFiles,
-                totalWords: index.totalWords,
-                files: Object.fromEntries(
-                    Array.from(index.files.entries()).map(([path, fileIndex]) => [
-                        path,
-                        {
-                            ...fileIndex,
-                            words: Array.from(fileIndex.words)
-                        }
-                    ])
-                ),
-                wordToFiles: Object.fromEntries(
-                    Array.from(index.wordToFiles.entries()).map(([word, files]) => [
-                        word,
-                        Array.from(files)
-                    ])
-                )
-            };
-
-            await fs.promises.writeFile(this.indexPath, JSON.stringify(serializable, null, 2));
-            this.index = index;
-        } catch (error) {
-            console.error('保存索引失败:', error);
-            throw error;
-        }
+    private async discardLegacyIndex(): Promise<null> {
+        console.warn('旧格式索引的文件解码方式已变化，已丢弃');
+        await fs.promises.unlink(this.legacyIndexPath).catch(() => undefined);
+        return null;
     }
 
     /**
@@ -537,44 +902,448 @@ export class IndexManager {
         return this.index;
     }
 
+    /**
+     * 索引是否已加载且与磁盘文件一致，只有这时才能用于搜索
+     */
+    public isFresh(): boolean {
+        return this.index !== null && this.fresh;
+    }
+
+    /**
+     * 标记索引需要校对（例如配置或工作区文件夹变化后）
+     */
+    public markStale(): void {
+        this.fresh = false;
+    }
+
+    /**
+     * 用新建立的索引替换当前索引并完整写入磁盘
+     */
+    public replaceIndex(files: FileIndex[], shards: Map<number, PostingShard>): Promise<SearchIndex> {
+        return this.enqueue(() => this.writeNewIndex(files, shards, Date.now()));
+    }
+
     /**
      * 清除索引
      */
-    public async clearIndex(): Promise<void> {
-        if (!this.indexPath) return;
+    public clearIndex(): Promise<void> {
+        return this.enqueue(async () => {
+            this.pendingChanges.clear();
+            await this.discard();
+            await fs.promises.unlink(this.legacyIndexPath).catch(error => {
+                // 文件不存在时忽略错误
+                if (this.legacyIndexPath && error.code !== 'ENOENT') {
+                    console.error('清除旧索引失败:', error);
+                    throw error;
+                }
+            });
+        });
+    }
 
-        try {
-            await fs.promises.unlink(this.indexPath);
-            this.index = null;
-        } catch (error) {
-            // 文件不存在时忽略错误
-            if ((error as any).code !== 'ENOENT') {
-                console.error('清除索引失败:', error);
-                throw error;
-            }
+    /**
+     * 查找满足索引查找项的文件
+     */
+    public async findFiles(lookup: IndexLookup): Promise<Set<string>> {
+        const paths = new Set<string>();
+        if (!this.manifest) {
+            return paths;
         }
-    }
-}
 
-/**
- * 构建文件索引
- */
-export async function buildSearchIndex(
-    progress: vscode.Progress<{ message?: string; increment?: number }>,
-    token: vscode.CancellationToken
-): Promise<SearchIndex> {
-    const config = getConfiguration();
-    const indexManager = IndexManager.getInstance();
+        const addIds = (ids: number[]) => ids.forEach(id => {
+            const file = this.filesById.get(id);
+            if (file) {
+                paths.add(file.filePath);
+            }
+        });
 
-    progress.report({ message: '正在扫描文件...', increment: 0 });
+        if (lookup.kind === 'exact') {
+            const shard = await this.loadShard(shardOf(lookup.token, this.manifest.shardCount));
+            addIds(shard.get(lookup.token) || []);
+        } else {
+            // 子串查找需要扫描整个词表
+            await this.loadAllShards();
+            this.shards.forEach(postings => postings.forEach((ids, token) => {
+                if (token.includes(lookup.token)) {
+                    addIds(ids);
+                }
+            }));
+        }
 
-    // 查找所有符合条件的文件
+        return paths;
+    }
+
+    /**
+     * 记录文件变化，在下次 flushPendingChanges 时更新索引
+     * @param deleted 文件是否已被删除
+     */
+    public queueChange(filePath: string, deleted: boolean): void {
+        if (!this.index || this.isIndexFile(filePath)) {
+            return;
+        }
+
+        if (!this.index.files.has(filePath) && createExcludeFilter(getConfiguration())(filePath)) {
+            return;
+        }
+        this.pendingChanges.set(filePath, deleted);
+    }
+
+    /**
+     * 是否有等待更新的文件变化
+     */
+    public hasPendingChanges(): boolean {
+        return this.pendingChanges.size > 0;
+    }
+
+    /**
+     * 将等待中的文件变化应用到索引并保存
+     * @returns 更新的文件数
+     */
+    public flushPendingChanges(): Promise<number> {
+        return this.enqueue(() => this.applyPendingChanges());
+    }
+
+    /**
+     * 校对索引与磁盘文件，增量更新有变化的文件后标记为最新
+     * @param recheckEncodings 编码设置变化时为 true，重新索引可能受影响的文件
+     * @returns 更新的文件数；索引不存在或已丢弃时返回 null
+     */
+    public reconcile(recheckEncodings: boolean = false): Promise<number | null> {
+        return this.enqueue(async () => {
+            const index = this.index ?? await this.loadIndex();
+            if (!index) {
+                return null;
+            }
+
+            const updated = await this.applyDiff(await diffIndex(index, recheckEncodings));
+            this.fresh = true;
+            return updated;
+        });
+    }
+
+    private enqueue<T>(task: () => Promise<T>): Promise<T> {
+        const run = this.updating.then(task);
+        this.updating = run.catch(() => undefined);
+        return run;
+    }
+
+    private setLoaded(manifest: IndexManifest, files: FileIndex[], shards: Map<number, PostingShard>): void {
+        this.manifest = manifest;
+        this.filesById = new Map(files.map(file => [file.id, file]));
+        this.shards = shards;
+        this.dirtyShards.clear();
+        this.index = {
+            formatVersion: manifest.formatVersion,
+            createdAt: manifest.createdAt,
+            updatedAt: manifest.updatedAt,
+            files: new Map(files.map(file => [file.filePath, file])),
+            totalFiles: files.length,
+            totalWords: manifest.totalWords
+        };
+    }
+
+    private async writeNewIndex(files: FileIndex[], shards: Map<number, PostingShard>, createdAt: number): Promise<SearchIndex> {
+        if (!this.store) {
+            throw new Error('没有可用的索引存储位置');
+        }
+
+        let totalWords = 0;
+        shards.forEach(postings => totalWords += postings.size);
+
+        const manifest: IndexManifest = {
+            formatVersion: indexFormatVersion,
+            tokenizerVersion,
+            createdAt,
+            updatedAt: Date.now(),
+            shardCount: defaultShardCount,
+            nextId: files.reduce((max, file) => Math.max(max, file.id + 1), 0),
+            deadIds: 0,
+            totalWords
+        };
+
+        await this.store.clear();
+        await this.store.write(manifest, files.map(fileIndexToEntry), shards);
+        this.setLoaded(manifest, files, shards);
+        this.fresh = true;
+        return this.index!;
+    }
+
+    /**
+     * 丢弃内存和磁盘上的索引
+     */
+    private async discard(): Promise<void> {
+        this.index = null;
+        this.manifest = null;
+        this.filesById.clear();
+        this.shards.clear();
+        this.dirtyShards.clear();
+        this.fresh = false;
+        await this.store?.clear();
+    }
+
+    private async loadShard(shard: number): Promise<PostingShard> {
+        let postings = this.shards.get(shard);
+        if (!postings) {
+            postings = await this.store!.readShard(shard);
+            this.shards.set(shard, postings);
+        }
+        return postings;
+    }
+
+    private async loadAllShards(): Promise<void> {
+        for (let shard = 0; shard < this.manifest!.shardCount; shard++) {
+            await this.loadShard(shard);
+        }
+    }
+
+    private async applyPendingChanges(): Promise<number> {
+        if (!this.index || this.pendingChanges.size === 0) {
+            return 0;
+        }
+
+        const changes = Array.from(this.pendingChanges.entries());
+        this.pendingChanges.clear();
+
+        const config = getConfiguration();
+        const isExcluded = createExcludeFilter(config);
+        const diff: IndexDiff = { changed: [], removed: [] };
+
+        for (const [filePath, deleted] of changes) {
+            if (deleted) {
+                diff.removed.push(filePath);
+                continue;
+            }
+
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (stats.isDirectory()) {
+                    // 新建或移入的目录不会为其中的文件单独触发事件，这里展开目录
+                    const files = await vscode.workspace.findFiles(new vscode.RelativePattern(vscode.Uri.file(filePath), '**/*'));
+                    diff.changed.push(...files.map(file => file.fsPath).filter(file => isIndexable(file, config, isExcluded)));
+                } else if (isIndexable(filePath, config, isExcluded)) {
+                    diff.changed.push(filePath);
+                }
+            } catch {
+                // 文件在等待期间被删除
+                diff.removed.push(filePath);
+            }
+        }
+
+        return this.applyDiff(diff);
+    }
+
+    /**
+     * 按差异增量更新索引：重新索引变化的文件，移除已删除的文件，只保存有修改的分片
+     */
+    private async applyDiff(diff: IndexDiff): Promise<number> {
+        if (diff.changed.length === 0 && diff.removed.length === 0) {
+            return 0;
+        }
+
+        const config = getConfiguration();
+        diff.removed.forEach(filePath => this.removeFile(filePath));
+
+        const batchSize = 5;
+        for (let i = 0; i < diff.changed.length; i += batchSize) {
+            const batch = diff.changed.slice(i, i + batchSize);
+            const indexedFiles = await Promise.all(
+                batch.map(filePath => indexFile(filePath, config.maxFileSize * 1024))
+            );
+
+            for (let j = 0; j < batch.length; j++) {
+                this.removeFile(batch[j]);
+                const indexed = indexedFiles[j];
+                if (indexed) {
+                    await this.addFile(indexed);
+                }
+            }
+        }
+
+        await this.compactIfNeeded();
+        await this.persist();
+        return diff.changed.length + diff.removed.length;
+    }
+
+    /**
+     * 从索引中移除文件；路径为目录时移除其下所有文件
+     *
+     * 倒排表中的编号不会立即删除，只是失效，压缩时再清理。
+     */
+    private removeFile(filePath: string): void {
+        const index = this.index!;
+        const targets = index.files.has(filePath)
+            ? [filePath]
+            : Array.from(index.files.keys()).filter(file => file.startsWith(filePath + path.sep));
+
+        for (const target of targets) {
+            this.filesById.delete(index.files.get(target)!.id);
+            index.files.delete(target);
+            this.manifest!.deadIds++;
+        }
+    }
+
+    private async addFile(indexed: IndexedFile): Promise<void> {
+        const manifest = this.manifest!;
+        const fileIndex: FileIndex = { ...indexed.file, id: manifest.nextId++ };
+        this.index!.files.set(fileIndex.filePath, fileIndex);
+        this.filesById.set(fileIndex.id, fileIndex);
+
+        // 按分片分组，每个分片只加载一次
+        const tokensByShard = new Map<number, string[]>();
+        for (const token of indexed.tokens) {
+            const shard = shardOf(token, manifest.shardCount);
+            if (!tokensByShard.has(shard)) {
+                tokensByShard.set(shard, []);
+            }
+            tokensByShard.get(shard)!.push(token);
+        }
+
+        for (const [shard, tokens] of tokensByShard) {
+            const postings = await this.loadShard(shard);
+            for (const token of tokens) {
+                const ids = postings.get(token);
+                if (ids) {
+                    ids.push(fileIndex.id);
+                } else {
+                    postings.set(token, [fileIndex.id]);
+                    manifest.totalWords++;
+                }
+            }
+            this.dirtyShards.add(shard);
+        }
+    }
+
+    /**
+     * 失效的编号多于有效文件时，清理所有分片中的失效编号
+     */
+    private async compactIfNeeded(): Promise<void> {
+        const manifest = this.manifest!;
+        if (manifest.deadIds <= Math.max(this.filesById.size, 1000)) {
+            return;
+        }
+
+        await this.loadAllShards();
+        let totalWords = 0;
+        this.shards.forEach((postings, shard) => {
+            postings.forEach((ids, token) => {
+                const liveIds = ids.filter(id => this.filesById.has(id));
+                if (liveIds.length > 0) {
+                    postings.set(token, liveIds);
+                } else {
+                    postings.delete(token);
+                }
+            });
+            totalWords += postings.size;
+            this.dirtyShards.add(shard);
+        });
+
+        manifest.deadIds = 0;
+        manifest.totalWords = totalWords;
+    }
+
+    /**
+     * 保存文件元数据、清单以及有修改的分片
+     */
+    private async persist(): Promise<void> {
+        const manifest = this.manifest!;
+        const index = this.index!;
+        manifest.updatedAt = Date.now();
+        index.updatedAt = manifest.updatedAt;
+        index.totalFiles = index.files.size;
+        index.totalWords = manifest.totalWords;
+
+        const dirty = new Map(Array.from(this.dirtyShards).map(shard => [shard, this.shards.get(shard)!]));
+        await this.store!.write(manifest, Array.from(this.filesById.values()).map(fileIndexToEntry), dirty);
+        this.dirtyShards.clear();
+    }
+}
+
+function entryToFileIndex(entry: StoredFileEntry): FileIndex {
+    const [id, filePath, relativePath, workspaceFolder, lastModified, fileSize, encoding, skipReason] = entry;
+    return {
+        id,
+        filePath,
+        relativePath,
+        workspaceFolder: workspaceFolder ?? undefined,
+        lastModified,
+        fileSize,
+        fileType: path.extname(filePath).toLowerCase(),
+        encoding,
+        skipReason: skipReason ?? undefined
+    };
+}
+
+function fileIndexToEntry(file: FileIndex): StoredFileEntry {
+    return [
+        file.id,
+        file.filePath,
+        file.relativePath,
+        file.workspaceFolder ?? null,
+        file.lastModified,
+        file.fileSize,
+        file.encoding,
+        file.skipReason ?? null
+    ];
+}
+
+/**
+ * 将文件的词汇加入倒排表分片
+ */
+function addPostings(shards: Map<number, PostingShard>, shardCount: number, tokens: Iterable<string>, id: number): void {
+    for (const token of tokens) {
+        const shard = shardOf(token, shardCount);
+        if (!shards.has(shard)) {
+            shards.set(shard, new Map());
+        }
+        const postings = shards.get(shard)!;
+        const ids = postings.get(token);
+        if (ids) {
+            ids.push(id);
+        } else {
+            postings.set(token, [id]);
+        }
+    }
+}
+
+async function fileExists(filePath: string): Promise<boolean> {
+    if (!filePath) {
+        return false;
+    }
+    try {
+        await fs.promises.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 检查文件是否符合建立索引的条件
+ * @param isExcluded createExcludeFilter 创建的排除判断函数
+ */
+function isIndexable(
+    filePath: string,
+    config: ReturnType<typeof getConfiguration>,
+    isExcluded: (filePath: string) => boolean
+): boolean {
+    return matchesIncludePatterns(filePath, config.includePatterns)
+        && !isExcluded(filePath)
+        && !IndexManager.getInstance().isIndexFile(filePath);
+}
+
+/**
+ * 查找所有需要建立索引的文件，排除范围与搜索引擎一致
+ */
+async function findIndexableFiles(): Promise<vscode.Uri[]> {
+    const config = getConfiguration();
+    const isExcluded = createExcludeFilter(config);
     const allFiles: vscode.Uri[] = [];
+
     for (const pattern of config.includePatterns) {
         try {
-            const files = await vscode.workspace.findFiles(pattern, undefined, 10000);
+            const files = await vscode.workspace.findFiles(pattern, null, 10000);
             const filteredFiles = files.filter(file =>
-                !shouldIgnoreFile(file.fsPath, config.ignorePatterns)
+                !isExcluded(file.fsPath) &&
+                !IndexManager.getInstance().isIndexFile(file.fsPath)
             );
             allFiles.push(...filteredFiles);
         } catch (error) {
@@ -583,24 +1352,34 @@ export async function buildSearchIndex(
     }
 
     // 去重
-    const uniqueFiles = Array.from(
+    return Array.from(
         new Map(allFiles.map(file => [file.fsPath, file])).values()
     );
+}
+
+/**
+ * 构建文件索引
+ * @returns 建立的索引；被取消时返回 null，已有索引保持不变
+ */
+export async function buildSearchIndex(
+    progress: vscode.Progress<{ message?: string; increment?: number }>,
+    token: vscode.CancellationToken
+): Promise<SearchIndex | null> {
+    const config = getConfiguration();
+    const indexManager = IndexManager.getInstance();
+
+    progress.report({ message: '正在扫描文件...', increment: 0 });
+
+    // 查找所有符合条件的文件
+    const uniqueFiles = await findIndexableFiles();
 
     progress.report({
         message: `找到 ${uniqueFiles.length} 个文件，开始建立索引...`,
         increment: 10
     });
 
-    const index: SearchIndex = {
-        version: '1.0.0',
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        files: new Map(),
-        wordToFiles: new Map(),
-        totalFiles: 0,
-        totalWords: 0
-    };
+    const files: FileIndex[] = [];
+    const shards = new Map<number, PostingShard>();
 
     const totalFiles = uniqueFiles.length;
     let processedFiles = 0;
@@ -608,33 +1387,20 @@ export async function buildSearchIndex(
 
     for (let i = 0; i < uniqueFiles.length; i += batchSize) {
         if (token.isCancellationRequested) {
-            break;
+            return null;
         }
 
         const batch = uniqueFiles.slice(i, i + batchSize);
-        const batchPromises = batch.map(async (file) => {
-            try {
-                return await indexFile(file.fsPath, config.maxFileSize * 1024);
-            } catch (error) {
-                console.error(`索引文件失败: ${file.fsPath}`, error);
-                return null;
-            }
-        });
-
-        const batchResults = await Promise.all(batchPromises);
+        const batchResults = await Promise.all(
+            batch.map(file => indexFile(file.fsPath, config.maxFileSize * 1024))
+        );
 
         // 处理批量结果
-        for (const fileIndex of batchResults) {
-            if (fileIndex) {
-                index.files.set(fileIndex.filePath, fileIndex);
-
-                // 更新词汇到文件的映射
-                for (const word of fileIndex.words) {
-                    if (!index.wordToFiles.has(word)) {
-                        index.wordToFiles.set(word, new Set());
-                    }
-                    index.wordToFiles.get(word)!.add(fileIndex.filePath);
-                }
+        for (const indexed of batchResults) {
+            if (indexed) {
+                const fileIndex: FileIndex = { ...indexed.file, id: files.length };
+                files.push(fileIndex);
+                addPostings(shards, defaultShardCount, indexed.tokens, fileIndex.id);
             }
         }
 
@@ -647,15 +1413,12 @@ export async function buildSearchIndex(
         });
     }
 
-    index.totalFiles = index.files.size;
-    index.totalWords = index.wordToFiles.size;
-
     progress.report({
         message: '正在保存索引...',
         increment: 95
     });
 
-    await indexManager.saveIndex(index);
+    const index = await indexManager.replaceIndex(files, shards);
 
     progress.report({
         message: `索引构建完成！共索引 ${index.totalFiles} 个文件，${index.totalWords} 个词汇`,
@@ -668,7 +1431,7 @@ export async function buildSearchIndex(
 /**
  * 为单个文件建立索引
  */
-async function indexFile(filePath: string, maxFileSize: number): Promise<FileIndex | null> {
+async function indexFile(filePath: string, maxFileSize: number): Promise<IndexedFile | null> {
     try {
         const stats = await fs.promises.stat(filePath);
 
@@ -676,25 +1439,23 @@ async function indexFile(filePath: string, maxFileSize: number): Promise<FileInd
             return null; // 文件太大，跳过
         }
 
-        const { content, lines } = await readFileWithStream(filePath, maxFileSize);
-
-        // 提取词汇
-        const words = extractWords(content);
-
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        const relativePath = workspaceFolder
-            ? path.relative(workspaceFolder.uri.fsPath, filePath)
-            : filePath;
+        const { content, encoding } = await readFileWithStream(filePath, maxFileSize);
+        const { workspaceFolder, relativePath } = getWorkspaceRelativePath(filePath);
+        const skipReason = getSkipReason(content, content.split('\n'));
 
         return {
-            filePath,
-            relativePath,
-            lastModified: stats.mtime.getTime(),
-            fileSize: stats.size,
-            fileType: path.extname(filePath).toLowerCase(),
-            words,
-            lines,
-            encoding: 'utf8'
+            file: {
+                filePath,
+                relativePath,
+                workspaceFolder,
+                lastModified: stats.mtime.getTime(),
+                fileSize: stats.size,
+                fileType: path.extname(filePath).toLowerCase(),
+                encoding,
+                skipReason
+            },
+            // 提取词汇，跳过的文件不建立倒排表
+            tokens: skipReason ? new Set() : extractIndexTokens(content)
         };
     } catch (error) {
         console.error(`索引文件失败: ${filePath}`, error);
@@ -702,32 +1463,24 @@ async function indexFile(filePath: string, maxFileSize: number): Promise<FileInd
     }
 }
 
-/**
- * 从文本中提取词汇
- */
-function extractWords(content: string): Set<string> {
-    const words = new Set<string>();
-
-    // 使用正则表达式提取词汇（字母、数字、下划线组成的词）
-    const wordRegex = /\b[a-zA-Z_][a-zA-Z0-9_]*\b/g;
-    let match;
-
-    while ((match = wordRegex.exec(content)) !== null) {
-        const word = match[0].toLowerCase();
-        if (word.length >= 2) { // 只索引长度大于等于2的词汇
-            words.add(word);
-        }
-    }
-
-    return words;
-}
-
 /**
  * 使用索引进行快速搜索
+ *
+ * 先通过倒排表筛选候选文件，再读取候选文件精确验证（索引为最新时磁盘文件与索引一致）。
+ * @param isInScope 判断文件是否在搜索范围（工作区文件夹、目录）内，未指定时搜索全部
+ * @param onResult 每找到一个匹配文件时调用
+ * @param onSkip 对索引中记录为二进制或压缩的文件调用
  */
 export async function searchWithIndex(
-    keywords: string[],
-    caseSensitive: boolean = false
+    query: SearchQuery,
+    caseSensitive: boolean,
+    wholeWord: boolean,
+    variantOptions: VariantOptions,
+    scope: MatchScope = { mode: 'file' },
+    isInScope?: (filePath: string) => boolean,
+    token?: vscode.CancellationToken,
+    onResult?: (result: SearchResult) => void,
+    onSkip?: (filePath: string, reason: SkipReason) => void
 ): Promise<SearchResult[]> {
     const indexManager = IndexManager.getInstance();
     const index = indexManager.getIndex();
@@ -736,114 +1489,158 @@ export async function searchWithIndex(
         throw new Error('索引不存在，请先建立索引');
     }
 
-    const results: SearchResult[] = [];
-    const searchKeywords = caseSensitive ? keywords : keywords.map(k => k.toLowerCase());
+    const inScope = (fileIndex: FileIndex) => !isInScope || isInScope(fileIndex.filePath);
 
-    // 找到包含所有关键词的文件
-    let candidateFiles: Set<string> | null = null;
+    // 跳过的文件与不使用索引时一样计入统计
+    index.files.forEach(fileIndex => {
+        if (fileIndex.skipReason && inScope(fileIndex)) {
+            onSkip?.(fileIndex.filePath, fileIndex.skipReason);
+        }
+    });
 
-    for (const keyword of searchKeywords) {
-        const filesWithKeyword = index.wordToFiles.get(keyword);
+    const candidates = Array.from(await getIndexCandidates(index, query, variantOptions)).filter(filePath => {
+        const fileIndex = index.files.get(filePath);
+        return fileIndex && !fileIndex.skipReason && inScope(fileIndex);
+    });
+
+    const matchers = createQueryMatchers(query, caseSensitive, wholeWord, variantOptions);
+    const results: SearchResult[] = [];
+    const batchSize = 10;
 
-        if (!filesWithKeyword || filesWithKeyword.size === 0) {
-            // 如果任何一个关键词都没有匹配的文件，直接返回空结果
+    for (let i = 0; i < candidates.length; i += batchSize) {
+        if (token?.isCancellationRequested) {
             return [];
         }
 
-        if (candidateFiles === null) {
-            candidateFiles = new Set(filesWithKeyword);
-        } else {
-            // 取交集
-            const intersection = new Set<string>();
-            for (const file of candidateFiles) {
-                if (filesWithKeyword.has(file)) {
-                    intersection.add(file);
-                }
+        const batchResults = await Promise.all(
+            candidates.slice(i, i + batchSize).map(filePath =>
+                containsAllKeywords(filePath, query, matchers, caseSensitive, scope)
+            )
+        );
+        for (const result of batchResults) {
+            if (result) {
+                results.push(result);
+                onResult?.(result);
             }
-            candidateFiles = intersection;
-        }
-
-        if (candidateFiles.size === 0) {
-            return []; // 没有文件包含所有关键词
         }
     }
 
-    if (!candidateFiles || candidateFiles.size === 0) {
-        return [];
-    }
+    // 按工作区文件夹和文件路径排序
+    results.sort(compareSearchResults);
 
-    // 对候选文件进行详细匹配
-    for (const filePath of candidateFiles) {
-        const fileIndex = index.files.get(filePath);
-        if (!fileIndex) continue;
+    return results;
+}
 
-        try {
-            // 检查文件是否仍然存在且未被修改
-            const stats = await fs.promises.stat(filePath);
-            if (stats.mtime.getTime() !== fileIndex.lastModified) {
-                // 文件已被修改，跳过（或者可以选择重新索引）
-                continue;
-            }
+/**
+ * 通过索引倒排表预筛选可能满足查询的文件
+ *
+ * 每个关键词分解为索引查找项，按查询结构组合候选集：AND 取交集，OR 取并集；
+ * 排除词、正则关键词和模糊关键词无法缩小范围。
+ */
+async function getIndexCandidates(index: SearchIndex, query: SearchQuery, variantOptions: VariantOptions): Promise<Iterable<string>> {
+    const indexManager = IndexManager.getInstance();
 
-            // 在文件内容中查找精确匹配
-            const result = await findKeywordMatches(fileIndex, keywords, caseSensitive);
-            if (result) {
-                results.push(result);
+    // 返回 null 表示无法筛选（所有文件都是候选）
+    const candidatesOf = async (node: QueryNode): Promise<Set<string> | null> => {
+        switch (node.type) {
+            case 'term': {
+                // 有别名时取各写法候选集的并集；按标识符匹配时分别查找每个单词；模糊关键词无法筛选
+                const variants = getKeywordVariants(node, false, variantOptions);
+                if (!variants || variants.distance > 0) {
+                    return null;
+                }
+                const union = new Set<string>();
+                for (const word of [variants.text, ...variants.aliases]) {
+                    const identifierWords = variants.identifier ? getIdentifierWords(word) : null;
+                    const lookups = identifierWords ? identifierWords.flatMap(getIndexLookups) : getIndexLookups(word);
+                    if (lookups.length === 0) {
+                        return null;
+                    }
+                    const sets: Set<string>[] = [];
+                    for (const lookup of lookups) {
+                        sets.push(await indexManager.findFiles(lookup));
+                    }
+                    intersectSets(sets).forEach(file => union.add(file));
+                }
+                return union;
             }
-        } catch (error) {
-            // 文件可能已被删除，跳过
-            console.warn(`文件不存在或无法访问: ${filePath}`);
-            continue;
+            case 'and': {
+                const sets: Set<string>[] = [];
+                for (const child of node.children) {
+                    const set = await candidatesOf(child);
+                    if (set) {
+                        sets.push(set);
+                    }
+                }
+                return sets.length > 0 ? intersectSets(sets) : null;
+            }
+            case 'or': {
+                const union = new Set<string>();
+                for (const child of node.children) {
+                    const set = await candidatesOf(child);
+                    if (!set) {
+                        return null;
+                    }
+                    set.forEach(file => union.add(file));
+                }
+                return union;
+            }
+            case 'not':
+                return null;
         }
-    }
+    };
 
-    // 按文件路径排序
-    results.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    return await candidatesOf(query.root) ?? index.files.keys();
+}
 
-    return results;
+/**
+ * 求多个集合的交集
+ */
+function intersectSets(sets: Set<string>[]): Set<string> {
+    const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+    return new Set([...smallest].filter(item => rest.every(set => set.has(item))));
 }
 
 /**
- * 在索引的文件中查找关键词匹配
+ * 比较索引与磁盘文件，找出新增、修改和删除的文件
+ * @param recheckEncodings 是否将不是 UTF-8 或指定了编码的文件视为已修改（编码设置变化后）
  */
-async function findKeywordMatches(
-    fileIndex: FileIndex,
-    keywords: string[],
-    caseSensitive: boolean
-): Promise<SearchResult | null> {
-    const allMatches: KeywordMatch[] = [];
+export async function diffIndex(index: SearchIndex, recheckEncodings: boolean = false): Promise<IndexDiff> {
+    const config = getConfiguration();
+    const maxFileSize = config.maxFileSize * 1024;
+    const diff: IndexDiff = { changed: [], removed: [] };
+    const seen = new Set<string>();
 
-    for (const originalKeyword of keywords) {
-        const searchKeyword = caseSensitive ? originalKeyword : originalKeyword.toLowerCase();
-        const positions = findKeywordPositions(fileIndex.lines, originalKeyword, caseSensitive);
+    for (const file of await findIndexableFiles()) {
+        const filePath = file.fsPath;
+        const fileIndex = index.files.get(filePath);
 
-        if (positions.length > 0) {
-            allMatches.push({
-                keyword: originalKeyword,
-                positions
-            });
-        } else {
-            // 如果任何关键词都没有找到精确匹配，返回null
-            return null;
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (stats.size > maxFileSize) {
+                continue; // 超过大小限制的文件不在索引中，已索引的会在下面被移除
+            }
+            seen.add(filePath);
+
+            // 新文件、被修改的文件，以及所属工作区文件夹变化的文件需要重新索引
+            if (!fileIndex
+                || stats.mtime.getTime() !== fileIndex.lastModified
+                || getWorkspaceRelativePath(filePath).relativePath !== fileIndex.relativePath
+                || (recheckEncodings && (fileIndex.encoding !== defaultEncoding || getEncodingPreference(filePath).override))) {
+                diff.changed.push(filePath);
+            }
+        } catch {
+            // 文件无法访问，按删除处理
         }
     }
 
-    if (allMatches.length === keywords.length) {
-        // 生成文件预览
-        const preview = generateFilePreview(fileIndex.lines, allMatches, keywords);
-
-        return {
-            filePath: fileIndex.filePath,
-            relativePath: fileIndex.relativePath,
-            matches: allMatches,
-            fileSize: fileIndex.fileSize,
-            preview,
-            lastModified: new Date(fileIndex.lastModified),
-            fileType: fileIndex.fileType
-        };
+    for (const filePath of index.files.keys()) {
+        if (!seen.has(filePath)) {
+            diff.removed.push(filePath);
+        }
     }
 
-    return null;
+    return diff;
 }
 
 /**
@@ -851,76 +1648,33 @@ async function findKeywordMatches(
  */
 export async function isIndexOutdated(): Promise<boolean> {
     const indexManager = IndexManager.getInstance();
-    const index = await indexManager.loadIndex();
+    const index = indexManager.getIndex() ?? await indexManager.loadIndex();
 
     if (!index) {
         return true; // 没有索引，需要建立
     }
 
-    // 检查是否有新文件或文件被修改
-    const config = getConfiguration();
-    const allFiles: vscode.Uri[] = [];
-
-    for (const pattern of config.includePatterns) {
-        try {
-            const files = await vscode.workspace.findFiles(pattern, undefined, 10000);
-            const filteredFiles = files.filter(file =>
-                !shouldIgnoreFile(file.fsPath, config.ignorePatterns)
-            );
-            allFiles.push(...filteredFiles);
-        } catch (error) {
-            console.error(`搜索模式 ${pattern} 失败:`, error);
-        }
-    }
-
-    const uniqueFiles = Array.from(
-        new Map(allFiles.map(file => [file.fsPath, file])).values()
-    );
-
-    // 检查文件数量是否变化
-    if (uniqueFiles.length !== index.totalFiles) {
-        return true;
-    }
-
-    // 检查文件修改时间
-    for (const file of uniqueFiles) {
-        const fileIndex = index.files.get(file.fsPath);
-        if (!fileIndex) {
-            return true; // 新文件
-        }
-
-        try {
-            const stats = await fs.promises.stat(file.fsPath);
-            if (stats.mtime.getTime() !== fileIndex.lastModified) {
-                return true; // 文件被修改
-            }
-        } catch {
-            return true; // 文件无法访问
-        }
-    }
-
-    return false;
+    const diff = await diffIndex(index);
+    return diff.changed.length > 0 || diff.removed.length > 0;
 }
 
 /**
- * 使用流式处理读取文件内容
+ * 使用流式处理读取文件内容，按检测到的编码解码
  */
-async function readFileWithStream(filePath: string, maxFileSize: number): Promise<{ content: string; lines: string[] }> {
-    const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 64 * 1024 }); // 64KB chunks
-    let content = '';
+async function readFileWithStream(filePath: string, maxFileSize: number): Promise<{ content: string; encoding: string }> {
+    const stream = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 }); // 64KB chunks
     let totalSize = 0;
-    const maxChunkSize = maxFileSize;
 
     return new Promise((resolve, reject) => {
-        const chunks: string[] = [];
+        const chunks: Buffer[] = [];
 
-        stream.on('data', (chunk: string) => {
-            totalSize += Buffer.byteLength(chunk, 'utf8');
+        stream.on('data', (chunk: Buffer) => {
+            totalSize += chunk.length;
 
             // 检查文件大小限制
-            if (totalSize > maxChunkSize) {
+            if (totalSize > maxFileSize) {
                 stream.destroy();
-                reject(new Error(`文件太大，超过 ${maxChunkSize} 字节限制`));
+                reject(new Error(`文件太大，超过 ${maxFileSize} 字节限制`));
                 return;
             }
 
@@ -928,9 +1682,10 @@ async function readFileWithStream(filePath: string, maxFileSize: number): Promis
         });
 
         stream.on('end', () => {
-            content = chunks.join('');
-            const lines = content.split('\n');
-            resolve({ content, lines });
+            // 多字节字符可能被数据块截断，合并后再检测编码和解码
+            const buffer = Buffer.concat(chunks);
+            const encoding = detectEncoding(buffer, getEncodingPreference(filePath));
+            resolve({ content: decodeText(buffer, encoding), encoding });
         });
 
         stream.on('error', (error) => {
@@ -940,50 +1695,27 @@ async function readFileWithStream(filePath: string, maxFileSize: number): Promis
 }
 
 /**
- * 使用流式处理检查文件是否包含关键词（用于大文件预检查）
+ * 获取文件的编码设置：intersectionSearch.encodingOverrides 中第一个匹配的模式，以及 files.encoding
  */
-async function containsKeywordsStream(filePath: string, keywords: string[], caseSensitive: boolean = false): Promise<boolean> {
-    const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 64 * 1024 });
-    const searchKeywords = caseSensitive ? keywords : keywords.map(k => k.toLowerCase());
-    const foundKeywords = new Set<string>();
-    let buffer = '';
-
-    return new Promise((resolve, reject) => {
-        stream.on('data', (chunk: string) => {
-            buffer += chunk;
-
-            // 保留一些重叠以处理跨块的关键词
-            const searchText = caseSensitive ? buffer : buffer.toLowerCase();
-
-            // 检查每个关键词
-            for (const keyword of searchKeywords) {
-                if (searchText.includes(keyword)) {
-                    foundKeywords.add(keyword);
-                }
-            }
+export function getEncodingPreference(filePath: string): EncodingPreference {
+    const uri = vscode.Uri.file(filePath);
+    const overrides = vscode.workspace.getConfiguration('intersectionSearch', uri)
+        .get<{ [pattern: string]: string }>('encodingOverrides', {});
+    const relativePath = vscode.workspace.asRelativePath(filePath, false);
+    const pattern = Object.keys(overrides).find(glob => matchGlobPattern(relativePath, glob));
 
-            // 如果找到所有关键词，可以提前结束
-            if (foundKeywords.size === keywords.length) {
-                stream.destroy();
-                resolve(true);
-                return;
-            }
-
-            // 保留缓冲区末尾的一部分，以防关键词跨块分割
-            const maxKeywordLength = Math.max(...keywords.map(k => k.length));
-            if (buffer.length > maxKeywordLength * 2) {
-                buffer = buffer.slice(-maxKeywordLength);
-            }
-        });
-
-        stream.on('end', () => {
-            resolve(foundKeywords.size === keywords.length);
-        });
+    return {
+        override: pattern ? normalizeEncoding(overrides[pattern]) : undefined,
+        fallback: normalizeEncoding(vscode.workspace.getConfiguration('files', uri).get<string>('encoding'))
+    };
+}
 
-        stream.on('error', (error) => {
-            reject(error);
-        });
-    });
+/**
+ * 检查解码后的文件内容是否包含所有关键词（用于大文件预检查）
+ */
+function containsKeywords(content: string, keywords: string[], caseSensitive: boolean = false): boolean {
+    const searchText = caseSensitive ? content : content.toLowerCase();
+    return keywords.every(keyword => searchText.includes(caseSensitive ? keyword : keyword.toLowerCase()));
 }
 
 /**
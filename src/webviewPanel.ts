@@ -1,7 +1,36 @@
 import * as vscode from 'vscode';
-import { searchKeywordsIntersection } from './search';
-import { SearchResult } from './utils';
+import { searchKeywordsIntersection, openFileAndHighlight } from './search';
+import { SearchResult, getConfiguration } from './utils';
+import { parseQuery, QuerySyntaxError, SearchQuery } from './queryParser';
+import { MatchScope } from './proximity';
 import { showDetailedResults, SearchResultTreeProvider, OutputChannelManager } from './resultView';
+import { FileScope, FileScopeKind, describeFileScope } from './fileScope';
+import { SearchHistory } from './searchHistory';
+import { FileReplacements, applyReplacements, findReplacements } from './replace';
+import { exportResults } from './exporter';
+import { SortOrder, compareResultsBy } from './ranking';
+import { KeywordHighlighter } from './highlighter';
+import { SynonymDictionary, VariantOptions } from './keywordVariants';
+
+/**
+ * 一次搜索的匹配选项；高亮、替换和加载更多结果使用得到结果的搜索的选项，不受之后修改的配置影响
+ */
+interface SearchMatchOptions extends VariantOptions {
+    caseSensitive: boolean;
+    wholeWord: boolean;
+}
+
+/**
+ * 配置中当前的匹配选项
+ */
+function getMatchOptions(config: ReturnType<typeof getConfiguration>): SearchMatchOptions {
+    return {
+        caseSensitive: config.caseSensitive,
+        wholeWord: config.wholeWord,
+        fuzzyDistance: config.fuzzyDistance,
+        identifierMatching: config.identifierMatching
+    };
+}
 
 /**
  * Webview搜索面板类
@@ -12,6 +41,20 @@ export class SearchWebviewPanel {
     private readonly _extensionUri: vscode.Uri;
     private _disposables: vscode.Disposable[] = [];
     private _treeProvider: SearchResultTreeProvider | undefined;
+    private _lastSearch: {
+        query: SearchQuery;
+        scope?: MatchScope;
+        folders?: vscode.WorkspaceFolder[];
+        fileScope: FileScope;
+        matchOptions: SearchMatchOptions;
+        results: SearchResult[];
+    } | undefined;
+    private _searchTokenSource: vscode.CancellationTokenSource | undefined;
+    /** 最近一次查找到的替换项，等待用户勾选后应用 */
+    private _replacements: FileReplacements[] | undefined;
+
+    // 流式发送结果时合并消息的间隔（毫秒）
+    private static readonly resultFlushDelay = 100;
 
     public static createOrShow(extensionUri: vscode.Uri, treeProvider?: SearchResultTreeProvider) {
         const column = vscode.window.activeTextEditor
@@ -68,7 +111,28 @@ export class SearchWebviewPanel {
             async (message) => {
                 switch (message.command) {
                     case 'search':
-                        await this._handleSearch(message.keywords);
+                        await this._handleSearch(message.query, message.scope, message.folders, message.fileScope);
+                        break;
+                    case 'recordSearch':
+                        await this._recordSearch(message.query, message.scope, message.fileScope);
+                        break;
+                    case 'loadMore':
+                        await this._handleLoadMore();
+                        break;
+                    case 'cancelSearch':
+                        this._searchTokenSource?.cancel();
+                        break;
+                    case 'findReplacements':
+                        await this._handleFindReplacements(message.term, message.replacement, message.files);
+                        break;
+                    case 'applyReplacements':
+                        await this._handleApplyReplacements(message.ids, message.confirm);
+                        break;
+                    case 'exportResults':
+                        await this._handleExportResults(message.query, message.keywords, message.results);
+                        break;
+                    case 'validateQuery':
+                        this._handleValidateQuery(message.query);
                         break;
                     case 'openFile':
                         await this._handleOpenFile(message.filePath, message.keywords);
@@ -79,6 +143,9 @@ export class SearchWebviewPanel {
                     case 'updateConfig':
                         await this._handleUpdateConfig(message.config);
                         break;
+                    case 'setSortOrder':
+                        await this._handleSetSortOrder(message.sortOrder);
+                        break;
                     case 'showLog':
                         await this._handleShowLog();
                         break;
@@ -91,11 +158,20 @@ export class SearchWebviewPanel {
             null,
             this._disposables
         );
+
+        // 工作区文件夹变化时同步文件夹选择器
+        vscode.workspace.onDidChangeWorkspaceFolders(() => this._postWorkspaceFolders(), null, this._disposables);
+
+        // 搜索历史变化时（包括通过命令搜索）同步输入框的历史记录
+        SearchHistory.getInstance().onDidChangeHistory(() => this._postSearchHistory(), null, this._disposables);
     }
 
     public dispose() {
         SearchWebviewPanel.currentPanel = undefined;
 
+        // 停止正在进行的搜索
+        this._searchTokenSource?.cancel();
+
         // 清理资源
         this._panel.dispose();
 
@@ -150,9 +226,11 @@ export class SearchWebviewPanel {
                     
                     <div class="search-input-section">
                         <div class="input-group">
-                            <input type="text" id="keywordsInput" placeholder="输入关键词（空格分隔）..." />
+                            <input type="text" id="keywordsInput" placeholder="输入关键词（空格分隔，支持 &quot;短语&quot;、-排除、OR、括号）..." />
                             <button id="searchBtn" class="search-btn">搜索</button>
+                            <button id="stopBtn" class="search-btn stop-btn hidden" title="停止搜索 (Esc)">停止</button>
                         </div>
+                        <div class="query-error hidden" id="queryError"></div>
                         
                         <div class="search-options">
                             <label class="checkbox-label">
@@ -170,7 +248,69 @@ export class SearchWebviewPanel {
                                 <span class="checkmark"></span>
                                 全字匹配 (Alt+W)
                             </label>
+                            <label class="checkbox-label" title="按单词匹配 camelCase、snake_case、kebab-case 等标识符，例如 user name 匹配 userName 和 USER_NAME">
+                                <input type="checkbox" id="identifierMatching" />
+                                <span class="checkmark"></span>
+                                标识符
+                            </label>
+                            <label class="checkbox-label">
+                                <input type="checkbox" id="replaceMode" />
+                                <span class="checkmark"></span>
+                                替换
+                            </label>
+                            <label class="scope-label">
+                                共现范围
+                                <select id="matchScope" class="filter-select-small">
+                                    <option value="file">整个文件</option>
+                                    <option value="lines">N 行以内</option>
+                                    <option value="line">同一行</option>
+                                    <option value="block">同一代码块</option>
+                                </select>
+                                <input type="number" id="proximityLines" class="filter-input-small hidden" min="0" value="10" title="最大行距" />
+                            </label>
+                            <label class="scope-label" title="只统计位于代码、注释或字符串中的匹配">
+                                区域
+                                <select id="matchZone" class="filter-select-small">
+                                    <option value="all">全部</option>
+                                    <option value="code">代码</option>
+                                    <option value="comment">注释</option>
+                                    <option value="string">字符串</option>
+                                </select>
+                            </label>
+                            <label class="scope-label hidden" id="folderSelectLabel">
+                                工作区文件夹
+                                <select id="folderSelect" class="filter-select-small">
+                                    <option value="">全部文件夹</option>
+                                </select>
+                            </label>
+                            <label class="scope-label">
+                                搜索范围
+                                <select id="fileScope" class="filter-select-small">
+                                    <option value="workspace">整个工作区</option>
+                                    <option value="openEditors">打开的编辑器</option>
+                                    <option value="gitChanges">相对 HEAD 改动的文件</option>
+                                    <option value="gitBranch">相对其他分支改动的文件</option>
+                                    <option value="revision">指定版本（分支、标签或提交）</option>
+                                    <option value="results">当前结果</option>
+                                </select>
+                                <input type="text" id="gitRef" class="filter-input-small hidden" placeholder="main" title="分支、标签或提交" />
+                            </label>
+                        </div>
+                    </div>
+
+                    <div class="replace-section hidden" id="replaceSection">
+                        <div class="input-group">
+                            <select id="replaceTerm" class="filter-select-small" title="要替换的关键词"></select>
+                            <input type="text" id="replaceInput" placeholder="替换为（正则关键词可使用 $1、$&amp;）" />
+                            <button id="findReplaceBtn" class="search-btn">查找替换项</button>
+                            <button id="applyReplaceBtn" class="search-btn" disabled>替换所选</button>
                         </div>
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="replaceConfirm" checked />
+                            <span class="checkmark"></span>
+                            在重构预览中查看差异并确认
+                        </label>
+                        <div class="replace-preview hidden" id="replacePreview"></div>
                     </div>
 
                     <div class="search-progress hidden" id="searchProgress">
@@ -222,6 +362,13 @@ export class SearchWebviewPanel {
                                 </select>
                                 <input type="number" id="minMatchesFilter" class="filter-input-small" placeholder="最少匹配数" min="1">
                                 <button id="clearFilters" class="action-btn-small">清除</button>
+                                <select id="sortOrder" class="filter-select-small" title="排序方式">
+                                    <option value="relevance">按相关度</option>
+                                    <option value="path">按路径</option>
+                                    <option value="matchCount">按匹配数</option>
+                                    <option value="size">按大小</option>
+                                    <option value="modified">按修改时间</option>
+                                </select>
                             </div>
                         </div>
 
@@ -230,7 +377,7 @@ export class SearchWebviewPanel {
                     <div class="search-results" id="searchResults">
                         <div class="no-results" id="noResults">
                             <p>💡 输入关键词开始搜索</p>
-                            <p class="text-small margin-top-small opacity-70">支持多个关键词，用空格分隔</p>
+                            <p class="text-small margin-top-small opacity-70">支持多个关键词，用空格分隔；支持 "短语"、-排除、OR 和括号</p>
                         </div>
                     </div>
 
@@ -255,6 +402,7 @@ export class SearchWebviewPanel {
 
                     <div class="search-actions">
                         <div class="action-buttons">
+                            <button id="exportBtn" class="action-btn">📤 导出</button>
                             <button id="configBtn" class="action-btn">⚙️ 配置</button>
                             <button id="clearBtn" class="action-btn">🗑️ 清除</button>
                         </div>
@@ -272,25 +420,140 @@ export class SearchWebviewPanel {
             </html>`;
     }
 
-    private async _handleSearch(keywords: string[]) {
-        if (!keywords || keywords.length === 0) {
-            this._panel.webview.postMessage({
-                command: 'searchError',
-                message: '请输入至少一个关键词'
-            });
+    /**
+     * 解析查询文本，语法错误时通知webview在输入框下方显示
+     */
+    private _parseQuery(text: string): SearchQuery | null {
+        try {
+            const query = parseQuery(text || '');
+            this._panel.webview.postMessage({ command: 'queryValid' });
+            return query;
+        } catch (error) {
+            if (error instanceof QuerySyntaxError) {
+                this._panel.webview.postMessage({
+                    command: 'queryError',
+                    message: error.message,
+                    position: error.position
+                });
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    private _handleValidateQuery(text: string) {
+        if (!text || text.trim().length === 0) {
+            this._panel.webview.postMessage({ command: 'queryValid' });
+            return;
+        }
+        this._parseQuery(text);
+    }
+
+    private async _handleSearch(
+        text: string,
+        scope?: MatchScope,
+        folderUris?: string[],
+        fileScope?: { kind: FileScopeKind; ref?: string; files?: string[] }
+    ) {
+        const query = this._parseQuery(text);
+        if (!query) {
+            return;
+        }
+
+        await this._recordSearch(text, scope, fileScope);
+        await this._runSearch(query, scope, this._resolveWorkspaceFolders(folderUris), this._resolveFileScope(fileScope), []);
+    }
+
+    /**
+     * 将webview中的搜索记录到搜索历史（包括webview使用缓存完成、没有发送到扩展端的搜索）
+     */
+    private async _recordSearch(
+        text: string,
+        scope?: MatchScope,
+        fileScope?: { kind: FileScopeKind; ref?: string; files?: string[] }
+    ) {
+        const config = getConfiguration();
+        await SearchHistory.getInstance().add({
+            query: text,
+            caseSensitive: config.caseSensitive,
+            wholeWord: config.wholeWord,
+            identifierMatching: config.identifierMatching,
+            matchScope: scope ?? config.matchScope,
+            fileScope: this._resolveFileScope(fileScope)
+        });
+    }
+
+    /**
+     * 继续上一次因达到最大结果数而提前结束的搜索，跳过已经显示的文件
+     */
+    private async _handleLoadMore() {
+        if (!this._lastSearch) {
             return;
         }
 
+        const { query, scope, folders, fileScope, matchOptions, results } = this._lastSearch;
+        await this._runSearch(query, scope, folders, fileScope, results, matchOptions);
+    }
+
+    /**
+     * 执行搜索，边搜索边把结果分批发送到webview
+     *
+     * 新的搜索会取消正在进行的搜索，被取代的搜索不再向webview发送任何消息。
+     * 发送到webview的结果同时记录为最近一次搜索的结果，搜索进行中或被停止时也可以打开和替换已经显示的结果。
+     * @param previousResults 已经显示的结果，加载更多时新结果追加在其后
+     * @param matchOptions 匹配选项，未指定时使用当前配置；加载更多时使用之前搜索的选项
+     */
+    private async _runSearch(
+        query: SearchQuery,
+        scope: MatchScope | undefined,
+        folders: vscode.WorkspaceFolder[] | undefined,
+        fileScope: FileScope,
+        previousResults: SearchResult[],
+        matchOptions: SearchMatchOptions = getMatchOptions(getConfiguration())
+    ) {
+        const keywords = query.keywords;
+        const pendingResults: SearchResult[] = [];
+        let flushTimer: NodeJS.Timeout | undefined;
+
+        this._searchTokenSource?.cancel();
+        this._replacements = undefined;
+        const tokenSource = new vscode.CancellationTokenSource();
+        this._searchTokenSource = tokenSource;
+        const isCurrent = () => this._searchTokenSource === tokenSource;
+
+        const lastSearch = { query, scope, folders, fileScope, matchOptions, results: [...previousResults] };
+        this._lastSearch = lastSearch;
+
+        const flushResults = () => {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                flushTimer = undefined;
+            }
+            if (pendingResults.length > 0 && isCurrent()) {
+                const results = pendingResults.splice(0);
+                lastSearch.results.push(...results);
+                this._panel.webview.postMessage({
+                    command: 'searchResult',
+                    results
+                });
+            }
+        };
+
         try {
             // 发送搜索开始消息
             this._panel.webview.postMessage({
                 command: 'searchStarted',
-                keywords: keywords
+                keywords: keywords,
+                query: query.source,
+                append: previousResults.length > 0
             });
 
             // 创建进度报告器
             const progress = {
                 report: (value: { message?: string; increment?: number }) => {
+                    if (!isCurrent() || tokenSource.token.isCancellationRequested) {
+                        return;
+                    }
                     this._panel.webview.postMessage({
                         command: 'searchProgress',
                         progress: value
@@ -298,88 +561,188 @@ export class SearchWebviewPanel {
                 }
             };
 
-            // 创建取消令牌
-            const tokenSource = new vscode.CancellationTokenSource();
-            
-            // 执行搜索
-            const results = await searchKeywordsIntersection(keywords, progress, tokenSource.token);
+            // 执行搜索，找到的结果合并后发送
+            const { results, truncated, skipped } = await searchKeywordsIntersection(query, progress, tokenSource.token, {
+                scope,
+                folders,
+                fileScope,
+                ...matchOptions,
+                maxResults: getConfiguration().maxResults,
+                skipFiles: new Set(previousResults.map(result => result.filePath)),
+                onResult: result => {
+                    pendingResults.push(result);
+                    if (!flushTimer) {
+                        flushTimer = setTimeout(flushResults, SearchWebviewPanel.resultFlushDelay);
+                    }
+                }
+            });
+            flushResults();
+
+            if (tokenSource.token.isCancellationRequested) {
+                // 被新的搜索取代时由新搜索更新界面；用户停止时保留已显示的结果
+                if (isCurrent()) {
+                    this._panel.webview.postMessage({ command: 'searchCancelled' });
+                }
+                return;
+            }
 
-            // 发送搜索结果到webview
+            const config = getConfiguration();
+            const allResults = [...previousResults, ...results].sort(compareResultsBy(config.sortOrder));
+            lastSearch.results = allResults;
+
+            // 结果已经流式发送，完成消息只包含统计信息
             this._panel.webview.postMessage({
                 command: 'searchCompleted',
-                results: results,
-                keywords: keywords
+                keywords: keywords,
+                totalFiles: allResults.length,
+                totalMatches: allResults.reduce((sum, result) =>
+                    sum + result.matches.reduce((matchSum, match) => matchSum + match.positions.length, 0), 0),
+                truncated,
+                skipped,
+                scopeLabel: describeFileScope(fileScope)
             });
 
+            // 在结果文件中高亮关键词，替换之前搜索的高亮
+            KeywordHighlighter.getInstance().setSearch(
+                keywords, allResults, matchOptions.caseSensitive, matchOptions.wholeWord, matchOptions
+            );
+
             // 更新树视图（如果存在）
             if (this._treeProvider) {
-                this._treeProvider.updateResults(keywords, results);
+                this._treeProvider.updateResults(keywords, allResults);
                 // 设置上下文以显示树视图
-                vscode.commands.executeCommand('setContext', 'intersectionSearch:hasResults', results.length > 0);
+                vscode.commands.executeCommand('setContext', 'intersectionSearch:hasResults', allResults.length > 0);
             }
 
             // 记录详细结果到输出面板（不自动显示）
-            showDetailedResults(keywords, results, false);
+            showDetailedResults(keywords, allResults, false, { skipped, scopeLabel: describeFileScope(fileScope) });
 
         } catch (error) {
+            flushResults();
             console.error('搜索过程中发生错误:', error);
+            if (isCurrent()) {
+                this._panel.webview.postMessage({
+                    command: 'searchError',
+                    message: error instanceof Error ? error.message : '搜索失败'
+                });
+            }
+        } finally {
+            if (isCurrent()) {
+                this._searchTokenSource = undefined;
+            }
+            tokenSource.dispose();
+        }
+    }
+
+    /**
+     * 最近一次搜索的匹配选项，还没有搜索时使用当前配置
+     */
+    private _getLastMatchOptions(): SearchMatchOptions {
+        return this._lastSearch?.matchOptions ?? getMatchOptions(getConfiguration());
+    }
+
+    /**
+     * 导出webview中显示的（过滤后的）结果
+     */
+    private async _handleExportResults(query: string, keywords: string[], results: SearchResult[]) {
+        const { caseSensitive, wholeWord } = this._getLastMatchOptions();
+        await exportResults({ query, keywords, caseSensitive, wholeWord }, results ?? []);
+    }
+
+    /**
+     * 在webview显示的结果文件中查找关键词的替换项，发送到webview供用户勾选
+     */
+    private async _handleFindReplacements(term: string, replacement: string, files: string[]) {
+        if (!files || files.length === 0) {
+            this._panel.webview.postMessage({ command: 'replaceError', message: '没有可以替换的搜索结果' });
+            return;
+        }
+        if (this._lastSearch?.results.some(result => result.revision)) {
+            this._panel.webview.postMessage({ command: 'replaceError', message: '历史版本中的文件是只读的，不能替换' });
+            return;
+        }
+
+        try {
+            // 匹配规则与得到这些结果的搜索一致
+            const matchOptions = this._getLastMatchOptions();
+            this._replacements = await findReplacements(
+                files, term, replacement ?? '', matchOptions.caseSensitive, matchOptions.wholeWord, matchOptions
+            );
             this._panel.webview.postMessage({
-                command: 'searchError',
-                message: error instanceof Error ? error.message : '搜索失败'
+                command: 'replacePreview',
+                term,
+                files: this._replacements
+            });
+        } catch (error) {
+            console.error('查找替换项失败:', error);
+            this._panel.webview.postMessage({
+                command: 'replaceError',
+                message: `查找替换项失败: ${error instanceof Error ? error.message : '未知错误'}`
             });
         }
     }
 
-    private async _handleOpenFile(filePath: string, keywords: string[]) {
-        try {
-            const uri = vscode.Uri.file(filePath);
-            const document = await vscode.workspace.openTextDocument(uri);
-            const editor = await vscode.window.showTextDocument(document);
+    /**
+     * 应用webview中勾选的替换项
+     * @param confirm 是否先在重构预览中确认
+     */
+    private async _handleApplyReplacements(ids: string[], confirm: boolean) {
+        // 先取走替换项，应用期间重复的请求不会再次应用
+        const replacements = this._replacements;
+        if (!replacements) {
+            return;
+        }
+        this._replacements = undefined;
 
-            // 高亮关键词
-            if (keywords && keywords.length > 0) {
-                await this._highlightKeywords(editor, keywords);
+        try {
+            const { applied, fileCount, replaceCount } = await applyReplacements(replacements, new Set(ids), confirm);
+            if (applied) {
+                vscode.window.showInformationMessage(`已在 ${fileCount} 个文件中替换 ${replaceCount} 处，可通过撤销一次恢复所有文件`);
+            } else if (!this._replacements) {
+                // 在预览中取消时保留替换项，可以重新勾选后再应用
+                this._replacements = replacements;
             }
+            this._panel.webview.postMessage({ command: 'replaceCompleted', applied, fileCount, replaceCount });
         } catch (error) {
-            console.error('打开文件失败:', error);
-            vscode.window.showErrorMessage(`无法打开文件: ${filePath}`);
+            console.error('替换失败:', error);
+            this._panel.webview.postMessage({
+                command: 'replaceError',
+                message: `替换失败: ${error instanceof Error ? error.message : '未知错误'}`
+            });
         }
     }
 
-    private async _highlightKeywords(editor: vscode.TextEditor, keywords: string[]) {
-        const document = editor.document;
-        const text = document.getText();
-        const config = vscode.workspace.getConfiguration('intersectionSearch');
-        const caseSensitive = config.get('caseSensitive', false);
-
-        // 创建装饰类型
-        const decorationType = vscode.window.createTextEditorDecorationType({
-            backgroundColor: 'rgba(255, 255, 0, 0.3)',
-            border: '1px solid rgba(255, 255, 0, 0.8)',
-            borderRadius: '2px'
-        });
-
-        const ranges: vscode.Range[] = [];
+    private async _handleOpenFile(filePath: string, keywords: string[]) {
+        // 历史版本中的文件以只读的 git: 文档打开
+        const result = this._lastSearch?.results.find(candidate => candidate.filePath === filePath);
+        if (result?.revision) {
+            await openFileAndHighlight(filePath, keywords, result);
+            return;
+        }
 
-        keywords.forEach(keyword => {
-            const searchText = caseSensitive ? text : text.toLowerCase();
-            const searchKeyword = caseSensitive ? keyword : keyword.toLowerCase();
+        try {
+            const uri = vscode.Uri.file(filePath);
+            const document = await vscode.workspace.openTextDocument(uri);
+            const editor = await vscode.window.showTextDocument(document);
 
-            let index = 0;
-            while ((index = searchText.indexOf(searchKeyword, index)) !== -1) {
-                const startPos = document.positionAt(index);
-                const endPos = document.positionAt(index + keyword.length);
-                ranges.push(new vscode.Range(startPos, endPos));
-                index += keyword.length;
+            // 关键词高亮由 KeywordHighlighter 维护；已清除高亮时重新高亮最近一次搜索的结果
+            const highlighter = KeywordHighlighter.getInstance();
+            if (keywords && keywords.length > 0 && !highlighter.includes(filePath)) {
+                const matchOptions = this._getLastMatchOptions();
+                highlighter.setSearch(
+                    keywords, this._lastSearch?.results ?? [], matchOptions.caseSensitive, matchOptions.wholeWord, matchOptions
+                );
             }
-        });
-
-        editor.setDecorations(decorationType, ranges);
 
-        // 跳转到第一个匹配位置
-        if (ranges.length > 0) {
-            editor.selection = new vscode.Selection(ranges[0].start, ranges[0].start);
-            editor.revealRange(ranges[0], vscode.TextEditorRevealType.InCenter);
+            // 跳转到第一个匹配位置
+            const ranges = highlighter.getMatchRanges(document);
+            if (ranges.length > 0) {
+                editor.selection = new vscode.Selection(ranges[0].start, ranges[0].start);
+                editor.revealRange(ranges[0], vscode.TextEditorRevealType.InCenter);
+            }
+        } catch (error) {
+            console.error('打开文件失败:', error);
+            vscode.window.showErrorMessage(`无法打开文件: ${filePath}`);
         }
     }
 
@@ -388,14 +751,76 @@ export class SearchWebviewPanel {
         const configData = {
             caseSensitive: config.get('caseSensitive'),
             wholeWord: config.get('wholeWord'),
+            identifierMatching: config.get('identifierMatching'),
+            matchScope: config.get('matchScope'),
+            proximityLines: config.get('proximityLines'),
+            matchZone: config.get('matchZone'),
             maxFileSize: config.get('maxFileSize'),
             includePatterns: config.get('includePatterns'),
-            ignorePatterns: config.get('ignorePatterns')
+            ignorePatterns: config.get('ignorePatterns'),
+            sortOrder: config.get('sortOrder'),
+            fuzzyDistance: config.get('fuzzyDistance'),
+            hasSynonyms: SynonymDictionary.getInstance().hasSynonyms()
         };
         this._panel.webview.postMessage({
             command: 'configData',
             config: configData
         });
+        this._postWorkspaceFolders();
+        this._postSearchHistory();
+    }
+
+    /**
+     * 发送搜索历史，供webview输入框用上下方向键调出
+     */
+    private _postSearchHistory() {
+        this._panel.webview.postMessage({
+            command: 'searchHistory',
+            history: SearchHistory.getInstance().getHistory()
+        });
+    }
+
+    /**
+     * 发送工作区文件夹列表，供webview的文件夹选择器使用
+     */
+    private _postWorkspaceFolders() {
+        const folders = (vscode.workspace.workspaceFolders ?? []).map(folder => ({
+            name: folder.name,
+            uri: folder.uri.toString()
+        }));
+        this._panel.webview.postMessage({
+            command: 'workspaceFolders',
+            folders
+        });
+    }
+
+    /**
+     * 将webview选择的文件范围转换为搜索范围，“当前结果”为webview中显示的结果文件
+     */
+    private _resolveFileScope(fileScope?: { kind: FileScopeKind; ref?: string; files?: string[] }): FileScope {
+        switch (fileScope?.kind) {
+            case 'openEditors':
+                return { kind: 'openEditors' };
+            case 'gitChanges':
+                return { kind: 'gitChanges', ref: fileScope.ref };
+            case 'revision':
+                return { kind: 'revision', ref: fileScope.ref || 'HEAD' };
+            case 'results':
+                return { kind: 'results', files: fileScope.files ?? [] };
+            default:
+                return { kind: 'workspace' };
+        }
+    }
+
+    /**
+     * 将webview传来的文件夹URI转换为工作区文件夹，未指定时返回 undefined（搜索全部）
+     */
+    private _resolveWorkspaceFolders(folderUris?: string[]): vscode.WorkspaceFolder[] | undefined {
+        if (!folderUris || folderUris.length === 0) {
+            return undefined;
+        }
+        const selected = new Set(folderUris);
+        return (vscode.workspace.workspaceFolders ?? []).filter(folder => selected.has(folder.uri.toString()));
     }
 
     private async _handleUpdateConfig(configData: any) {
@@ -412,6 +837,22 @@ export class SearchWebviewPanel {
                 updates.push(config.update('wholeWord', configData.wholeWord, vscode.ConfigurationTarget.Global));
             }
 
+            if (configData.identifierMatching !== undefined) {
+                updates.push(config.update('identifierMatching', configData.identifierMatching, vscode.ConfigurationTarget.Global));
+            }
+
+            if (configData.matchScope !== undefined) {
+                updates.push(config.update('matchScope', configData.matchScope, vscode.ConfigurationTarget.Global));
+            }
+
+            if (configData.proximityLines !== undefined) {
+                updates.push(config.update('proximityLines', configData.proximityLines, vscode.ConfigurationTarget.Global));
+            }
+
+            if (configData.matchZone !== undefined) {
+                updates.push(config.update('matchZone', configData.matchZone, vscode.ConfigurationTarget.Global));
+            }
+
             if (configData.maxFileSize !== undefined) {
                 updates.push(config.update('maxFileSize', configData.maxFileSize, vscode.ConfigurationTarget.Global));
             }
@@ -445,6 +886,18 @@ export class SearchWebviewPanel {
         }
     }
 
+    /**
+     * 保存webview中选择的排序方式，结果树视图随之重新排序
+     */
+    private async _handleSetSortOrder(sortOrder: SortOrder) {
+        try {
+            await vscode.workspace.getConfiguration('intersectionSearch')
+                .update('sortOrder', sortOrder, vscode.ConfigurationTarget.Global);
+        } catch (error) {
+            console.error('保存排序方式失败:', error);
+        }
+    }
+
     private async _handleCopyToClipboard(text: string) {
         try {
             await vscode.env.clipboard.writeText(text);
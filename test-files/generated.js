@@ -0,0 +1,2 @@
+/* bundle */
+var projectCode0="项目代码",projectName="项目名称",config={code:projectCode0,name:projectName,version:"1.0.0"};var projectCode1="项目代码",projectName="项目名称",config={code:projectCode1,name:projectName,version:"1.0.0"};var projectCode2="项目代码",projectName="项目名称",config={code:projectCode2,name:projectName,version:"1.0.0"};var projectCode3="项目代码",projectName="项目名称",config={code:projectCode3,name:projectName,version:"1.0.0"};var projectCode4="项目代码",projectName="项目名称",config={code:projectCode4,name:projectName,version:"1.0.0"};var projectCode5="项目代码",projectName="项目名称",config={code:projectCode5,name:projectName,version:"1.0.0"};var projectCode6="项目代码",projectName="项目名称",config={code:projectCode6,name:projectName,version:"1.0.0"};var projectCode7="项目代码",projectName="项目名称",config={code:projectCode7,name:projectName,version:"1.0.0"};var projectCode8="项目代码",projectName="项目名称",config={code:projectCode8,name:projectName,version:"1.0.0"};var projectCode9="项目代码",projectName="项目名称",config={code:projectCode9,name:projectName,version:"1.0.0"};var projectCode10="项目代码",projectName="项目名称",config={code:projectCode10,name:projectName,version:"1.0.0"};var projectCode11="项目代码",projectName="项目名称",config={code:projectCode11,name:projectName,version:"1.0.0"};